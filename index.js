@@ -1,56 +1,155 @@
 // index.js
 import express from "express";
-import crypto from "crypto";
 import QRCode from "qrcode";
 import { Resend } from "resend";
 import "dotenv/config";
-import fs from "fs";
 
 // import { safeFetch } from "./utils/http.js"; // (unused right now) you can remove
 
 import {
   getVariantConfig,
-  getOrderProcessedFlag,
-  markOrderProcessed,
-  getMayaCustomerIdFromShopifyCustomer,
-  saveMayaCustomerIdToShopifyCustomer,
-  saveMayaCustomerIdToOrder,
-  saveEsimToOrder,
-  getOrdersWithEsims,
   usageAlertKey,
-  getUsageAlertFlag,
-  markUsageAlertSent,
-  tryAcquireOrderProcessingLock,
-  releaseOrderProcessingLock,
+  planExpiryAlertKey,
+  activationWelcomeKey,
+  findOrderByName,
+  getOrderBuyer,
+  getOrderCancellation,
+  saveOrderStatusTokenToOrder,
 } from "./services/shopify.js";
 
+import { storage } from "./storage/index.js";
+import { LOCK_TTL_MS } from "./services/orderLock.js";
+
 import {
   createMayaCustomer,
   createMayaEsim,
   getMayaCustomerDetails,
   createMayaTopUp,
+  getMayaEsimPlansByIccid,
+  getMayaEsimDetailsByIccid,
+  terminateMayaEsim,
+  flagMayaEsim,
+  classifyMayaError,
+  MAYA_FAILURE,
 } from "./services/maya.js";
 
+import {
+  UNIT_STATUS,
+  unitKey,
+  emptyProvisioningState,
+  ensureUnit,
+  transitionUnit,
+  isUnitTerminal,
+  summarizeProvisioning,
+  esimUnitTag,
+  topUpUnitTag,
+} from "./services/provisioning.js";
+
+import { trackPendingQr, listPendingQr, updatePendingQr, clearPendingQr } from "./services/pendingQr.js";
+import { reserveQrResend, completeQrResend, recordQrResendMiss, countQrResendMisses } from "./services/qrResendLog.js";
+import { takeRateLimit } from "./services/rateLimit.js";
+
+import { emailHashTag, emailHash, normalizeEmail } from "./services/identityStore.js";
+import {
+  createMagicLinkToken,
+  verifyMagicLinkToken,
+  MAGIC_LINK_TTL_MS,
+  createPortalSessionToken,
+  verifyPortalSessionToken,
+  PORTAL_SESSION_TTL_MS,
+} from "./services/magicLink.js";
+import { createOrderStatusToken, verifyOrderStatusToken, ORDER_STATUS_TOKEN_TTL_MS } from "./services/orderStatusToken.js";
+
+import { getCachedMayaCatalog, syncMayaCatalog, findRechargeVariant, findCatalogPlan } from "./services/catalog.js";
+import { validateConfiguration } from "./services/configValidator.js";
+
+import { log } from "./utils/log.js";
+import {
+  registerWebhookHandler,
+  shopifyWebhookEndpoint,
+  replayWebhookDelivery,
+  webhookRequestFromHeaders,
+} from "./webhooks/router.js";
+import { enqueueJob, startJobWorker, listJobs, listDeadJobs, requeueDeadJob } from "./services/jobQueue.js";
+import { listWebhookDeliveries } from "./services/webhookInbox.js";
+import { requireAdminToken, requireCronAuth, verifyShopifySessionToken } from "./utils/auth.js";
+import { createScheduler } from "./services/scheduler.js";
+import { createFileLeases } from "./storage/file.js";
+
 const app = express();
 console.log("BOOT MARKER: build-2026-02-15-01");
 
-// -----------------------------
-// Logging (reduce noise)
-// -----------------------------
-const LOG_LEVEL = String(process.env.LOG_LEVEL || "info").toLowerCase();
-const log = {
-  debug: (...a) => (LOG_LEVEL === "debug" ? console.log(...a) : undefined),
-  info: (...a) => (["debug", "info"].includes(LOG_LEVEL) ? console.log(...a) : undefined),
-  warn: (...a) => (["debug", "info", "warn"].includes(LOG_LEVEL) ? console.warn(...a) : undefined),
-  error: (...a) => console.error(...a),
-};
-
 // -----------------------------
 // Usage alert settings (CRON)
 // -----------------------------
-const USAGE_ALERT_THRESHOLD_PERCENT = Number(process.env.USAGE_ALERT_THRESHOLD_PERCENT || 75);
-// In-memory de-dupe so we don't email every cron run while the server stays up.
-// NOTE: if the server restarts, this resets. For true "send once" you should persist a flag in Shopify metafields.
+// USAGE_ALERT_THRESHOLDS="50,80,95,100" (the older single USAGE_ALERT_THRESHOLD_PERCENT still works).
+// Each level is sent once per plan (usageAlertKey), so again after a top-up; a run only emails the
+// highest level newly crossed.
+const USAGE_ALERT_THRESHOLDS = parseUsageThresholds(
+  process.env.USAGE_ALERT_THRESHOLDS || process.env.USAGE_ALERT_THRESHOLD_PERCENT || "50,80,95,100"
+);
+
+// Per-eSIM keys from before the plan id was added (usage_alert_<t>_<iccid>) came from the older
+// single threshold (75 by default): one at or above `threshold` means this level is already covered
+function legacyUsageAlertSent(sentKeys, iccid, threshold) {
+  return sentKeys.some((k) => {
+    const m = String(k).match(/^usage_alert_(\d+)_(.+)$/);
+    return m && m[2] === String(iccid) && Number(m[1]) >= threshold;
+  });
+}
+
+function parseUsageThresholds(raw) {
+  const list = String(raw)
+    .split(",")
+    .map((s) => Math.round(Number(s.trim())))
+    .filter((n) => Number.isFinite(n) && n > 0 && n <= 100);
+  return [...new Set(list)].sort((a, b) => a - b);
+}
+
+// Copy for each level of usage alert (emails are in French)
+function usageAlertCopy(thresholdPercent) {
+  if (thresholdPercent >= 100) {
+    return {
+      subject: "Données épuisées — rechargez maintenant",
+      badge: "Données épuisées",
+      title: "Vous n’avez plus de données",
+      intro: "Vous avez utilisé <b>100%</b> de votre forfait de données. Votre eSIM ne peut plus se connecter à Internet.",
+      advice: "Achetez une recharge dès maintenant pour retrouver votre connexion. Elle s’ajoute à votre eSIM actuelle, sans nouveau code QR.",
+      accent: "#DC2626",
+    };
+  }
+
+  if (thresholdPercent >= 90) {
+    return {
+      subject: `Presque plus de données (${thresholdPercent}% utilisés)`,
+      badge: "Presque épuisé",
+      title: "Votre forfait est presque épuisé",
+      intro: `Vous avez utilisé plus de <b>${thresholdPercent}%</b> de votre forfait de données.`,
+      advice: "Pour éviter une coupure, achetez une recharge maintenant : elle s’ajoute à votre eSIM actuelle.",
+      accent: "#EA580C",
+    };
+  }
+
+  if (thresholdPercent >= 75) {
+    return {
+      subject: `Alerte de consommation (${thresholdPercent}% utilisés)`,
+      badge: "Alerte données",
+      title: "Alerte de consommation",
+      intro: `Vous avez utilisé plus de <b>${thresholdPercent}%</b> de votre forfait de données.`,
+      advice: "Si vous prévoyez utiliser davantage de données, vous pouvez acheter une recharge à tout moment afin d’éviter toute interruption de service.",
+      accent: "#0CA3EC",
+    };
+  }
+
+  return {
+    subject: `Suivi de consommation (${thresholdPercent}% utilisés)`,
+    badge: "Suivi données",
+    title: "Suivi de votre consommation",
+    intro: `Vous avez utilisé <b>${thresholdPercent}%</b> de votre forfait de données.`,
+    advice: "Tout va bien ! Nous vous écrirons de nouveau si votre forfait approche de sa limite.",
+    accent: "#0CA3EC",
+  };
+}
 
 // -----------------------------
 // Email (Resend)
@@ -87,6 +186,35 @@ function esc(s) {
     .replace(/"/g, "&quot;");
 }
 
+// Storefront used for links in customer emails (cart permalinks)
+const STOREFRONT_URL = (process.env.STOREFRONT_URL || "https://quebecesim.ca").trim().replace(/\/+$/, "");
+
+// Cart permalink straight to checkout, email prefilled so the top-up finds the customer's eSIM
+function rechargeCartUrl({ variantId, email }) {
+  if (!variantId) return null;
+  const url = new URL(`${STOREFRONT_URL}/cart/${encodeURIComponent(variantId)}:1`);
+  if (email) url.searchParams.set("checkout[email]", email);
+  return url.toString();
+}
+
+// 1536 MB -> "1,5 Go"
+function formatDataSize(bytes) {
+  const n = Number(bytes);
+  if (!Number.isFinite(n)) return "";
+
+  const gb = n / (1024 * 1024 * 1024);
+  if (Math.abs(gb) >= 1) return `${gb.toLocaleString("fr-CA", { maximumFractionDigits: 2 })} Go`;
+  return `${Math.max(0, Math.round(n / (1024 * 1024))).toLocaleString("fr-CA")} Mo`;
+}
+
+function formatEmailDate(ms) {
+  return new Date(ms).toLocaleString("fr-CA", {
+    timeZone: "America/Toronto",
+    dateStyle: "long",
+    timeStyle: "short",
+  });
+}
+
 function formatEsimEmailHtml({
   firstName,
   planName,
@@ -515,47 +643,39 @@ async function sendTopUpEmail({ to, firstName, orderId }) {
   return true;
 }
 
-async function sendUsageAlertEmail({
-  to,
-  firstName,
-  orderId,
-  percentUsed,
-  thresholdPercent,
-  iccid,
-  planId,
-}) {
-  if (!emailEnabled) {
-    console.log("ℹ️ Skipping usage alert email (email not configured).");
-    return false;
-  }
-  if (!to) {
-    console.warn("⚠️ No recipient email; cannot send usage alert email.");
-    return false;
-  }
+function formatActivationEmailHtml({ firstName, planName, validityDays, expiresAt, apn }) {
+  const safeName = (firstName || "").trim() || "client(e)";
 
-  const safeName = (firstName || "").trim() || "there";
-  const subject = orderId
-    ? `Data usage alert (Order #${orderId})`
-    : "Data usage alert";
+  const bullet = (text) =>
+    `<li style="margin:10px 0; line-height:1.45; color:#334155; font-size:14px;">${text}</li>`;
 
-  const html = `<!DOCTYPE html>
+  const row = (label, value) =>
+    value
+      ? `<tr><td style="padding:10px 0; font-size:14px; color:#334155;"><b>${label} :</b> ${esc(value)}</td></tr>`
+      : "";
+
+  const links = {
+    conso: "https://quebecesim.ca/pages/comment-suivre-ma-consommation",
+    contact: "https://quebecesim.ca/pages/contactez-nous",
+  };
+
+  return `<!DOCTYPE html>
 <html lang="fr">
 <head>
   <meta charset="UTF-8" />
-  <title>Alerte de consommation de données</title>
+  <title>Votre eSIM est connectée</title>
 </head>
 
-<body style="margin:0; padding:0; background:#F6FAFD; font-family:-apple-system,BlinkMacSystemFont,Segoe UI,Roboto,Arial;">
+<body style="margin:0; padding:0; background:#F6FAFD; font-family:-apple-system, BlinkMacSystemFont, Segoe UI, Roboto, Arial;">
   <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="padding: 32px 0;">
     <tr>
       <td align="center">
-
         <table role="presentation" width="600" cellpadding="0" cellspacing="0" border="0"
           style="width:100%; max-width:800px; background:#FFFFFF; border-radius:18px; box-shadow:0 10px 30px rgba(15,23,42,0.08); overflow:hidden;">
 
           <tr>
-            <td style="padding:20px 24px; border-bottom:1px solid #E5E7EB;">
-              <table width="100%">
+            <td style="padding: 20px 24px; border-bottom: 1px solid #E5E7EB;">
+              <table width="100%" cellpadding="0" cellspacing="0" border="0">
                 <tr>
                   <td>
                     <img 
@@ -566,8 +686,8 @@ async function sendUsageAlertEmail({
                     />
                   </td>
                   <td align="right">
-                    <span style="display:inline-block; padding:8px 12px; border-radius:999px; background:#0CA3EC; color:#FFFFFF; font-weight:600; font-size:12px;">
-                      Alerte données
+                    <span style="display:inline-block; padding:8px 12px; border-radius:999px; background:#16A34A; color:#FFFFFF; font-weight:600; font-size:12px;">
+                      eSIM activée
                     </span>
                   </td>
                 </tr>
@@ -576,85 +696,90 @@ async function sendUsageAlertEmail({
           </tr>
 
           <tr>
-            <td style="padding:28px 24px;">
+            <td style="padding: 28px 24px;">
 
-              <h1 style="margin:0 0 16px; font-size:22px; color:#0F172A;">
-                Alerte de consommation
+              <h1 style="margin: 0 0 16px; font-size: 22px; color:#0F172A;">
+                Vous êtes connecté(e) ✅
               </h1>
 
-              <p style="font-size:15px; color:#334155; margin:0 0 14px;">
+              <p style="font-size: 15px; color:#334155; margin: 0 0 14px;">
                 Bonjour <b>${esc(safeName)}</b>,
               </p>
 
-              <p style="font-size:15px; color:#334155; margin:0 0 18px;">
-                Vous avez utilisé plus de <b>${thresholdPercent}%</b> de votre forfait de données.
+              <p style="font-size: 15px; color:#334155; margin: 0 0 18px;">
+                Votre eSIM vient de se connecter au réseau local : votre forfait est maintenant <b>actif</b>. Bon voyage !
               </p>
 
               <table width="100%" cellpadding="0" cellspacing="0" border="0"
-                style="background:#FFFFFF; border:1px solid #E5E7EB; border-radius:14px; padding:18px; margin-bottom:22px;">
-
-                <tr>
-                  <td style="padding:6px 0; font-size:14px; color:#475569;">
-                    <b>Utilisation actuelle</b>
-                  </td>
-                  <td align="right" style="font-size:14px; color:#0F172A;">
-                    ${percentUsed}%
-                  </td>
-                </tr>
-
-                ${iccid ? `
-                <tr>
-                  <td style="padding:6px 0; font-size:14px; color:#475569;">
-                    <b>ICCID</b>
-                  </td>
-                  <td align="right" style="font-size:14px; color:#0F172A;">
-                    ${esc(iccid)}
-                  </td>
-                </tr>` : ""}
-
-                ${planId ? `
-                <tr>
-                  <td style="padding:6px 0; font-size:14px; color:#475569;">
-                    <b>ID du forfait</b>
-                  </td>
-                  <td align="right" style="font-size:14px; color:#0F172A;">
-                    ${esc(planId)}
-                  </td>
-                </tr>` : ""}
-
+                style="background:#FFFFFF; border: 1px solid #E5E7EB; border-radius: 14px; padding: 18px; margin-bottom: 18px;">
+                ${row("Forfait", planName)}
+                ${row("Validité", validityDays ? `${validityDays} jours à partir de l’activation` : "")}
+                ${row("Valide jusqu’au", expiresAt ? formatEmailDate(expiresAt) : "")}
+                ${row("APN", apn)}
               </table>
 
+              <h2 style="font-size: 16px; color:#0F172A; margin: 0 0 10px;">Suivre votre consommation</h2>
+              <ul style="margin:0 0 18px 18px; padding:0;">
+                ${bullet(`Consultez votre consommation à tout moment : <a href="${links.conso}" style="color:#0CA3EC; text-decoration:none;">Comment suivre ma consommation ?</a>`)}
+                ${bullet("Nous vous écrirons automatiquement lorsque votre forfait approche de sa limite ou de sa date d’expiration.")}
+                ${bullet("Pour économiser vos données, désactivez les mises à jour automatiques et la sauvegarde de photos hors Wi-Fi.")}
+                ${apn ? bullet(`Pas de connexion malgré le signal ? Vérifiez que l’APN de l’eSIM est <b>${esc(apn)}</b> et que l’itinérance des données est <b>ACTIVÉE</b>.`) : bullet("Pas de connexion malgré le signal ? Vérifiez que l’itinérance des données est <b>ACTIVÉE</b> pour votre eSIM.")}
+              </ul>
+
               <table width="100%" cellpadding="0" cellspacing="0" border="0"
-                style="background:#F8FAFC; border:1px solid #E5E7EB; border-radius:14px; padding:18px; margin-bottom:22px;">
+                style="background:#F8FAFC; border: 1px solid #E5E7EB; border-radius: 14px; padding: 18px; margin: 12px 0 22px;">
                 <tr>
-                  <td style="font-size:13px; color:#475569; line-height:1.45;">
-                    Si vous prévoyez utiliser davantage de données, vous pouvez acheter une recharge à tout moment afin d’éviter toute interruption de service.
+                  <td style="font-size: 13px; color:#475569; line-height:1.45;">
+                    <b>Important :</b> Ne supprimez jamais votre eSIM. En cas de souci, contactez-nous et nous vous aiderons rapidement.
                   </td>
                 </tr>
               </table>
 
-              <p style="font-size:14px; color:#334155; margin:0;">
-                Merci d’utiliser <b>Québec eSIM</b>.
+              <p style="font-size: 14px; color:#334155; margin: 6px 0 0;">
+                Cordialement,
               </p>
 
             </td>
           </tr>
 
           <tr>
-            <td style="padding:18px 24px; background:#F8FAFC; border-top:1px solid #E5E7EB; font-size:12px; color:#64748B;">
+            <td style="padding: 18px 24px; background:#F8FAFC; border-top: 1px solid #E5E7EB; font-size: 12px; color:#64748B;">
               <b>Besoin d’aide ?</b>
-              <a href="https://quebecesim.ca/pages/contactez-nous" style="text-decoration:none; color:rgb(94,94,94);">
+              <a href="${links.contact}" style="text-decoration:none; color: rgb(94, 94, 94);">
                 Contactez-nous
               </a>
             </td>
           </tr>
-        </table>
 
+          <tr>
+            <td style="padding: 18px 24px; background:#F8FAFC; border-top: 1px solid #E5E7EB; font-size: 12px; color:#64748B;">
+              <b>© 2026 Québec eSIM • Propulsé par Maya</b>
+            </td>
+          </tr>
+
+        </table>
       </td>
     </tr>
   </table>
 </body>
 </html>`;
+}
+
+async function sendActivationEmail({ to, firstName, orderId, planName, validityDays, expiresAt, apn }) {
+  if (!emailEnabled) {
+    console.log("ℹ️ Skipping activation email (email not configured).");
+    return false;
+  }
+  if (!to) {
+    console.warn("⚠️ No recipient email; cannot send activation email.");
+    return false;
+  }
+
+  const subject = orderId
+    ? `Votre eSIM est connectée (Commande #${orderId})`
+    : "Votre eSIM est connectée";
+
+  const html = formatActivationEmailHtml({ firstName, planName, validityDays, expiresAt, apn });
 
   const result = await resend.emails.send({
     from: emailFrom,
@@ -665,880 +790,3283 @@ async function sendUsageAlertEmail({
   });
 
   if (result?.error) {
-    console.error("❌ Resend usage alert error:", result.error);
+    console.error("❌ Resend activation error:", result.error);
     return false;
   }
 
-  console.log("✅ Usage alert email sent via Resend:", { to, id: result?.data?.id });
+  console.log("✅ Activation email sent via Resend:", { to, id: result?.data?.id });
   return true;
 }
 
-async function sendAdminAlertEmail({ subject, html }) {
-  const to = (process.env.ALERT_EMAIL_TO || "").trim();
-  if (!emailEnabled || !to) {
-    console.warn("⚠️ Alert email not sent (missing RESEND config or ALERT_EMAIL_TO).");
+async function sendMyEsimsLinkEmail({ to, url, ttlMinutes }) {
+  if (!emailEnabled) {
+    console.log("ℹ️ Skipping My eSIMs link email (email not configured).");
     return false;
   }
-
-  const result = await resend.emails.send({ from: emailFrom, to, bcc: INTERNAL_BCC, subject, html });
-
-  if (result?.error) {
-    console.error("❌ Resend alert error:", result.error);
+  if (!to) {
+    console.warn("⚠️ No recipient email; cannot send My eSIMs link email.");
     return false;
   }
-  return true;
-}
 
-async function sendManualActionEmail({
-  orderId,
-  shopDomain,
-  customerEmail,
-  customerName,
-  variantId,
-  mayaPlanId,
-  iccid,
-  esimUid,
-  error,
-}) {
-  const to = "julia-marie@thewebix.ca";
+  const html = `<!DOCTYPE html>
+<html lang="fr">
+<head>
+  <meta charset="UTF-8" />
+  <title>Vos eSIMs</title>
+</head>
 
-  // if Resend not configured, at least log it clearly
-  if (!emailEnabled) {
-    console.warn("⚠️ Manual-action email NOT sent (email not configured).", { orderId, error });
-    return false;
-  }
+<body style="margin:0; padding:0; background:#F6FAFD; font-family:-apple-system,BlinkMacSystemFont,Segoe UI,Roboto,Arial;">
+  <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="padding: 32px 0;">
+    <tr>
+      <td align="center">
 
-  const subject = `⚠️ ACTION REQUISE: eSIM non sauvegardée sur Shopify (Order #${orderId})`;
+        <table role="presentation" width="600" cellpadding="0" cellspacing="0" border="0"
+          style="width:100%; max-width:800px; background:#FFFFFF; border-radius:18px; box-shadow:0 10px 30px rgba(15,23,42,0.08); overflow:hidden;">
 
-  const html = `
-    <div style="font-family:Arial; font-size:14px; color:#0F172A;">
-      <h2>Action manuelle requise</h2>
-      <p>La création d'eSIM dans Maya a réussi, mais <b>l’écriture Shopify (esims_json)</b> a échoué.</p>
+          <tr>
+            <td style="padding:20px 24px; border-bottom:1px solid #E5E7EB;">
+              <img 
+                src="https://quebecesim.ca/cdn/shop/files/1000008019.png?v=1737480349&width=600"
+                alt="Québec eSIM"
+                width="80"
+                style="display:block; max-width:140px; height:auto;"
+              />
+            </td>
+          </tr>
 
-      <ul>
-        <li><b>Order ID</b>: ${esc(orderId)}</li>
-        <li><b>Shop</b>: ${esc(shopDomain || "")}</li>
-        <li><b>Client</b>: ${esc(customerName || "")} (${esc(customerEmail || "")})</li>
-        <li><b>Variant ID</b>: ${esc(variantId || "")}</li>
-        <li><b>Maya plan_type_id</b>: ${esc(mayaPlanId || "")}</li>
-        <li><b>ICCID</b>: ${esc(iccid || "")}</li>
-        <li><b>eSIM UID</b>: ${esc(esimUid || "")}</li>
-      </ul>
+          <tr>
+            <td style="padding:28px 24px;">
 
-      <p><b>Erreur:</b></p>
-      <pre style="background:#F1F5F9; padding:12px; border-radius:8px; white-space:pre-wrap;">${esc(
-        error?.message || String(error || "")
-      )}</pre>
+              <h1 style="margin:0 0 16px; font-size:22px; color:#0F172A;">
+                Accédez à vos eSIMs
+              </h1>
 
-      <p><b>À faire:</b> Aller dans Shopify > commande #${esc(orderId)} > métachamps, et coller/ajouter l’eSIM (esims_json / iccid / uid).</p>
-    </div>
-  `;
+              <p style="font-size:15px; color:#334155; margin:0 0 18px;">
+                Voici votre lien personnel pour consulter vos eSIMs, votre consommation, télécharger à nouveau vos codes QR et recharger.
+              </p>
+
+              <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="margin-bottom:22px;">
+                <tr>
+                  <td align="center">
+                    <a href="${esc(url)}"
+                      style="display:inline-block; padding:14px 28px; border-radius:999px; background:#0CA3EC; color:#FFFFFF; font-weight:600; font-size:15px; text-decoration:none;">
+                      Voir mes eSIMs
+                    </a>
+                  </td>
+                </tr>
+              </table>
+
+              <p style="font-size:13px; color:#475569; margin:0;">
+                Ce lien expire dans ${ttlMinutes} minutes. Si vous n’avez pas fait cette demande, ignorez ce courriel.
+              </p>
+
+            </td>
+          </tr>
+
+          <tr>
+            <td style="padding:18px 24px; background:#F8FAFC; border-top:1px solid #E5E7EB; font-size:12px; color:#64748B;">
+              <b>Besoin d’aide ?</b>
+              <a href="https://quebecesim.ca/pages/contactez-nous" style="text-decoration:none; color:rgb(94,94,94);">
+                Contactez-nous
+              </a>
+            </td>
+          </tr>
+        </table>
+
+      </td>
+    </tr>
+  </table>
+</body>
+</html>`;
 
   const result = await resend.emails.send({
     from: emailFrom,
     to,
-    bcc: INTERNAL_BCC,
-    subject,
+    subject: "Votre lien d’accès à vos eSIMs",
     html,
   });
 
   if (result?.error) {
-    console.error("❌ Resend manual-action email error:", result.error);
+    console.error("❌ Resend My eSIMs link error:", result.error);
     return false;
   }
 
-  console.log("✅ Manual-action email sent:", { to, id: result?.data?.id });
+  console.log("✅ My eSIMs link email sent via Resend:", { to, id: result?.data?.id });
   return true;
 }
 
-// -----------------------------
-// Middleware: JSON + raw body capture (for HMAC)
-// -----------------------------
-app.use(
-  express.json({
+async function sendUsageAlertEmail({
+  to,
+  firstName,
+  orderId,
+  percentUsed,
+  thresholdPercent,
+  iccid,
+  planId,
+  planName = "",
+  usedBytes = null,
+  remainingBytes = null,
+  expiresAt = null,
+  rechargeUrl = null,
+}) {
+  if (!emailEnabled) {
+    console.log("ℹ️ Skipping usage alert email (email not configured).");
+    return false;
+  }
+  if (!to) {
+    console.warn("⚠️ No recipient email; cannot send usage alert email.");
+    return false;
+  }
+
+  const safeName = (firstName || "").trim() || "there";
+  const copy = usageAlertCopy(thresholdPercent);
+  const subject = orderId
+    ? `${copy.subject} (Commande #${orderId})`
+    : copy.subject;
+
+  const html = `<!DOCTYPE html>
+<html lang="fr">
+<head>
+  <meta charset="UTF-8" />
+  <title>${esc(copy.title)}</title>
+</head>
+
+<body style="margin:0; padding:0; background:#F6FAFD; font-family:-apple-system,BlinkMacSystemFont,Segoe UI,Roboto,Arial;">
+  <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="padding: 32px 0;">
+    <tr>
+      <td align="center">
+
+        <table role="presentation" width="600" cellpadding="0" cellspacing="0" border="0"
+          style="width:100%; max-width:800px; background:#FFFFFF; border-radius:18px; box-shadow:0 10px 30px rgba(15,23,42,0.08); overflow:hidden;">
+
+          <tr>
+            <td style="padding:20px 24px; border-bottom:1px solid #E5E7EB;">
+              <table width="100%">
+                <tr>
+                  <td>
+                    <img 
+                      src="https://quebecesim.ca/cdn/shop/files/1000008019.png?v=1737480349&width=600"
+                      alt="Québec eSIM"
+                      width="80"
+                      style="display:block; max-width:140px; height:auto;"
+                    />
+                  </td>
+                  <td align="right">
+                    <span style="display:inline-block; padding:8px 12px; border-radius:999px; background:${copy.accent}; color:#FFFFFF; font-weight:600; font-size:12px;">
+                      ${esc(copy.badge)}
+                    </span>
+                  </td>
+                </tr>
+              </table>
+            </td>
+          </tr>
+
+          <tr>
+            <td style="padding:28px 24px;">
+
+              <h1 style="margin:0 0 16px; font-size:22px; color:#0F172A;">
+                ${esc(copy.title)}
+              </h1>
+
+              <p style="font-size:15px; color:#334155; margin:0 0 14px;">
+                Bonjour <b>${esc(safeName)}</b>,
+              </p>
+
+              <p style="font-size:15px; color:#334155; margin:0 0 18px;">
+                ${copy.intro}
+              </p>
+
+              <table width="100%" cellpadding="0" cellspacing="0" border="0"
+                style="background:#FFFFFF; border:1px solid #E5E7EB; border-radius:14px; padding:18px; margin-bottom:22px;">
+
+                ${planName ? `
+                <tr>
+                  <td style="padding:6px 0; font-size:14px; color:#475569;">
+                    <b>Forfait</b>
+                  </td>
+                  <td align="right" style="font-size:14px; color:#0F172A;">
+                    ${esc(planName)}
+                  </td>
+                </tr>` : ""}
+
+                <tr>
+                  <td style="padding:6px 0; font-size:14px; color:#475569;">
+                    <b>Utilisation actuelle</b>
+                  </td>
+                  <td align="right" style="font-size:14px; color:#0F172A;">
+                    ${percentUsed}%
+                  </td>
+                </tr>
+
+                ${usedBytes !== null ? `
+                <tr>
+                  <td style="padding:6px 0; font-size:14px; color:#475569;">
+                    <b>Données utilisées</b>
+                  </td>
+                  <td align="right" style="font-size:14px; color:#0F172A;">
+                    ${esc(formatDataSize(usedBytes))}
+                  </td>
+                </tr>` : ""}
+
+                ${remainingBytes !== null ? `
+                <tr>
+                  <td style="padding:6px 0; font-size:14px; color:#475569;">
+                    <b>Données restantes</b>
+                  </td>
+                  <td align="right" style="font-size:14px; color:#0F172A;">
+                    ${esc(formatDataSize(remainingBytes))}
+                  </td>
+                </tr>` : ""}
+
+                ${expiresAt ? `
+                <tr>
+                  <td style="padding:6px 0; font-size:14px; color:#475569;">
+                    <b>Expire le</b>
+                  </td>
+                  <td align="right" style="font-size:14px; color:#0F172A;">
+                    ${esc(formatEmailDate(expiresAt))}
+                  </td>
+                </tr>` : ""}
+
+                ${iccid ? `
+                <tr>
+                  <td style="padding:6px 0; font-size:14px; color:#475569;">
+                    <b>ICCID</b>
+                  </td>
+                  <td align="right" style="font-size:14px; color:#0F172A;">
+                    ${esc(iccid)}
+                  </td>
+                </tr>` : ""}
+
+                ${planId && !planName ? `
+                <tr>
+                  <td style="padding:6px 0; font-size:14px; color:#475569;">
+                    <b>ID du forfait</b>
+                  </td>
+                  <td align="right" style="font-size:14px; color:#0F172A;">
+                    ${esc(planId)}
+                  </td>
+                </tr>` : ""}
+
+              </table>
+
+              <table width="100%" cellpadding="0" cellspacing="0" border="0"
+                style="background:#F8FAFC; border:1px solid #E5E7EB; border-radius:14px; padding:18px; margin-bottom:22px;">
+                <tr>
+                  <td style="font-size:13px; color:#475569; line-height:1.45;">
+                    ${copy.advice}
+                  </td>
+                </tr>
+              </table>
+
+              ${rechargeUrl ? `
+              <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="margin-bottom:22px;">
+                <tr>
+                  <td align="center">
+                    <a href="${esc(rechargeUrl)}"
+                      style="display:inline-block; padding:14px 28px; border-radius:999px; background:#0CA3EC; color:#FFFFFF; font-weight:600; font-size:15px; text-decoration:none;">
+                      Recharger mon eSIM
+                    </a>
+                  </td>
+                </tr>
+              </table>` : ""}
+
+              <p style="font-size:14px; color:#334155; margin:0;">
+                Merci d’utiliser <b>Québec eSIM</b>.
+              </p>
+
+            </td>
+          </tr>
+
+          <tr>
+            <td style="padding:18px 24px; background:#F8FAFC; border-top:1px solid #E5E7EB; font-size:12px; color:#64748B;">
+              <b>Besoin d’aide ?</b>
+              <a href="https://quebecesim.ca/pages/contactez-nous" style="text-decoration:none; color:rgb(94,94,94);">
+                Contactez-nous
+              </a>
+            </td>
+          </tr>
+        </table>
+
+      </td>
+    </tr>
+  </table>
+</body>
+</html>`;
+
+  const result = await resend.emails.send({
+    from: emailFrom,
+    to,
+    bcc: INTERNAL_BCC,
+    subject,
+    html,
+  });
+
+  if (result?.error) {
+    console.error("❌ Resend usage alert error:", result.error);
+    return false;
+  }
+
+  console.log("✅ Usage alert email sent via Resend:", { to, thresholdPercent, recharge: Boolean(rechargeUrl), id: result?.data?.id });
+  return true;
+}
+
+async function sendPlanExpiryEmail({ to, firstName, orderId, iccid, planId, kind, expiresAt }) {
+  if (!emailEnabled) {
+    console.log("ℹ️ Skipping plan expiry email (email not configured).");
+    return false;
+  }
+  if (!to) {
+    console.warn("⚠️ No recipient email; cannot send plan expiry email.");
+    return false;
+  }
+
+  const safeName = (firstName || "").trim() || "there";
+  const expired = kind === "expired";
+  const when = formatEmailDate(expiresAt);
+
+  const title = expired ? "Votre forfait a expiré" : "Votre forfait expire bientôt";
+  const subject = `${expired ? "Forfait expiré" : `Votre forfait expire dans moins de ${PLAN_EXPIRY_REMINDER_HOURS} h`}${orderId ? ` (Commande #${orderId})` : ""}`;
+  const intro = expired
+    ? `Votre forfait de données a expiré le <b>${esc(when)}</b>. Votre eSIM ne peut plus se connecter à Internet.`
+    : `Votre forfait de données expire le <b>${esc(when)}</b>.`;
+
+  const html = `<!DOCTYPE html>
+<html lang="fr">
+<head>
+  <meta charset="UTF-8" />
+  <title>${esc(title)}</title>
+</head>
+
+<body style="margin:0; padding:0; background:#F6FAFD; font-family:-apple-system,BlinkMacSystemFont,Segoe UI,Roboto,Arial;">
+  <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="padding: 32px 0;">
+    <tr>
+      <td align="center">
+
+        <table role="presentation" width="600" cellpadding="0" cellspacing="0" border="0"
+          style="width:100%; max-width:800px; background:#FFFFFF; border-radius:18px; box-shadow:0 10px 30px rgba(15,23,42,0.08); overflow:hidden;">
+
+          <tr>
+            <td style="padding:20px 24px; border-bottom:1px solid #E5E7EB;">
+              <table width="100%">
+                <tr>
+                  <td>
+                    <img 
+                      src="https://quebecesim.ca/cdn/shop/files/1000008019.png?v=1737480349&width=600"
+                      alt="Québec eSIM"
+                      width="80"
+                      style="display:block; max-width:140px; height:auto;"
+                    />
+                  </td>
+                  <td align="right">
+                    <span style="display:inline-block; padding:8px 12px; border-radius:999px; background:${expired ? "#DC2626" : "#EA580C"}; color:#FFFFFF; font-weight:600; font-size:12px;">
+                      ${expired ? "Forfait expiré" : "Expiration proche"}
+                    </span>
+                  </td>
+                </tr>
+              </table>
+            </td>
+          </tr>
+
+          <tr>
+            <td style="padding:28px 24px;">
+
+              <h1 style="margin:0 0 16px; font-size:22px; color:#0F172A;">
+                ${esc(title)}
+              </h1>
+
+              <p style="font-size:15px; color:#334155; margin:0 0 14px;">
+                Bonjour <b>${esc(safeName)}</b>,
+              </p>
+
+              <p style="font-size:15px; color:#334155; margin:0 0 18px;">
+                ${intro}
+              </p>
+
+              <table width="100%" cellpadding="0" cellspacing="0" border="0"
+                style="background:#FFFFFF; border:1px solid #E5E7EB; border-radius:14px; padding:18px; margin-bottom:22px;">
+                <tr>
+                  <td style="padding:6px 0; font-size:14px; color:#475569;">
+                    <b>ICCID</b>
+                  </td>
+                  <td align="right" style="font-size:14px; color:#0F172A;">
+                    ${esc(iccid)}
+                  </td>
+                </tr>
+                <tr>
+                  <td style="padding:6px 0; font-size:14px; color:#475569;">
+                    <b>ID du forfait</b>
+                  </td>
+                  <td align="right" style="font-size:14px; color:#0F172A;">
+                    ${esc(planId)}
+                  </td>
+                </tr>
+              </table>
+
+              <table width="100%" cellpadding="0" cellspacing="0" border="0"
+                style="background:#F8FAFC; border:1px solid #E5E7EB; border-radius:14px; padding:18px; margin-bottom:22px;">
+                <tr>
+                  <td style="font-size:13px; color:#475569; line-height:1.45;">
+                    ${expired
+                      ? "Toujours en voyage ? Achetez une recharge pour réactiver votre eSIM actuelle, sans nouveau code QR."
+                      : "Vous restez plus longtemps ? Achetez une recharge avant l’expiration pour garder votre connexion sans interruption."}
+                  </td>
+                </tr>
+              </table>
+
+              <p style="font-size:14px; color:#334155; margin:0;">
+                Merci d’utiliser <b>Québec eSIM</b>.
+              </p>
+
+            </td>
+          </tr>
+
+          <tr>
+            <td style="padding:18px 24px; background:#F8FAFC; border-top:1px solid #E5E7EB; font-size:12px; color:#64748B;">
+              <b>Besoin d’aide ?</b>
+              <a href="https://quebecesim.ca/pages/contactez-nous" style="text-decoration:none; color:rgb(94,94,94);">
+                Contactez-nous
+              </a>
+            </td>
+          </tr>
+        </table>
+
+      </td>
+    </tr>
+  </table>
+</body>
+</html>`;
+
+  const result = await resend.emails.send({
+    from: emailFrom,
+    to,
+    bcc: INTERNAL_BCC,
+    subject,
+    html,
+  });
+
+  if (result?.error) {
+    console.error("❌ Resend plan expiry error:", result.error);
+    return false;
+  }
+
+  console.log("✅ Plan expiry email sent via Resend:", { to, kind, id: result?.data?.id });
+  return true;
+}
+
+async function sendAdminAlertEmail({ subject, html }) {
+  const to = (process.env.ALERT_EMAIL_TO || "").trim();
+  if (!emailEnabled || !to) {
+    console.warn("⚠️ Alert email not sent (missing RESEND config or ALERT_EMAIL_TO).");
+    return false;
+  }
+
+  const result = await resend.emails.send({ from: emailFrom, to, bcc: INTERNAL_BCC, subject, html });
+
+  if (result?.error) {
+    console.error("❌ Resend alert error:", result.error);
+    return false;
+  }
+  return true;
+}
+
+async function sendManualActionEmail({
+  orderId,
+  shopDomain,
+  customerEmail,
+  customerName,
+  variantId,
+  mayaPlanId,
+  iccid,
+  esimUid,
+  error,
+}) {
+  const to = "julia-marie@thewebix.ca";
+
+  // if Resend not configured, at least log it clearly
+  if (!emailEnabled) {
+    console.warn("⚠️ Manual-action email NOT sent (email not configured).", { orderId, error });
+    return false;
+  }
+
+  const subject = `⚠️ ACTION REQUISE: eSIM non sauvegardée sur Shopify (Order #${orderId})`;
+
+  const html = `
+    <div style="font-family:Arial; font-size:14px; color:#0F172A;">
+      <h2>Action manuelle requise</h2>
+      <p>La création d'eSIM dans Maya a réussi, mais <b>l’écriture Shopify (esims_json)</b> a échoué.</p>
+
+      <ul>
+        <li><b>Order ID</b>: ${esc(orderId)}</li>
+        <li><b>Shop</b>: ${esc(shopDomain || "")}</li>
+        <li><b>Client</b>: ${esc(customerName || "")} (${esc(customerEmail || "")})</li>
+        <li><b>Variant ID</b>: ${esc(variantId || "")}</li>
+        <li><b>Maya plan_type_id</b>: ${esc(mayaPlanId || "")}</li>
+        <li><b>ICCID</b>: ${esc(iccid || "")}</li>
+        <li><b>eSIM UID</b>: ${esc(esimUid || "")}</li>
+      </ul>
+
+      <p><b>Erreur:</b></p>
+      <pre style="background:#F1F5F9; padding:12px; border-radius:8px; white-space:pre-wrap;">${esc(
+        error?.message || String(error || "")
+      )}</pre>
+
+      <p><b>À faire:</b> Aller dans Shopify > commande #${esc(orderId)} > métachamps, et coller/ajouter l’eSIM (esims_json / iccid / uid).</p>
+    </div>
+  `;
+
+  const result = await resend.emails.send({
+    from: emailFrom,
+    to,
+    bcc: INTERNAL_BCC,
+    subject,
+    html,
+  });
+
+  if (result?.error) {
+    console.error("❌ Resend manual-action email error:", result.error);
+    return false;
+  }
+
+  console.log("✅ Manual-action email sent:", { to, id: result?.data?.id });
+  return true;
+}
+
+// -----------------------------
+// Middleware: JSON + raw body capture (for HMAC)
+// -----------------------------
+app.use(
+  express.json({
     verify: (req, _res, buf) => {
       req.rawBody = buf; // Buffer (raw bytes)
     },
   })
 );
 
-app.get("/", (_req, res) => res.send("Webhook server running :)"));
+app.get("/", (_req, res) => res.send("Webhook server running :)"));
+
+app.get("/test-email", async (_req, res) => {
+  try {
+    console.log("🧪 /test-email hit");
+    console.log("EMAIL_FROM =", emailFrom ? JSON.stringify(emailFrom) : "(empty)");
+    console.log("EMAIL_ENABLED =", emailEnabled);
+
+    if (!emailEnabled || !resend) {
+      return res.status(500).send("Email not configured (missing RESEND_API_KEY or EMAIL_FROM)");
+    }
+
+    const result = await resend.emails.send({
+      from: emailFrom, // must be a verified sender/domain in Resend
+      to: "julia-marie@thewebix.ca",
+      subject: "Resend test",
+      html: "<p>Email works 🎉</p>",
+    });
+
+    console.log("📨 Resend result:", result);
+
+    if (result?.error) {
+      console.error("❌ Resend error:", result.error);
+      return res.status(500).send(`Resend error: ${result.error.message || "unknown"}`);
+    }
+
+    return res.send(`Email queued ✅ id=${result?.data?.id || "no-id"}`);
+  } catch (err) {
+    console.error("❌ /test-email exception:", err);
+    return res.status(500).send("Failed to send (exception)");
+  }
+});
+
+// -----------------------------
+// CRON (protected endpoint)
+// -----------------------------
+// Customers are checked in parallel, at most this many at a time
+const USAGE_CRON_CONCURRENCY = Math.max(1, Number(process.env.USAGE_CRON_CONCURRENCY || 4));
+// Orders held in memory before their customers are checked
+const USAGE_CRON_BATCH_SIZE = Math.max(1, Number(process.env.USAGE_CRON_BATCH_SIZE || 200));
+
+// Runs both scheduler jobs through their leases, so a trigger never overlaps a scheduled run
+// (a job that ran within its interval is reported as not run)
+app.get("/cron/check-usage", requireCronAuth, async (req, res) => {
+  log.info("🕒 CRON check-usage triggered:", new Date().toISOString());
+
+  // Runs now whatever the in-process schedule did lately; only a run still in progress is skipped
+  const runs = {};
+  for (const name of ["check-usage", "plan-expiry"]) {
+    runs[name] = await scheduler.runJob(name, { trigger: true });
+  }
+
+  const failed = Object.values(runs).some((r) => r.error || r.reason === "lease_error");
+  const skipped = Object.keys(runs).filter((name) => !runs[name].ran && runs[name].reason !== "lease_error");
+
+  if (failed) {
+    console.error("❌ Cron check-usage failed:", runs);
+    return res.status(500).json({ ok: false, runs, skipped });
+  }
+
+  // Nothing ran (both jobs already running): tell the caller instead of a plain success
+  if (skipped.length === Object.keys(runs).length) {
+    log.warn("⏭️ Cron check-usage skipped, jobs already running:", skipped);
+    return res.status(409).json({ ok: false, error: "already_running", runs, skipped });
+  }
+
+  return res.status(200).json({ ok: true, runs, skipped });
+});
+
+// usage: data threshold emails; expiry: plan expiry reminders.
+// Stops between customers once `signal` is aborted (scheduler lease lost).
+async function runUsageCheck({ usage = true, expiry = true, signal = null } = {}) {
+  const summary = {
+    ok: true,
+    orders: 0,
+    customers: 0,
+    esimsChecked: 0,
+    activations: 0,
+    alertsSent: 0,
+    skipped: { expiredOrders: 0, orders: 0, esims: 0 },
+    errors: 0,
+  };
+
+  // Orders are handled in batches as the pages stream in, so memory stays flat whatever the window holds.
+  // Within a batch they are grouped by Maya customer (one customer fetch for all their orders); a
+  // customer whose orders span two batches is fetched once per batch.
+  let batch = new Map();
+  let batchOrders = 0;
+
+  const flush = async () => {
+    const groups = [...batch];
+    batch = new Map();
+    batchOrders = 0;
+    summary.customers += groups.length;
+
+    await runWithConcurrency(groups, USAGE_CRON_CONCURRENCY, async ([mayaCustomerId, orders]) => {
+      if (signal?.aborted) {
+        summary.aborted = true;
+        return;
+      }
+      await checkCustomerUsage({ mayaCustomerId, orders, summary, usage, expiry });
+    });
+  };
+
+  for await (const o of storage.esims.iterateOrdersWithEsims({ daysBack: 365 })) {
+    if (signal?.aborted) {
+      summary.aborted = true;
+      break;
+    }
+
+    summary.orders++;
+
+    if (isExpiredMarkRecent(o.esimsExpiredAt)) {
+      summary.skipped.expiredOrders++;
+      log.debug("⏭️ Skipping order (all plans expired):", { orderId: o.orderId, esimsExpiredAt: o.esimsExpiredAt });
+      continue;
+    }
+
+    if (!o.mayaCustomerId) {
+      summary.skipped.orders++;
+      log.warn("⚠️ Order missing mayaCustomerId; cannot send usage alert email.", {
+        orderId: o.orderId,
+        orderName: o.orderName,
+      });
+      continue;
+    }
+
+    const customerId = String(o.mayaCustomerId);
+    if (!batch.has(customerId)) batch.set(customerId, []);
+    batch.get(customerId).push(o);
+
+    if (++batchOrders >= USAGE_CRON_BATCH_SIZE) await flush();
+  }
+
+  if (batchOrders) await flush();
+
+  log.info("✅ Usage check done:", { usage, expiry, ...summary });
+  return summary;
+}
+
+async function checkCustomerUsage({ mayaCustomerId, orders, summary, usage, expiry }) {
+  // Fetch email + name from Maya (not Shopify) AND build an eSIM index from the same payload
+  let mayaDetails = null;
+  try {
+    mayaDetails = await getMayaCustomerDetails(mayaCustomerId);
+  } catch (err) {
+    summary.errors++;
+    summary.skipped.orders += orders.length;
+    log.warn("⚠️ Failed to fetch Maya customer details for usage check:", {
+      mayaCustomerId,
+      orderIds: orders.map((o) => o.orderId),
+      err: err?.message || err,
+    });
+    return;
+  }
+
+  const email = String(mayaDetails?.customer?.email || "").trim();
+  const firstName = String(mayaDetails?.customer?.first_name || "").trim();
+  const mayaEsimIndex = buildMayaEsimIndex(mayaDetails);
+
+  for (const order of orders) {
+    try {
+      await checkOrderUsage({ order, email, firstName, mayaEsimIndex, summary, usage, expiry });
+    } catch (err) {
+      summary.errors++;
+      log.error("❌ Usage check failed for order:", { orderId: order.orderId, err: err?.message || err });
+    }
+  }
+}
+
+async function checkOrderUsage({ order, email, firstName, mayaEsimIndex, summary, usage, expiry }) {
+  const { orderId, esims, mayaCustomerId } = order;
+
+  log.info(`\n🧾 Order ${orderId} — eSIMs found: ${esims.length}`);
+
+  let expiredEsims = 0;
+
+  for (const e of esims) {
+    const iccid = normalizeIccid(e?.iccid);
+    if (!iccid) {
+      summary.skipped.esims++;
+      continue;
+    }
+
+    log.info(`🔎 Usage check — order ${orderId} — ICCID: ${iccid}`);
+
+    const mayaEsim = mayaEsimIndex.get(iccid);
+    if (!mayaEsim) {
+      summary.skipped.esims++;
+      log.warn("⚠️ ICCID not found in Maya customer payload (skipping)", { orderId, iccid, mayaCustomerId });
+      continue;
+    }
+
+    summary.esimsChecked++;
+
+    const plans = Array.isArray(mayaEsim?.plans) ? mayaEsim.plans : [];
+    log.debug("📦 Plans found (from customer payload):", plans.length);
+
+    if (usage) await checkFirstActivation({ order, iccid, mayaEsim, plans, email, firstName, summary });
+    if (expiry) await checkPlanExpiry({ orderId, iccid, plans, email, firstName, summary });
+
+    if (plans.length && plans.every(isPlanExpired)) {
+      expiredEsims++;
+      log.debug("ℹ️ Skipping usage check (all plans expired)", { orderId, iccid });
+      continue;
+    }
+
+    if (!usage) continue;
+
+    const activePlan = pickCurrentPlan(plans);
+    if (!activePlan) {
+      log.warn("⚠️ No usable plan found for ICCID (skipping)", { orderId, iccid });
+      continue;
+    }
+
+    // ✅ Only alert if the plan is activated AND network is ACTIVE/ENABLED
+    const activatedRaw = String(activePlan?.date_activated || "");
+    const isActivated = activatedRaw && activatedRaw !== "0000-00-00 00:00:00";
+
+    const netRaw = String(activePlan?.network_status || "").toUpperCase();
+    const isNetActive = netRaw === "ACTIVE" || netRaw === "ENABLED";
+
+    // An exhausted plan may no longer report ACTIVE, but it still deserves the 100% email
+    const exhausted = Number(activePlan?.data_quota_bytes || 0) > 0 && Number(activePlan?.data_bytes_remaining || 0) <= 0;
+
+    if (!isActivated || (!isNetActive && !exhausted)) {
+      log.debug("ℹ️ Skipping usage alert (plan not active)", {
+        iccid,
+        planId: activePlan?.id,
+        date_activated: activatedRaw,
+        network_status: netRaw,
+      });
+      continue;
+    }
+
+    const totalBytes = Number(activePlan?.data_quota_bytes || 0);
+    const remainingBytes = Number(activePlan?.data_bytes_remaining || 0);
+
+    if (!Number.isFinite(totalBytes) || totalBytes <= 0) {
+      log.warn("⚠️ Invalid data quota for ICCID", { orderId, iccid, totalBytes });
+      continue;
+    }
+
+    const usedBytes = totalBytes - remainingBytes;
+    // Rounding must not show 100% while data is left: only an exhausted plan is at 100
+    const percentUsed = exhausted ? 100 : Math.min(99, Math.round((usedBytes / totalBytes) * 100));
+
+    // Important summary log only
+    log.info("📊 Usage", { orderId, iccid, planId: activePlan?.id, percentUsed });
+
+    // Highest configured level reached; lower levels are implied and never sent afterwards
+    const threshold = [...USAGE_ALERT_THRESHOLDS].reverse().find((t) => (t >= 100 ? exhausted : percentUsed >= t));
+
+    if (!Number.isFinite(percentUsed) || !threshold) continue;
+
+    const key = usageAlertKey(threshold, iccid, activePlan?.id);
+
+    let alreadySent = false;
+    try {
+      const sentKeys = await storage.alerts.listSent(orderId);
+      // Keys written before they carried the plan id still count while the eSIM has its one and only plan
+      alreadySent = sentKeys.includes(key) || (plans.length === 1 && legacyUsageAlertSent(sentKeys, iccid, threshold));
+    } catch (err) {
+      summary.errors++;
+      log.error("❌ Could not read usage alert flag:", err?.message || err);
+    }
+
+    if (alreadySent) {
+      log.info(`ℹ️ Usage alert already sent for ${orderId}:${key}, skipping.`);
+      continue;
+    }
+
+    if (!email) {
+      log.warn(
+        `⚠️ Usage alert triggered (${percentUsed}%) but no customer email could be resolved (mayaCustomerId=${mayaCustomerId || "none"}). Order ${orderId}`
+      );
+      continue;
+    }
+
+    const planTypeId = activePlan?.plan_type?.id;
+
+    // The link is a bonus: the alert still goes out without it
+    let recharge = null;
+    try {
+      recharge = await findRechargeVariant(planTypeId);
+      if (!recharge) log.warn("⚠️ No recharge variant for plan type (alert sent without link):", { orderId, planTypeId });
+    } catch (err) {
+      log.warn("⚠️ Could not look up recharge variant:", { orderId, planTypeId, err: err?.message || err });
+    }
+
+    try {
+      const sent = await sendUsageAlertEmail({
+        to: email,
+        firstName,
+        orderId,
+        percentUsed,
+        thresholdPercent: threshold,
+        iccid,
+        planId: activePlan?.id,
+        planName: activePlan?.plan_type?.name || findCatalogPlan(getCachedMayaCatalog(), planTypeId)?.name || "",
+        usedBytes,
+        remainingBytes: Math.max(0, remainingBytes),
+        expiresAt: planExpiryTime(activePlan),
+        rechargeUrl: rechargeCartUrl({ variantId: recharge?.variantId, email }),
+      });
+      if (sent) summary.alertsSent++;
+
+      await storage.alerts.markSent(orderId, key);
+      log.info(`✅ Marked usage alert as sent for ${orderId}:${key}`);
+    } catch (err) {
+      summary.errors++;
+      log.error("❌ Failed to send/mark usage alert email:", err?.message || err);
+    }
+  }
+
+  // Later runs skip the order until the mark is ESIMS_EXPIRED_RECHECK_DAYS old.
+  // Only once expiry reminders were checked, or the "expired" email would never go out.
+  if (expiry && expiredEsims > 0 && expiredEsims === esims.length) {
+    try {
+      await storage.esims.markOrderExpired(orderId);
+      log.info("🗄️ All plans expired, order will be skipped:", { orderId });
+    } catch (err) {
+      summary.errors++;
+      log.error("❌ Could not mark order as expired:", err?.message || err);
+    }
+  }
+}
+
+// -----------------------------
+// First activation (CRON)
+// -----------------------------
+// Activations older than this are recorded but not announced (e.g. on the first run after deploy)
+const ACTIVATION_NOTICE_HOURS = 72;
+
+// Records each plan the first time it is seen activated (with the time from purchase), and sends
+// the "you're connected" email for the eSIM's first plan, once per eSIM.
+async function checkFirstActivation({ order, iccid, mayaEsim, plans, email, firstName, summary }) {
+  const { orderId, createdAt } = order;
+  const known = Array.isArray(order.activations) ? order.activations : [];
+  const orderTime = Date.parse(createdAt || "");
+
+  const activated = plans
+    .filter(isPlanActivated)
+    .map((plan) => ({ plan, activatedAt: parseMayaTime(plan.date_activated) }))
+    .filter((a) => a.plan?.id && a.activatedAt !== null)
+    .sort((a, b) => a.activatedAt - b.activatedAt);
+
+  for (const { plan, activatedAt } of activated) {
+    const seen = known.some((k) => normalizeIccid(k?.iccid) === iccid && String(k?.planId) === String(plan.id));
+    if (seen) continue;
+
+    const entry = {
+      iccid,
+      planId: plan.id,
+      planTypeId: plan?.plan_type?.id || null,
+      activatedAt: new Date(activatedAt).toISOString(),
+      orderCreatedAt: Number.isFinite(orderTime) ? new Date(orderTime).toISOString() : null,
+      purchaseToActivationMinutes: Number.isFinite(orderTime) ? Math.round((activatedAt - orderTime) / 60000) : null,
+    };
+
+    try {
+      await storage.esims.recordActivation(orderId, entry);
+      known.push(entry);
+      summary.activations++;
+      log.info("📶 Plan activated:", { orderId, ...entry });
+    } catch (err) {
+      summary.errors++;
+      log.error("❌ Could not record plan activation:", { orderId, iccid, planId: plan.id, err: err?.message || err });
+    }
+  }
+
+  // Top-ups get their own email when bought, so only the eSIM's first plan is announced
+  const first = activated[0];
+  if (!first || Date.now() - first.activatedAt > ACTIVATION_NOTICE_HOURS * 60 * 60 * 1000) return;
+
+  const key = activationWelcomeKey(iccid);
+
+  try {
+    if (await storage.alerts.wasSent(orderId, key)) return;
+  } catch (err) {
+    summary.errors++;
+    log.error("❌ Could not read activation email flag:", err?.message || err);
+    return;
+  }
+
+  if (!email) {
+    log.warn("⚠️ eSIM activated but no customer email could be resolved", { orderId, iccid });
+    return;
+  }
+
+  const planTypeId = first.plan?.plan_type?.id;
+  const catalogPlan = findCatalogPlan(getCachedMayaCatalog(), planTypeId);
+
+  try {
+    const sent = await sendActivationEmail({
+      to: email,
+      firstName,
+      orderId,
+      planName: first.plan?.plan_type?.name || catalogPlan?.name || "",
+      validityDays: catalogPlan?.validityDays || null,
+      expiresAt: planExpiryTime(first.plan),
+      apn: mayaEsim?.apn || (process.env.ESIM_APN || "").trim() || null,
+    });
+    if (sent) summary.alertsSent++;
+
+    await storage.alerts.markSent(orderId, key);
+    log.info(`✅ Marked activation email as sent for ${orderId}:${key}`);
+  } catch (err) {
+    summary.errors++;
+    log.error("❌ Failed to send/mark activation email:", err?.message || err);
+  }
+}
+
+// -----------------------------
+// Plan expiry reminders (CRON)
+// -----------------------------
+const PLAN_EXPIRY_REMINDER_HOURS = Number(process.env.PLAN_EXPIRY_REMINDER_HOURS || 48);
+// Plans that ended before this window are not announced (e.g. on the first run after deploy)
+const PLAN_EXPIRED_NOTICE_HOURS = 72;
+
+// "48h" when an activated plan ends soon, "expired" once it has ended; each sent once per plan.
+// Plans no longer than the reminder window only get "expired".
+// Skipped while another plan on the same eSIM (a top-up) keeps it usable.
+async function checkPlanExpiry({ orderId, iccid, plans, email, firstName, summary }) {
+  const now = Date.now();
+
+  for (const plan of plans) {
+    if (!plan?.id || !isPlanActivated(plan)) continue;
+
+    const expiresAt = planExpiryTime(plan);
+    if (expiresAt === null) continue;
+
+    const hoursLeft = (expiresAt - now) / (60 * 60 * 1000);
+
+    // A plan that lasts no longer than the reminder window would get its reminder at activation
+    const activatedAt = parseMayaTime(plan.date_activated);
+    const validityHours = activatedAt === null ? null : (expiresAt - activatedAt) / (60 * 60 * 1000);
+    const shortPlan = validityHours !== null && validityHours <= PLAN_EXPIRY_REMINDER_HOURS;
+
+    let kind = null;
+    if (hoursLeft > 0 && hoursLeft <= PLAN_EXPIRY_REMINDER_HOURS && !shortPlan) kind = "48h";
+    else if (hoursLeft <= 0 && hoursLeft > -PLAN_EXPIRED_NOTICE_HOURS) kind = "expired";
+    if (!kind) continue;
+
+    const otherPlanKeepsEsimUsable = plans.some((p) => {
+      if (p === plan || isPlanExpired(p)) return false;
+      const otherEnd = planExpiryTime(p);
+      return otherEnd === null || otherEnd > expiresAt;
+    });
+    if (otherPlanKeepsEsimUsable) {
+      log.debug("ℹ️ Plan ending but another plan keeps the eSIM usable", { orderId, iccid, planId: plan.id });
+      continue;
+    }
+
+    const key = planExpiryAlertKey(kind, iccid, plan.id);
+
+    try {
+      if (await storage.alerts.wasSent(orderId, key)) continue;
+    } catch (err) {
+      summary.errors++;
+      log.error("❌ Could not read plan expiry flag:", err?.message || err);
+      continue;
+    }
+
+    if (!email) {
+      log.warn("⚠️ Plan expiry reminder due but no customer email could be resolved", { orderId, iccid, kind });
+      continue;
+    }
+
+    try {
+      const sent = await sendPlanExpiryEmail({ to: email, firstName, orderId, iccid, planId: plan.id, kind, expiresAt });
+      if (sent) summary.alertsSent++;
+
+      await storage.alerts.markSent(orderId, key);
+      log.info(`✅ Marked plan expiry reminder as sent for ${orderId}:${key}`);
+    } catch (err) {
+      summary.errors++;
+      log.error("❌ Failed to send/mark plan expiry email:", err?.message || err);
+    }
+  }
+}
+
+// -----------------------------
+// Small helpers
+// -----------------------------
+function normId(x) {
+  return String(x || "").trim().toLowerCase();
+}
+
+// Calls fn for every item, with at most `limit` calls in flight
+async function runWithConcurrency(items, limit, fn) {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      await fn(item);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+}
+
+function normalizeIccid(x) {
+  return String(x || "").replace(/\s+/g, "").trim();
+}
+
+function buildMayaEsimIndex(mayaDetails) {
+  const esims = Array.isArray(mayaDetails?.customer?.esims) ? mayaDetails.customer.esims : [];
+  const byIccid = new Map();
+
+  for (const e of esims) {
+    const iccid = normalizeIccid(e?.iccid);
+    if (!iccid) continue;
+
+    byIccid.set(iccid, {
+      iccid,
+      uid: e?.uid || null,
+      apn: e?.apn || null,
+      state: e?.state || null,
+      service_status: e?.service_status || null,
+      plans: Array.isArray(e?.plans) ? e.plans : [],
+    });
+  }
+
+  return byIccid;
+}
+
+function pickBuyerFromOrder(order) {
+  const email = order?.email || order?.contact_email || "";
+
+  const firstName =
+    order?.customer?.first_name ||
+    order?.billing_address?.first_name ||
+    order?.shipping_address?.first_name ||
+    "";
+
+  const lastName =
+    order?.customer?.last_name ||
+    order?.billing_address?.last_name ||
+    order?.shipping_address?.last_name ||
+    "";
+
+  const countryIso2 =
+    order?.billing_address?.country_code ||
+    order?.shipping_address?.country_code ||
+    "US";
+
+  return { email, firstName, lastName, countryIso2 };
+}
+
+function isPlanActivated(plan) {
+  const da = String(plan?.date_activated || "");
+  return Boolean(da && da !== "0000-00-00 00:00:00");
+}
+
+// Maya sets date_expiry once a plan has started; a past date (or an EXPIRED network status) means it is over
+function isPlanExpired(plan) {
+  const ns = String(plan?.network_status || "").toUpperCase();
+  if (ns === "EXPIRED") return true;
+
+  const t = planExpiryTime(plan);
+  return t !== null && t < Date.now();
+}
+
+// When the plan ends (ms), or null if it has not started / Maya gave no date
+function planExpiryTime(plan) {
+  return parseMayaTime(plan?.date_expiry || plan?.end_time);
+}
+
+// Maya timestamp -> ms, or null for empty / "0000-00-00 00:00:00"
+function parseMayaTime(value) {
+  const raw = String(value || "");
+  if (!raw || raw === "0000-00-00 00:00:00") return null;
+
+  // "YYYY-MM-DD HH:MM:SS" from Maya is UTC
+  const t = Date.parse(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(raw) ? raw.replace(" ", "T") + "Z" : raw);
+  return Number.isFinite(t) ? t : null;
+}
+
+// A top-up can revive an expired eSIM, so expired orders are re-checked now and then
+const ESIMS_EXPIRED_RECHECK_DAYS = Number(process.env.ESIMS_EXPIRED_RECHECK_DAYS || 7);
+
+function isExpiredMarkRecent(esimsExpiredAt) {
+  const t = Date.parse(esimsExpiredAt || "");
+  if (!Number.isFinite(t)) return false;
+  return Date.now() - t < ESIMS_EXPIRED_RECHECK_DAYS * 24 * 60 * 60 * 1000;
+}
+
+function pickCurrentPlan(plans) {
+  if (!Array.isArray(plans) || plans.length === 0) return null;
+
+  const isActiveNet = (p) => {
+    const ns = String(p?.network_status || "").toUpperCase();
+    // Maya examples you've seen: ACTIVE / NOT_ACTIVE
+    return ns === "ACTIVE" || ns === "ENABLED";
+  };
+
+  const withRemaining = (arr) =>
+    arr.filter((p) => Number(p?.data_bytes_remaining || 0) > 0);
+
+  // Priority pools (highest to lowest)
+  const pools = [
+    // Activated + network ACTIVE first
+    withRemaining(plans.filter((p) => isPlanActivated(p) && isActiveNet(p))),
+    // Activated (even if network status isn't ACTIVE)
+    withRemaining(plans.filter((p) => isPlanActivated(p))),
+    // Anything with remaining data
+    withRemaining(plans),
+    // Fallback: any plan
+    plans,
+  ];
+
+  const pool = pools.find((p) => p.length > 0) || plans;
+
+  // newest start_time wins
+  const sorted = [...pool].sort((a, b) => {
+    const ta = Date.parse(String(a?.start_time || "")) || 0;
+    const tb = Date.parse(String(b?.start_time || "")) || 0;
+    return tb - ta;
+  });
+
+  return sorted[0] || null;
+}
+
+// -----------------------------
+// Customer identity (readme step 3)
+// -----------------------------
+// Lookup order: Shopify customer metafield -> this order (retry) -> local identity by normalized email.
+// A Maya customer is only created when all of them miss; the mapping is then saved everywhere.
+async function resolveMayaCustomerId({ orderId, email, firstName, lastName, countryIso2, shopifyCustomerId }) {
+  let mayaCustomerId = null;
+  let source = null;
+
+  if (shopifyCustomerId) {
+    try {
+      const existing = await storage.identities.findByShopifyCustomerId(shopifyCustomerId);
+      const existingTrimmed = (existing || "").trim();
+      if (existingTrimmed) {
+        mayaCustomerId = existingTrimmed;
+        source = "shopify_customer";
+        console.log("✅ Reusing Maya customer id from Shopify customer metafield:", mayaCustomerId);
+      }
+    } catch (e) {
+      console.error("❌ Could not read Shopify customer metafield:", e.message);
+    }
+  } else {
+    console.warn("⚠️ No Shopify customer on order (guest checkout).");
+  }
+
+  // A retry of this order reuses the customer the first run created
+  if (!mayaCustomerId) {
+    try {
+      mayaCustomerId = await storage.orders.getMayaCustomerId(orderId);
+      if (mayaCustomerId) {
+        source = "order";
+        console.log("✅ Reusing Maya customer id from Shopify ORDER metafield:", mayaCustomerId);
+      }
+    } catch (e) {
+      console.error("❌ Could not read Maya customer id on ORDER:", e?.message || e);
+    }
+  }
+
+  if (!mayaCustomerId && email) {
+    try {
+      const identity = await storage.identities.findByEmail(email);
+      if (identity?.mayaCustomerId) {
+        mayaCustomerId = identity.mayaCustomerId;
+        source = "email";
+        console.log("✅ Reusing Maya customer id from identity store (email):", mayaCustomerId);
+      }
+    } catch (e) {
+      console.error("❌ Could not read identity store:", e?.message || e);
+    }
+  }
+
+  if (!mayaCustomerId) {
+    // Throws MayaApiError; the caller decides whether to retry
+    const created = await createMayaCustomer({
+      email,
+      firstName,
+      lastName,
+      countryIso2,
+      tag: emailHashTag(email) || String(orderId),
+    });
+
+    mayaCustomerId = created.customerId;
+    source = "created";
+    console.log("✅ Maya customer created:", mayaCustomerId);
+  }
+
+  if (email) {
+    try {
+      await storage.identities.saveForEmail({ email, mayaCustomerId, shopifyCustomerId });
+    } catch (e) {
+      console.error("❌ Failed saving customer identity:", e?.message || e);
+    }
+  }
+
+  if (shopifyCustomerId && source !== "shopify_customer") {
+    try {
+      await storage.identities.saveForShopifyCustomer(shopifyCustomerId, mayaCustomerId);
+      console.log("✅ Saved Maya customer id to Shopify customer metafield:", {
+        shopifyCustomerId,
+        mayaCustomerId,
+      });
+    } catch (e) {
+      console.error("❌ Failed saving Maya customer id to Shopify:", e.message);
+    }
+  }
+
+  return mayaCustomerId;
+}
+
+// -----------------------------
+// orders/paid: per-unit provisioning
+// -----------------------------
+// Customer eSIMs are loaded once per run (ctx.cache is shared by every unit of the order)
+async function findCustomerEsimByTag(ctx, tag) {
+  if (!ctx.cache.mayaDetails) {
+    ctx.cache.mayaDetails = await getMayaCustomerDetails(ctx.mayaCustomerId);
+  }
+  const esims = Array.isArray(ctx.cache.mayaDetails?.customer?.esims) ? ctx.cache.mayaDetails.customer.esims : [];
+  return esims.find((e) => String(e?.tag || "").trim() === tag) || null;
+}
+
+// Acts on a failed Maya call for one unit (readme section 5):
+//   transient        -> keep the status, the job retries with backoff
+//   failed_auth      -> terminal, alert, never retried automatically
+//   failed_configuration -> terminal, alert, needs a plan/product fix
+async function failUnitOnMayaError(ctx, unit, error, step) {
+  const failure = classifyMayaError(error);
+  const lastError = error?.message || String(error);
+
+  if (failure === MAYA_FAILURE.TRANSIENT) {
+    transitionUnit(unit, unit.status, { lastError });
+  } else {
+    transitionUnit(
+      unit,
+      failure === MAYA_FAILURE.AUTH ? UNIT_STATUS.FAILED_AUTH : UNIT_STATUS.FAILED_CONFIGURATION,
+      { lastError, mayaStatus: error?.status || null, mayaCode: error?.code || null }
+    );
+  }
+  await ctx.persist();
+
+  if (failure !== MAYA_FAILURE.TRANSIENT) {
+    await alertMayaFailure(ctx, { failure, error, step, unit });
+  }
+
+  return failure;
+}
+
+async function alertMayaFailure(ctx, { failure, error, step, unit = null }) {
+  const { orderId, email, alerted } = ctx;
+  if (alerted?.has(failure)) return false;
+  alerted?.add(failure);
+
+  const isAuth = failure === MAYA_FAILURE.AUTH;
+
+  return sendAdminAlertEmail({
+    subject: isAuth
+      ? `🚨 Maya authentication failed — provisioning stopped (Order #${orderId})`
+      : `⚠️ Maya rejected the plan/product — check configuration (Order #${orderId})`,
+    html: `
+      <p>${
+        isAuth
+          ? "Maya refused our credentials (401/403). Check <code>MAYA_AUTH</code> and the Maya account. This order will <b>not</b> be retried automatically."
+          : "Maya rejected the request (plan unavailable or product mismatch). Fix the variant's <code>custom.maya_plan_id</code>, then replay the order."
+      }</p>
+      <ul>
+        <li><b>Order ID</b>: ${esc(orderId)}</li>
+        <li><b>Email</b>: ${esc(email || "")}</li>
+        <li><b>Step</b>: ${esc(step)}</li>
+        ${unit ? `<li><b>Unit</b>: ${esc(unit.key)} (${esc(unit.title || "")})</li>` : ""}
+        <li><b>HTTP status</b>: ${esc(error?.status || "")}</li>
+        <li><b>Maya code</b>: ${esc(error?.code || "")}</li>
+      </ul>
+      <pre style="background:#F1F5F9; padding:12px; border-radius:8px; white-space:pre-wrap;">${esc(
+        JSON.stringify(error?.body ?? error?.message ?? String(error), null, 2)
+      )}</pre>
+    `,
+  });
+}
+
+// New eSIM: created → provisioning → waiting_for_qr → completed
+async function provisionEsimUnit(ctx, unit) {
+  const { orderId, email, firstName, lastName, mayaCustomerId, shopDomain, item, variantId, mayaPlanId, persist } = ctx;
+  let esim = null;
+
+  if (unit.status === UNIT_STATUS.CREATED || unit.status === UNIT_STATUS.PROVISIONING) {
+    transitionUnit(unit, UNIT_STATUS.PROVISIONING, { attempts: Number(unit.attempts || 0) + 1 });
+    await persist();
+
+    const tag = esimUnitTag({ orderId, lineItemId: item.id, unitIndex: unit.unitIndex });
+
+    try {
+      // A previous run may have created the eSIM and crashed before saving it: reuse it
+      const existing = await findCustomerEsimByTag(ctx, tag);
+
+      if (existing?.iccid) {
+        esim = (await getMayaEsimDetailsByIccid(existing.iccid)) || existing;
+        console.log("♻️ Reusing Maya eSIM already created for this unit:", { orderId, unit: unit.key, tag, iccid: esim?.iccid });
+      } else {
+        const mayaResp = await createMayaEsim({
+          planTypeId: mayaPlanId,
+          customerId: mayaCustomerId,
+          tag,
+        });
+        esim = mayaResp?.esim || null;
+
+        console.log("✅ Maya eSIM created:", {
+          maya_customer_id: mayaCustomerId,
+          maya_esim_uid: esim?.uid,
+          iccid: esim?.iccid,
+          tag,
+        });
+      }
+    } catch (e) {
+      console.error("❌ Maya provisioning error:", e.message);
+      await failUnitOnMayaError(ctx, unit, e, "create eSIM");
+      return;
+    }
+
+    transitionUnit(unit, UNIT_STATUS.WAITING_FOR_QR, {
+      iccid: esim?.iccid || null,
+      esimUid: esim?.uid || null,
+      lastError: null,
+    });
+    await persist();
+
+    try {
+      await storage.esims.add(orderId, {
+        iccid: esim?.iccid,
+        esimUid: esim?.uid,
+        lineItemId: item.id,
+      });
+      console.log("✅ Saved eSIM info to Shopify order:", { orderId, iccid: esim?.iccid, esimUid: esim?.uid });
+    } catch (e) {
+      console.error("❌ Failed to save eSIM info to Shopify order:", e?.message || e);
+
+      try {
+        await sendManualActionEmail({
+          orderId,
+          shopDomain,
+          customerEmail: email,
+          customerName: `${firstName || ""} ${lastName || ""}`.trim(),
+          variantId,
+          mayaPlanId,
+          iccid: esim?.iccid,
+          esimUid: esim?.uid,
+          error: e,
+        });
+      } catch (mailErr) {
+        console.error("❌ Failed to send manual-action email:", mailErr?.message || mailErr);
+      }
+    }
+  } else if (unit.status === UNIT_STATUS.WAITING_FOR_QR && unit.iccid) {
+    // eSIM was created on an earlier run; only the QR email is missing
+    try {
+      esim = await getMayaEsimDetailsByIccid(unit.iccid);
+    } catch (e) {
+      console.error("❌ Could not reload eSIM for QR email:", unit.iccid, e?.message || e);
+      await failUnitOnMayaError(ctx, unit, e, "get eSIM details");
+      return;
+    }
+  }
+
+  const pendingQr = {
+    orderId,
+    unitKey: unit.key,
+    iccid: esim?.iccid || unit.iccid,
+    to: email,
+    firstName,
+    planName: item.variant_title,
+    country: item.title,
+  };
+
+  // Nothing can poll Maya for the QR without an ICCID: staff has to find the eSIM by its tag
+  if (!pendingQr.iccid) {
+    const lastError = "Maya returned no ICCID for the eSIM";
+    console.error("❌ eSIM unit has no ICCID, cannot wait for its QR:", { orderId, unit: unit.key });
+    transitionUnit(unit, UNIT_STATUS.FAILED_CONFIGURATION, { lastError });
+    await persist();
+    await sendAdminAlertEmail({
+      subject: `⚠️ eSIM created without ICCID — send the QR manually (Order #${orderId})`,
+      html: `
+        <p>Maya created (or may have created) an eSIM for this unit but did not return its ICCID, so its QR code cannot be sent automatically.</p>
+        <ul>
+          <li><b>Order ID</b>: ${esc(orderId)}</li>
+          <li><b>Email</b>: ${esc(email || "")}</li>
+          <li><b>Unit</b>: ${esc(unit.key)} (${esc(unit.title || "")})</li>
+          <li><b>Maya tag</b>: ${esc(esimUnitTag({ orderId, lineItemId: unit.lineItemId, unitIndex: unit.unitIndex }))}</li>
+        </ul>
+      `,
+    });
+    return;
+  }
+
+  // Maya sometimes returns the eSIM before its activation code: the QR poller takes over
+  if (!esim?.activation_code) {
+    console.warn("⏳ No activation code yet, waiting for QR:", { orderId, unit: unit.key, iccid: pendingQr.iccid });
+    transitionUnit(unit, UNIT_STATUS.WAITING_FOR_QR, { lastError: "Maya has not returned an activation code yet" });
+    trackPendingQr(pendingQr);
+    await persist();
+    return;
+  }
+
+  let sent = false;
+  try {
+    sent = await sendEsimEmail({
+      to: email,
+      firstName,
+      orderId,
+      activationCode: esim?.activation_code,
+      manualCode: esim?.manual_code,
+      smdpAddress: esim?.smdp_address,
+      apn: esim?.apn,
+      planName: item.variant_title,
+      iccid: esim?.iccid || unit.iccid,
+      country: item.title,
+    });
+  } catch (e) {
+    console.error("❌ Failed to send eSIM email:", e?.message || e);
+  }
+
+  if (sent) {
+    transitionUnit(unit, UNIT_STATUS.COMPLETED, { lastError: null });
+    clearPendingQr(orderId, unit.key);
+  } else {
+    transitionUnit(unit, UNIT_STATUS.WAITING_FOR_QR, { lastError: "QR email not sent" });
+    trackPendingQr(pendingQr);
+  }
+  await persist();
+}
+
+// Top-up: created → topup_processing → completed (all units of one line item go to the same eSIM)
+// A top-up POST with no clear answer: re-posting could charge the customer's eSIM twice,
+// so the unit stops here and support checks Maya
+async function failTopUpOutcomeUnknown(ctx, unit, { tag, iccid, error = null }) {
+  const { orderId, email } = ctx;
+  const lastError = `Top-up outcome unknown${error ? ` (${error?.message || error})` : ""}: check Maya for plan tag ${tag}`;
+
+  transitionUnit(unit, UNIT_STATUS.FAILED_CONFIGURATION, { lastError });
+  await ctx.persist();
+  console.error("❌ Top-up outcome unknown, sent to manual review:", { orderId, unit: unit.key, iccid, tag });
+
+  return sendAdminAlertEmail({
+    subject: `⚠️ Top-up may or may not have been applied — check Maya (Order #${orderId})`,
+    html: `
+      <p>A top-up request to Maya got no clear answer (timeout, network error or 5xx), or the process stopped before saving the result.
+      It was <b>not</b> retried automatically, so the customer is never topped up twice.</p>
+      <ul>
+        <li><b>Order ID</b>: ${esc(orderId)}</li>
+        <li><b>Email</b>: ${esc(email || "")}</li>
+        <li><b>Unit</b>: ${esc(unit.key)} (${esc(unit.title || "")})</li>
+        <li><b>ICCID</b>: ${esc(iccid || "")}</li>
+        <li><b>Maya tag</b>: ${esc(tag)}</li>
+        <li><b>Error</b>: ${esc(error?.message || "")}</li>
+      </ul>
+      <p>If the plan is not on the eSIM in Maya, add it there manually.</p>
+    `,
+  });
+}
+
+async function provisionTopUpUnits(ctx, units) {
+  const { orderId, email, firstName, mayaCustomerId, item, variantId, mayaPlanId, persist } = ctx;
+  const qty = units.length;
+
+  console.log("🔄 Entering TOP-UP flow", { orderId, variantId, qty, mayaPlanId, mayaCustomerId });
+
+  const failConfiguration = async (lastError) => {
+    for (const u of units) transitionUnit(u, UNIT_STATUS.FAILED_CONFIGURATION, { lastError });
+    await persist();
+  };
+
+  if (!mayaCustomerId) {
+    await sendAdminAlertEmail({
+      subject: `⚠️ Top-up received but no Maya customer id (Order #${orderId})`,
+      html: `
+        <p>Order contains a <b>top-up</b>, but we could not resolve a Maya customer id.</p>
+        <ul>
+          <li><b>Order ID</b>: ${orderId}</li>
+          <li><b>Email</b>: ${email || ""}</li>
+          <li><b>Variant ID</b>: ${variantId}</li>
+          <li><b>Maya plan_type_id</b>: ${mayaPlanId}</li>
+        </ul>
+        <p>No action was taken. Please contact the customer.</p>
+      `,
+    });
+    await failConfiguration("No Maya customer id for top-up");
+    return;
+  }
+
+  let mayaDetails = null;
+  try {
+    mayaDetails = await getMayaCustomerDetails(mayaCustomerId);
+  } catch (e) {
+    console.error("❌ Top-up: could not fetch Maya customer:", mayaCustomerId, e?.message || e);
+    for (const u of units) await failUnitOnMayaError(ctx, u, e, "get customer (top-up)");
+    return;
+  }
+
+  const customer = mayaDetails?.customer;
+  const esims = Array.isArray(customer?.esims) ? customer.esims : [];
+  console.log("👤 Maya customer loaded", { mayaCustomerId, esims_count: esims.length });
+
+  const candidateEsims = esims.filter((e) => {
+    const state = String(e?.state || "").toLowerCase();
+    const service = String(e?.service_status || "").toLowerCase();
+    if (state.includes("terminated") || state.includes("cancel")) return false;
+    if (service.includes("terminated") || service.includes("cancel")) return false;
+    return true;
+  });
+
+  console.log(
+    "📱 candidateEsims:",
+    candidateEsims.map((e) => ({
+      iccid: e.iccid,
+      uid: e.uid,
+      state: e.state,
+      service_status: e.service_status,
+      plans_count: Array.isArray(e.plans) ? e.plans.length : 0,
+    }))
+  );
+
+  const planCandidates = [];
+  for (const e of candidateEsims) {
+    const plans = Array.isArray(e?.plans) ? e.plans : [];
+    for (const p of plans) {
+      planCandidates.push({
+        iccid: e?.iccid,
+        esimUid: e?.uid,
+        planId: p?.id,
+        planTypeId: p?.plan_type?.id,
+        planTypeName: p?.plan_type?.name,
+        rawPlan: p,
+      });
+    }
+  }
+
+  let best = null;
+  const exact = planCandidates.filter((c) => c.planTypeId && normId(c.planTypeId) === normId(mayaPlanId));
+
+  if (exact.length > 0) best = exact[0];
+
+  if (!best?.iccid) {
+    await sendAdminAlertEmail({
+      subject: `⚠️ Top-up reçu mais aucune eSIM trouvée (Order #${orderId})`,
+      html: `
+        <p>Le client a acheté une <b>recharge</b>, mais aucune eSIM n’a été trouvée.</p>
+        <ul>
+          <li><b>Order ID</b>: ${orderId}</li>
+          <li><b>Email</b>: ${email || ""}</li>
+          <li><b>Maya customer id</b>: ${mayaCustomerId}</li>
+          <li><b>Maya plan_type_id</b>: ${mayaPlanId}</li>
+        </ul>
+      `,
+    });
+    await failConfiguration("No eSIM with a matching plan type for top-up");
+    return;
+  }
+
+  let completedNow = 0;
+
+  for (const unit of units) {
+    const tag = topUpUnitTag({ orderId, lineItemId: unit.lineItemId, unitIndex: unit.unitIndex });
+
+    // An earlier POST may have reached Maya (timeout, crash before persist): never post it again blindly
+    if (unit.topUpSentAt) {
+      const existing = planCandidates.find((c) => c.rawPlan?.tag === tag);
+      if (existing) {
+        log.info("♻️ Top-up already in Maya, not posting again:", { orderId, unit: unit.key, iccid: existing.iccid, tag });
+        transitionUnit(unit, UNIT_STATUS.COMPLETED, { iccid: existing.iccid, lastError: null });
+        completedNow++;
+        await persist();
+        continue;
+      }
+
+      await failTopUpOutcomeUnknown(ctx, unit, { tag, iccid: unit.iccid || best.iccid });
+      continue;
+    }
+
+    transitionUnit(unit, UNIT_STATUS.TOPUP_PROCESSING, {
+      attempts: Number(unit.attempts || 0) + 1,
+      iccid: best.iccid,
+      topUpTag: tag,
+      topUpSentAt: new Date().toISOString(),
+    });
+    await persist();
+
+    try {
+      await createMayaTopUp({ iccid: best.iccid, planTypeId: best.planTypeId || mayaPlanId, tag });
+      console.log("✅ Maya top-up created:", { iccid: best.iccid, plan_type_id: best.planTypeId || mayaPlanId, tag });
+      transitionUnit(unit, UNIT_STATUS.COMPLETED, { lastError: null });
+      completedNow++;
+      await persist();
+    } catch (e) {
+      console.error("❌ Maya top-up error:", e.message);
+
+      // Only a refusal we are sure Maya did not act on may be retried; a timeout, a network error
+      // or a 5xx leaves the top-up possibly created, so it goes to manual review
+      const notCreated = e?.status === 429 || e?.code === "CIRCUIT_OPEN";
+      if (notCreated || classifyMayaError(e) !== MAYA_FAILURE.TRANSIENT) {
+        transitionUnit(unit, unit.status, { topUpSentAt: null });
+        await failUnitOnMayaError(ctx, unit, e, "top-up");
+      } else {
+        await failTopUpOutcomeUnknown(ctx, unit, { tag, iccid: best.iccid, error: e });
+      }
+    }
+  }
+
+  if (completedNow > 0) {
+    try {
+      await sendTopUpEmail({ to: email, firstName, orderId });
+    } catch (e) {
+      console.error("❌ Failed to send top-up email:", e?.message || e);
+    }
+  }
+}
+
+// Renews the order lock while a run is in progress, so a long multi-eSIM order never
+// outlives LOCK_TTL_MS and gets taken over mid-provisioning.
+const LOCK_HEARTBEAT_MS = Number(process.env.LOCK_HEARTBEAT_MS || Math.floor(LOCK_TTL_MS / 3));
+
+function startLockHeartbeat(orderId, token) {
+  const heartbeat = { lost: false };
+
+  const timer = setInterval(async () => {
+    try {
+      const result = await storage.locks.renew(orderId, token);
+      if (!result?.renewed) {
+        heartbeat.lost = true;
+        clearInterval(timer);
+        console.error("❌ Processing lock was taken over:", { orderId, reason: result?.reason });
+      }
+    } catch (e) {
+      // Keep trying; the lock only expires after LOCK_TTL_MS without a renewal
+      console.error("⚠️ Could not renew processing lock:", e?.message || e);
+    }
+  }, LOCK_HEARTBEAT_MS);
+  timer.unref?.();
+
+  heartbeat.stop = () => clearInterval(timer);
+  return heartbeat;
+}
+
+async function handleOrderPaidWebhook(order, reqForHeaders = null) {
+  const orderId = order?.id;
+
+  const { email, firstName, lastName, countryIso2 } = pickBuyerFromOrder(order);
+
+  log.info("Order ID:", orderId);
+  log.info("Buyer:", { email, firstName, lastName, countryIso2 });
+
+  if (!orderId) {
+    console.warn("⚠️ No order id in payload, exiting.");
+    return { ok: true, skipped: true, reason: "missing_order_id" };
+  }
+
+  // ✅ IDEMPOTENCY (Order metafields)
+  try {
+    const flag = await storage.orders.getProcessed(orderId);
+    if (flag?.processed) {
+      console.log("🛑 Order already processed, skipping:", { orderId, processedAt: flag.processedAt });
+      return { ok: true, skipped: true, reason: "already_processed" };
+    }
+  } catch (e) {
+    console.error("⚠️ Could not read order processed flag:", e?.message || e);
+  }
+
+  // ✅ CONCURRENCY LOCK (token-based, renewed by a heartbeat while we run)
+  let lockToken = null;
+  let lockAcquired = false;
+  let heartbeat = null;
+
+  try {
+    const lock = await storage.locks.acquire(orderId);
+
+    if (!lock?.acquired) {
+      console.log("🛑 Order is already being processed by another webhook. Skipping.", { orderId });
+      return { ok: true, skipped: true, reason: "locked" };
+    }
+
+    lockAcquired = true;
+    lockToken = lock.token;
+    heartbeat = startLockHeartbeat(orderId, lockToken);
+    console.log("🔒 Acquired processing lock:", { orderId, lockToken });
+  } catch (e) {
+    console.error("❌ Failed to acquire processing lock (skipping to avoid duplicates):", e?.message || e);
+    return { ok: true, skipped: true, reason: "lock_error", retry: true };
+  }
+
+  // Order name, buyer email and creation time, for backends that do not read them from Shopify
+  try {
+    await storage.orders.saveSummary(orderId, { orderName: order?.name, email, createdAt: order?.created_at });
+  } catch (e) {
+    console.error("⚠️ Could not save order summary:", e?.message || e);
+  }
+
+  try {
+    // A cancel or refund may have come in while this job waited in the queue: its handler found
+    // no eSIM to deactivate then, so cancelled orders and refunded units are not provisioned now
+    let refundedQuantities = {};
+    try {
+      const cancellation = await getOrderCancellation(orderId);
+
+      if (cancellation?.cancelledAt) {
+        log.info("🛑 Order was cancelled before provisioning, skipping:", { orderId, cancelledAt: cancellation.cancelledAt });
+        try {
+          await storage.orders.markProcessed(orderId);
+        } catch (e) {
+          console.error("❌ Failed to mark cancelled order as processed:", e?.message || e);
+        }
+        return { ok: true, skipped: true, reason: "cancelled" };
+      }
+
+      refundedQuantities = cancellation?.refundedQuantities || {};
+    } catch (e) {
+      console.error("❌ Could not check order cancellation, retrying later:", e?.message || e);
+      return { ok: true, skipped: true, reason: "cancellation_check_error", retry: true };
+    }
+
+    // Units still owed for a line item once refunded quantities are taken off
+    const quantityToProvision = (item) =>
+      Math.max(0, Number(item.quantity || 1) - Number(refundedQuantities[String(item.id)] || 0));
+
+    // 1) Resolve the Maya customer (readme step 3)
+    const shopifyCustomerId = order?.customer?.id || order?.customer_id || null;
+    console.log("Shopify customer id on order:", shopifyCustomerId);
+
+    let mayaCustomerId = null;
+    try {
+      mayaCustomerId = await resolveMayaCustomerId({
+        orderId,
+        email,
+        firstName,
+        lastName,
+        countryIso2,
+        shopifyCustomerId,
+      });
+    } catch (e) {
+      console.error("❌ Maya customer creation failed:", e.message);
+      const failure = classifyMayaError(e);
+      if (failure !== MAYA_FAILURE.TRANSIENT) {
+        await alertMayaFailure({ orderId, email, alerted: new Set() }, { failure, error: e, step: "create customer" });
+      }
+      // Nothing was provisioned yet, so a transient failure can safely run again
+      return {
+        ok: true,
+        skipped: false,
+        reason: `maya_customer_${failure}`,
+        retry: failure === MAYA_FAILURE.TRANSIENT,
+      };
+    }
+
+    try {
+  await storage.orders.saveMayaCustomerId(orderId, mayaCustomerId);
+  console.log("✅ Saved Maya customer id to Shopify ORDER metafield:", { orderId, mayaCustomerId });
+} catch (e) {
+  console.error("❌ Failed saving Maya customer id on ORDER:", e?.message || e);
+  // Do not fail the whole order; cron can still work for older orders later
+}
+
+    // 2) Load per-unit provisioning state (a retry resumes where the last run stopped)
+    let state = null;
+    try {
+      state = await storage.orders.getProvisioning(orderId);
+    } catch (e) {
+      console.error("⚠️ Could not read provisioning state, starting fresh:", e?.message || e);
+    }
+    if (!state) {
+      state = emptyProvisioningState(orderId);
+      await publishOrderStatusToken(orderId);
+    }
+
+    const persist = async () => {
+      try {
+        await storage.orders.saveProvisioning(orderId, state);
+      } catch (e) {
+        console.error("❌ Failed to save provisioning state:", e?.message || e);
+      }
+    };
+
+    const ctx = {
+      orderId,
+      email,
+      firstName,
+      lastName,
+      mayaCustomerId,
+      shopDomain: reqForHeaders?.get?.("X-Shopify-Shop-Domain") || "",
+      persist,
+      alerted: new Set(), // one alert per failure class per run
+      cache: {},
+    };
+
+    // 3) Process line items
+    const items = order?.line_items || [];
+    console.log("🧾 LINE ITEMS:", items.length);
+
+    let needsRetry = false;
+
+    for (let i = 0; i < items.length; i++) {
+      if (heartbeat.lost) {
+        console.error("🛑 Processing lock lost, stopping this run:", { orderId });
+        needsRetry = true;
+        break;
+      }
+
+      const item = items[i];
+      const variantId = String(item.variant_id);
+      const qty = quantityToProvision(item);
+
+      if (qty === 0) {
+        log.info("⏭️ Line item fully refunded before provisioning, skipping:", { orderId, lineItemId: item.id });
+        continue;
+      }
+
+      const known = Array.from({ length: qty }, (_, q) => state.units[unitKey(item.id, q)]);
+      if (known.every((u) => u && isUnitTerminal(u))) {
+        log.info("⏭️ Line item already settled, skipping:", { lineItemId: item.id, statuses: known.map((u) => u.status) });
+        continue;
+      }
+
+      let mayaPlanId = null;
+      let productType = null;
+
+      try {
+        const cfg = await getVariantConfig(variantId);
+        mayaPlanId = cfg?.mayaPlanId || null;
+        productType = cfg?.productType || null;
+      } catch (e) {
+        console.error("❌ Failed to fetch config for variant:", variantId, e.message);
+        needsRetry = true;
+        continue;
+      }
+
+      console.log(`Item #${i + 1}:`, {
+        title: item.title,
+        variant_title: item.variant_title,
+        variant_id: variantId,
+        quantity: qty,
+        maya_plan_id: mayaPlanId,
+        product_type: productType,
+      });
+
+      const kind = productType === "recharge" ? "topup" : "esim";
+      const units = Array.from({ length: qty }, (_, q) =>
+        ensureUnit(state, {
+          lineItemId: item.id,
+          unitIndex: q,
+          kind,
+          variantId,
+          title: [item.title, item.variant_title].filter(Boolean).join(" - "),
+        })
+      ).filter((u) => !isUnitTerminal(u));
+
+      if (!mayaPlanId) {
+        console.error("❌ Missing metafield custom.maya_plan_id for variant:", variantId);
+        for (const u of units) {
+          transitionUnit(u, UNIT_STATUS.FAILED_CONFIGURATION, { lastError: "Missing custom.maya_plan_id on variant" });
+        }
+        await persist();
+        continue;
+      }
+
+      if (kind === "topup") {
+        await provisionTopUpUnits({ ...ctx, item, variantId, mayaPlanId }, units);
+      } else {
+        for (const unit of units) {
+          // Another worker may own the order now; never provision alongside it
+          if (heartbeat.lost) break;
+          await provisionEsimUnit({ ...ctx, item, variantId, mayaPlanId }, unit);
+        }
+      }
+    }
+
+    const allUnits = Object.values(state.units);
+    const summary = summarizeProvisioning(state);
+    const allCompleted =
+      !needsRetry &&
+      items.every((item) =>
+        Array.from({ length: quantityToProvision(item) }, (_, q) => state.units[unitKey(item.id, q)]).every(
+          (u) => u?.status === UNIT_STATUS.COMPLETED
+        )
+      );
+    // waiting_for_qr units are followed by the QR poller, not by job retries
+    if (allUnits.some((u) => !isUnitTerminal(u) && u.status !== UNIT_STATUS.WAITING_FOR_QR)) needsRetry = true;
+
+    console.log("📋 Provisioning summary:", { orderId, ...summary });
+
+    if (allCompleted) {
+      try {
+        await storage.orders.markProcessed(orderId);
+        console.log("✅ Order marked as processed in Shopify:", orderId);
+      } catch (e) {
+        console.error("❌ Failed to mark order as processed:", e?.message || e);
+      }
+    } else {
+      console.warn("⚠️ Not marking order as processed (some units are not completed):", orderId);
+    }
+
+    return {
+      ok: true,
+      skipped: false,
+      reason: allCompleted ? "processed" : "partial",
+      summary,
+      retry: needsRetry,
+    };
+  } finally {
+    heartbeat?.stop();
+    if (lockAcquired && lockToken) {
+      try {
+        const released = await storage.locks.release(orderId, lockToken);
+        console.log("🔓 Released processing lock:", { orderId, released });
+      } catch (e) {
+        console.error("❌ Failed to release processing lock:", e?.message || e);
+      }
+    }
+  }
+}
+
+// -----------------------------
+// QR poller (units in waiting_for_qr)
+// -----------------------------
+const QR_POLL_INTERVAL_MS = Number(process.env.QR_POLL_INTERVAL_MS || 60 * 1000);
+const QR_POLL_DEADLINE_MS = Number(process.env.QR_POLL_DEADLINE_MS || 2 * 60 * 60 * 1000); // 2h default
+// Past either cap the unit goes to failed_configuration and staff sends the QR by hand
+const QR_POLL_GIVE_UP_MS = Number(process.env.QR_POLL_GIVE_UP_MS || 24 * 60 * 60 * 1000); // 24h default
+const QR_POLL_MAX_FAILED_CHECKS = Number(process.env.QR_POLL_MAX_FAILED_CHECKS || 30); // Maya errors in a row
+
+let qrPollRunning = false;
+
+async function sendQrWaitAlert(p, { waitedMs, hasActivationCode, gaveUp }) {
+  const minutes = Math.round(waitedMs / 60000);
+
+  return sendAdminAlertEmail({
+    subject: gaveUp
+      ? `🚨 QR never sent, polling stopped after ${minutes} min (Order #${p.orderId})`
+      : `⏳ QR still missing after ${minutes} min (Order #${p.orderId})`,
+    html: `
+      <p>An eSIM was created in Maya but the customer has not received its QR code yet.</p>
+      <ul>
+        <li><b>Order ID</b>: ${esc(p.orderId)}</li>
+        <li><b>Email</b>: ${esc(p.to)}</li>
+        <li><b>ICCID</b>: ${esc(p.iccid || "")}</li>
+        <li><b>Unit</b>: ${esc(p.unitKey)}</li>
+        <li><b>Waiting since</b>: ${esc(p.since)}</li>
+        <li><b>Checks</b>: ${esc(p.checks)} (${esc(p.failedChecks || 0)} failed in a row)</li>
+        <li><b>Activation code from Maya</b>: ${hasActivationCode ? "yes (email failed)" : "not yet"}</li>
+        <li><b>Last error</b>: ${esc(p.lastError || "")}</li>
+      </ul>
+      <p>${
+        gaveUp
+          ? "The unit is now <b>failed_configuration</b> and is no longer polled: send the QR manually."
+          : "We keep polling; send the QR manually if the customer is travelling soon."
+      }</p>
+    `,
+  });
+}
+
+async function pollPendingQrUnits() {
+  if (qrPollRunning) return { ok: true, skipped: true, reason: "already_running" };
+  qrPollRunning = true;
+
+  const summary = { checked: 0, completed: 0, stillWaiting: 0, escalated: 0, gaveUp: 0, errors: 0 };
+
+  try {
+    for (const p of listPendingQr()) {
+      summary.checked++;
+
+      let lock;
+      try {
+        lock = await storage.locks.acquire(p.orderId);
+      } catch (e) {
+        summary.errors++;
+        console.error("❌ QR poller: could not acquire lock:", p.orderId, e?.message || e);
+        continue;
+      }
+      // The order handler is running; it will send the QR itself if it can
+      if (!lock?.acquired) continue;
+
+      try {
+        const state = await storage.orders.getProvisioning(p.orderId);
+        const unit = state?.units?.[p.unitKey];
+
+        if (!unit || unit.status !== UNIT_STATUS.WAITING_FOR_QR) {
+          clearPendingQr(p.orderId, p.unitKey);
+          continue;
+        }
+
+        p.checks = Number(p.checks || 0) + 1;
+        p.lastCheckedAt = new Date().toISOString();
+
+        // A failed Maya read (deleted eSIM, bad ICCID) still counts as a check and still escalates
+        let esim = null;
+        let checkError = null;
+        try {
+          if (!p.iccid) throw new Error("pending QR entry has no ICCID");
+          esim = await getMayaEsimDetailsByIccid(p.iccid);
+        } catch (e) {
+          checkError = e?.message || String(e);
+          summary.errors++;
+          console.error("❌ QR poller: could not read eSIM:", { orderId: p.orderId, unit: p.unitKey, iccid: p.iccid, error: checkError });
+        }
+        p.failedChecks = checkError ? Number(p.failedChecks || 0) + 1 : 0;
+
+        let sent = false;
+        if (esim?.activation_code) {
+          sent = await sendEsimEmail({
+            to: p.to,
+            firstName: p.firstName,
+            orderId: p.orderId,
+            activationCode: esim.activation_code,
+            manualCode: esim.manual_code,
+            smdpAddress: esim.smdp_address,
+            apn: esim.apn,
+            planName: p.planName,
+            iccid: esim.iccid || p.iccid,
+            country: p.country,
+          });
+        }
+
+        if (sent) {
+          transitionUnit(unit, UNIT_STATUS.COMPLETED, { lastError: null });
+          await storage.orders.saveProvisioning(p.orderId, state);
+          clearPendingQr(p.orderId, p.unitKey);
+          summary.completed++;
+          console.log("✅ QR sent after waiting:", { orderId: p.orderId, unit: p.unitKey, iccid: p.iccid });
+
+          const units = Object.values(state.units || {});
+          if (units.length && units.every((u) => u.status === UNIT_STATUS.COMPLETED)) {
+            await storage.orders.markProcessed(p.orderId);
+            console.log("✅ Order marked as processed in Shopify:", p.orderId);
+          }
+          continue;
+        }
+
+        p.lastError = checkError || (esim?.activation_code ? "QR email not sent" : "Maya has not returned an activation code yet");
+
+        const waitedMs = Date.now() - Date.parse(p.since);
+        const hasActivationCode = Boolean(esim?.activation_code);
+
+        if (waitedMs > QR_POLL_GIVE_UP_MS || p.failedChecks >= QR_POLL_MAX_FAILED_CHECKS) {
+          transitionUnit(unit, UNIT_STATUS.FAILED_CONFIGURATION, { lastError: `QR never sent: ${p.lastError}` });
+          await storage.orders.saveProvisioning(p.orderId, state);
+          clearPendingQr(p.orderId, p.unitKey);
+          await sendQrWaitAlert(p, { waitedMs, hasActivationCode, gaveUp: true });
+          summary.gaveUp++;
+          console.error("🛑 QR poller gave up on unit:", { orderId: p.orderId, unit: p.unitKey, checks: p.checks, lastError: p.lastError });
+          continue;
+        }
+
+        summary.stillWaiting++;
+
+        if (!p.escalatedAt && waitedMs > QR_POLL_DEADLINE_MS) {
+          await sendQrWaitAlert(p, { waitedMs, hasActivationCode, gaveUp: false });
+          p.escalatedAt = new Date().toISOString();
+          summary.escalated++;
+        }
+
+        updatePendingQr(p);
+      } catch (e) {
+        summary.errors++;
+        console.error("❌ QR poller error:", { orderId: p.orderId, unit: p.unitKey, error: e?.message || e });
+      } finally {
+        try {
+          await storage.locks.release(p.orderId, lock.token);
+        } catch (e) {
+          console.error("❌ QR poller: failed to release lock:", e?.message || e);
+        }
+      }
+    }
+  } finally {
+    qrPollRunning = false;
+  }
+
+  if (summary.checked) log.info("⏳ QR poller run:", summary);
+  return { ok: true, ...summary };
+}
 
-app.get("/test-email", async (_req, res) => {
+// -----------------------------
+// Cancel / refund: deactivate eSIMs in Maya
+// -----------------------------
+// Unused eSIMs (no plan activated yet) are terminated in Maya.
+// Activated eSIMs are only re-tagged in Maya and reported to staff (the customer already used data).
+async function loadEsimsStillLive(orderId) {
+  const esims = await storage.esims.listForOrder(orderId);
+
+  let done = new Set();
   try {
-    console.log("🧪 /test-email hit");
-    console.log("EMAIL_FROM =", emailFrom ? JSON.stringify(emailFrom) : "(empty)");
-    console.log("EMAIL_ENABLED =", emailEnabled);
+    const previous = await storage.esims.listDeactivations(orderId);
+    done = new Set(
+      previous
+        .filter((d) => d?.action === "terminated" || d?.action === "flagged")
+        .map((d) => normalizeIccid(d?.iccid))
+    );
+  } catch (e) {
+    console.error("⚠️ Could not read eSIM deactivations on order:", e?.message || e);
+  }
 
-    if (!emailEnabled || !resend) {
-      return res.status(500).send("Email not configured (missing RESEND_API_KEY or EMAIL_FROM)");
+  return esims.filter((e) => {
+    const iccid = normalizeIccid(e?.iccid);
+    if (done.has(iccid)) {
+      log.info("ℹ️ eSIM already deactivated for this order, skipping.", { orderId, iccid });
+      return false;
     }
+    return Boolean(iccid);
+  });
+}
 
-    const result = await resend.emails.send({
-      from: emailFrom, // must be a verified sender/domain in Resend
-      to: "julia-marie@thewebix.ca",
-      subject: "Resend test",
-      html: "<p>Email works 🎉</p>",
-    });
+async function deactivateOrderEsims({ orderId, orderName = "", email = "", esims, reason, refundId = null }) {
+  const results = [];
 
-    console.log("📨 Resend result:", result);
+  for (const esim of esims) {
+    const iccid = normalizeIccid(esim?.iccid);
+    if (!iccid) continue;
 
-    if (result?.error) {
-      console.error("❌ Resend error:", result.error);
-      return res.status(500).send(`Resend error: ${result.error.message || "unknown"}`);
+    const entry = { iccid, lineItemId: esim?.lineItemId || null, reason, refundId };
+
+    try {
+      const plans = Array.isArray(esim?.plans) ? esim.plans : await getMayaEsimPlansByIccid(iccid);
+      const activatedPlan = plans.find(isPlanActivated);
+
+      if (!activatedPlan) {
+        await terminateMayaEsim(iccid);
+        entry.action = "terminated";
+        console.log("✅ Maya eSIM terminated (unused):", { orderId, iccid, reason });
+      } else {
+        entry.dateActivated = activatedPlan.date_activated;
+        await flagMayaEsim({ iccid, tag: `${reason}-${orderId}` });
+        entry.action = "flagged";
+        console.warn("⚠️ Refunded eSIM already activated, flagged in Maya:", { orderId, iccid, reason });
+      }
+    } catch (e) {
+      entry.action = "failed";
+      entry.error = e?.message || String(e);
+      console.error("❌ eSIM deactivation failed:", { orderId, iccid, error: entry.error });
     }
 
-    return res.send(`Email queued ✅ id=${result?.data?.id || "no-id"}`);
-  } catch (err) {
-    console.error("❌ /test-email exception:", err);
-    return res.status(500).send("Failed to send (exception)");
+    try {
+      await storage.esims.recordDeactivation(orderId, entry);
+    } catch (e) {
+      console.error("❌ Failed to record eSIM deactivation on order:", e?.message || e);
+    }
+
+    results.push(entry);
   }
-});
 
-// -----------------------------
-// CRON (protected endpoint)
-// -----------------------------
-app.get("/cron/check-usage", async (req, res) => {
-  const secret = (process.env.CRON_SECRET || "").trim();
-  const token = String(req.query.token || "").trim();
+  const needsStaff = results.filter((r) => r.action !== "terminated");
+  if (needsStaff.length) {
+    await sendAdminAlertEmail({
+      subject: `⚠️ eSIM ${reason === "refund" ? "refunded" : "cancelled"} but not terminated (Order ${orderName || `#${orderId}`})`,
+      html: `
+        <p>The order was ${reason === "refund" ? "refunded" : "cancelled"}, but the following eSIMs could not be terminated automatically.</p>
+        <p>Activated eSIMs were only flagged in Maya (tag <code>${esc(`${reason}-${orderId}`)}</code>): the customer may already have used data.</p>
+        <ul>
+          <li><b>Order ID</b>: ${esc(orderId)}</li>
+          <li><b>Email</b>: ${esc(email)}</li>
+          ${refundId ? `<li><b>Refund ID</b>: ${esc(refundId)}</li>` : ""}
+        </ul>
+        <ul>
+          ${needsStaff
+            .map(
+              (r) =>
+                `<li><b>${esc(r.iccid)}</b> — ${esc(r.action)}${r.dateActivated ? ` (activated ${esc(r.dateActivated)})` : ""}${r.error ? `: ${esc(r.error)}` : ""}</li>`
+            )
+            .join("")}
+        </ul>
+      `,
+    });
+  }
 
-  if (!secret) {
-    console.error("❌ Missing CRON_SECRET env var");
-    return res.status(500).send("Server not configured");
+  return results;
+}
+
+async function handleOrderCancelledWebhook(order) {
+  const orderId = order?.id;
+  if (!orderId) {
+    console.warn("⚠️ No order id in cancelled payload, exiting.");
+    return { ok: true, skipped: true, reason: "missing_order_id" };
   }
 
-  if (!token || token !== secret) {
-    return res.status(401).send("Unauthorized");
+  log.info("🛑 Order cancelled:", { orderId, cancel_reason: order?.cancel_reason });
+
+  const esims = await loadEsimsStillLive(orderId);
+  if (!esims.length) {
+    log.info("ℹ️ No live eSIM on cancelled order.", { orderId });
+    return { ok: true, skipped: true, reason: "no_esims" };
   }
 
-  log.info("🕒 CRON check-usage triggered:", new Date().toISOString());
+  const results = await deactivateOrderEsims({
+    orderId,
+    orderName: order?.name,
+    email: pickBuyerFromOrder(order).email,
+    esims,
+    reason: "cancelled",
+  });
 
-  try {
-    const orders = await getOrdersWithEsims({ daysBack: 365 });
-    log.info("✅ Orders with eSIMs found:", orders.length);
+  return { ok: true, skipped: false, results };
+}
 
-    for (const o of orders) {
-      const { orderId, orderName, esims, mayaCustomerId } = o;
+async function handleRefundCreatedWebhook(refund) {
+  const orderId = refund?.order_id;
+  const refundId = refund?.id || null;
+  const refundLines = Array.isArray(refund?.refund_line_items) ? refund.refund_line_items : [];
 
-    // Fetch email + name from Maya (not Shopify) AND build an eSIM index from the same payload
-    let email = "";
-    let firstName = "";
-    let mayaDetails = null;
-    let mayaEsimIndex = null;
+  if (!orderId) {
+    console.warn("⚠️ No order id in refund payload, exiting.");
+    return { ok: true, skipped: true, reason: "missing_order_id" };
+  }
+  if (!refundLines.length) {
+    log.info("ℹ️ Refund has no line items (amount-only refund), nothing to deactivate.", { orderId, refundId });
+    return { ok: true, skipped: true, reason: "no_line_items" };
+  }
+
+  const live = await loadEsimsStillLive(orderId);
+  // Orders created before lineItemId was stored only have untagged entries
+  const hasLineItemIds = live.some((e) => e.lineItemId);
+  const selected = [];
+
+  for (const rl of refundLines) {
+    const lineItemId = String(rl?.line_item_id || rl?.line_item?.id || "").trim();
+    const qty = Number(rl?.quantity || 0);
+    const variantId = rl?.line_item?.variant_id;
 
-    if (mayaCustomerId) {
+    if (!lineItemId || qty <= 0) continue;
+
+    if (variantId) {
       try {
-        mayaDetails = await getMayaCustomerDetails(mayaCustomerId);
-        email = String(mayaDetails?.customer?.email || "").trim();
-        firstName = String(mayaDetails?.customer?.first_name || "").trim();
-        mayaEsimIndex = buildMayaEsimIndex(mayaDetails);
-      } catch (err) {
-        log.warn("⚠️ Failed to fetch Maya customer details for usage email:", {
-          orderId,
-          mayaCustomerId,
-          err: err?.message || err,
-        });
+        const cfg = await getVariantConfig(String(variantId));
+        if (cfg?.productType === "recharge") {
+          log.info("ℹ️ Refunded line item is a top-up, no eSIM to deactivate.", { orderId, lineItemId });
+          continue;
+        }
+      } catch (e) {
+        console.error("⚠️ Could not read variant config for refunded line item:", variantId, e?.message || e);
       }
-    } else {
-      log.warn("⚠️ Order missing mayaCustomerId; cannot send usage alert email.", { orderId, orderName });
     }
 
-      log.info(`\n🧾 Order ${orderId} — eSIMs found: ${esims.length}`);
+    const pool = live.filter(
+      (e) => !selected.includes(e) && (hasLineItemIds ? e.lineItemId === lineItemId : !e.lineItemId)
+    );
 
-      if (!mayaEsimIndex) {
-        log.warn("⚠️ Skipping order (no Maya payload/index available).", { orderId, mayaCustomerId });
-        continue;
+    // Partial refund of a multi-unit line: deactivate unused eSIMs first
+    for (const e of pool) {
+      try {
+        e.plans = await getMayaEsimPlansByIccid(e.iccid);
+      } catch (err) {
+        console.error("⚠️ Could not read Maya plans for refunded eSIM:", e.iccid, err?.message || err);
       }
+    }
+    const ranked = [...pool].sort((a, b) => {
+      const aUsed = Array.isArray(a.plans) && a.plans.some(isPlanActivated) ? 1 : 0;
+      const bUsed = Array.isArray(b.plans) && b.plans.some(isPlanActivated) ? 1 : 0;
+      return aUsed - bUsed;
+    });
 
-      for (const e of esims) {
-        const iccid = normalizeIccid(e?.iccid);
-        if (!iccid) continue;
+    selected.push(...ranked.slice(0, qty));
+  }
 
-        log.info(`🔎 Usage check — order ${orderId} — ICCID: ${iccid}`);
+  if (!selected.length) {
+    log.info("ℹ️ No live eSIM matches the refunded line items.", { orderId, refundId });
+    return { ok: true, skipped: true, reason: "no_esims" };
+  }
 
-        const mayaEsim = mayaEsimIndex.get(iccid);
-        if (!mayaEsim) {
-          log.warn("⚠️ ICCID not found in Maya customer payload (skipping)", { orderId, iccid, mayaCustomerId });
-          continue;
-        }
+  // The refund payload has no order name or buyer email; the alert needs both
+  let buyer = null;
+  try {
+    buyer = await getOrderBuyer(orderId);
+  } catch (e) {
+    console.error("⚠️ Could not read refunded order's buyer:", orderId, e?.message || e);
+  }
 
-        const plans = Array.isArray(mayaEsim?.plans) ? mayaEsim.plans : [];
-        log.debug("📦 Plans found (from customer payload):", plans.length);
+  const results = await deactivateOrderEsims({
+    orderId,
+    orderName: buyer?.orderName,
+    email: buyer?.email,
+    esims: selected,
+    reason: "refund",
+    refundId,
+  });
 
-        const activePlan = pickCurrentPlan(plans);
-        if (!activePlan) {
-          log.warn("⚠️ No usable plan found for ICCID (skipping)", { orderId, iccid });
-          continue;
-        }
+  return { ok: true, skipped: false, results };
+}
 
-        // ✅ Only alert if the plan is activated AND network is ACTIVE/ENABLED
-        const activatedRaw = String(activePlan?.date_activated || "");
-        const isActivated = activatedRaw && activatedRaw !== "0000-00-00 00:00:00";
+// -----------------------------
+// orders/paid: acknowledge fast, provision in the job worker
+// -----------------------------
+async function enqueueOrderPaidJob(order, req) {
+  if (!order?.id) {
+    console.warn("⚠️ No order id in payload, not queuing.");
+    return { ok: true, skipped: true, reason: "missing_order_id" };
+  }
 
-        const netRaw = String(activePlan?.network_status || "").toUpperCase();
-        const isNetActive = netRaw === "ACTIVE" || netRaw === "ENABLED";
+  const job = enqueueJob("orders/paid", {
+    order,
+    headers: {
+      "X-Shopify-Shop-Domain": req?.get?.("X-Shopify-Shop-Domain") || "",
+      "X-Shopify-Webhook-Id": req?.get?.("X-Shopify-Webhook-Id") || "",
+    },
+  });
 
-        if (!isActivated || !isNetActive) {
-          log.debug("ℹ️ Skipping usage alert (plan not active)", {
-            iccid,
-            planId: activePlan?.id,
-            date_activated: activatedRaw,
-            network_status: netRaw,
-          });
-          continue;
-        }
+  return { ok: true, skipped: false, reason: "queued", jobId: job.id };
+}
 
-        const totalBytes = Number(activePlan?.data_quota_bytes || 0);
-        const remainingBytes = Number(activePlan?.data_bytes_remaining || 0);
+async function runOrderPaidJob({ order, headers }) {
+  return handleOrderPaidWebhook(order || {}, webhookRequestFromHeaders(headers));
+}
 
-        if (!Number.isFinite(totalBytes) || totalBytes <= 0) {
-          log.warn("⚠️ Invalid data quota for ICCID", { orderId, iccid, totalBytes });
-          continue;
-        }
+async function alertDeadJob(job) {
+  const orderId = job?.payload?.order?.id || "";
+  await sendAdminAlertEmail({
+    subject: `☠️ Job failed after ${job.attempts} attempts: ${job.type}${orderId ? ` (Order #${orderId})` : ""}`,
+    html: `
+      <p>A background job exhausted its retries and was moved to the dead-letter list.</p>
+      <ul>
+        <li><b>Job ID</b>: ${esc(job.id)}</li>
+        <li><b>Type</b>: ${esc(job.type)}</li>
+        <li><b>Order ID</b>: ${esc(orderId)}</li>
+        <li><b>Attempts</b>: ${esc(job.attempts)}</li>
+        <li><b>Last error</b>: ${esc(job.lastError)}</li>
+      </ul>
+      <p>Fix the cause, then retry it with <code>POST /admin/jobs/${esc(job.id)}/retry</code>.</p>
+    `,
+  });
+}
 
-        const usedBytes = totalBytes - remainingBytes;
-        const percentUsed = Math.round((usedBytes / totalBytes) * 100);
+// -----------------------------
+// Other webhook topics
+// -----------------------------
+async function handleOrderUpdatedWebhook(order) {
+  log.info("📝 Order updated:", {
+    orderId: order?.id,
+    financial_status: order?.financial_status,
+    cancelled_at: order?.cancelled_at || null,
+  });
+  return { ok: true, skipped: true, reason: "logged" };
+}
 
-        // Important summary log only
-        log.info("📊 Usage", { orderId, iccid, planId: activePlan?.id, percentUsed });
+async function handleProductUpdateWebhook(product) {
+  const variants = Array.isArray(product?.variants) ? product.variants : [];
+  log.info("📝 Product updated:", { productId: product?.id, title: product?.title, variants: variants.length });
+  return { ok: true, skipped: true, reason: "logged" };
+}
 
-        const threshold = Number.isFinite(USAGE_ALERT_THRESHOLD_PERCENT)
-          ? USAGE_ALERT_THRESHOLD_PERCENT
-          : 20;
+async function handleCustomerWebhook(customer, req) {
+  log.info("📝 Customer webhook:", { topic: req?.get?.("X-Shopify-Topic"), customerId: customer?.id });
+  return { ok: true, skipped: true, reason: "logged" };
+}
 
-        if (Number.isFinite(percentUsed) && percentUsed >= threshold) {
-          const key = usageAlertKey(threshold, iccid);
+// -----------------------------
+// Webhooks: topic registry
+// -----------------------------
+registerWebhookHandler("orders/paid", enqueueOrderPaidJob);
+registerWebhookHandler("orders/updated", handleOrderUpdatedWebhook);
+registerWebhookHandler("orders/cancelled", handleOrderCancelledWebhook);
+registerWebhookHandler("refunds/create", handleRefundCreatedWebhook);
+registerWebhookHandler("products/update", handleProductUpdateWebhook);
+registerWebhookHandler("customers/*", handleCustomerWebhook);
+
+// The topic comes from the X-Shopify-Topic header, so the older per-topic URLs
+// (still configured on existing subscriptions) share the same entry point.
+app.post(
+  ["/webhooks/shopify", "/webhooks/order-paid", "/webhooks/order-cancelled", "/webhooks/refund-created"],
+  shopifyWebhookEndpoint
+);
 
-          let flag = { sent: false };
-          try {
-            flag = await getUsageAlertFlag(orderId, key);
-          } catch (err) {
-            log.error("❌ Could not read usage alert flag:", err?.message || err);
-          }
+// -----------------------------
+// Admin: webhook inbox + replay
+// -----------------------------
+app.get("/admin/webhooks", requireAdminToken, (req, res) => {
+  const limit = Math.min(Number(req.query.limit || 50) || 50, 500);
+  return res.json({ ok: true, deliveries: listWebhookDeliveries({ limit }) });
+});
 
-          if (flag.sent) {
-            log.info(`ℹ️ Usage alert already sent for ${orderId}:${key}, skipping.`);
-          } else {
-            if (!email) {
-              log.warn(
-                `⚠️ Usage alert triggered (${percentUsed}%) but no customer email could be resolved (mayaCustomerId=${mayaCustomerId || "none"}). Order ${orderId}`
-              );
-            } else {
-              try {
-                await sendUsageAlertEmail({
-                  to: email,
-                  firstName,
-                  orderId,
-                  percentUsed,
-                  thresholdPercent: threshold,
-                  iccid,
-                  planId: activePlan?.id,
-                });
-
-                await markUsageAlertSent(orderId, key);
-                log.info(`✅ Marked usage alert as sent on Shopify for ${orderId}:${key}`);
-              } catch (err) {
-                log.error("❌ Failed to send/mark usage alert email:", err?.message || err);
-              }
-            }
-          }
-        }
-      }
-    }
+app.post("/admin/webhooks/:webhookId/replay", requireAdminToken, async (req, res) => {
+  try {
+    const result = await replayWebhookDelivery(req.params.webhookId);
+    if (result?.reason === "not_found") return res.status(404).json(result);
+    return res.json(result);
+  } catch (e) {
+    console.error("❌ replay error:", e);
+    return res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+// -----------------------------
+// Admin: background jobs
+// -----------------------------
+app.get("/admin/jobs", requireAdminToken, (req, res) => {
+  const limit = Math.min(Number(req.query.limit || 50) || 50, 500);
+  const status = String(req.query.status || "").trim() || null;
+  return res.json({ ok: true, jobs: listJobs({ status, limit }) });
+});
+
+app.get("/admin/jobs/dead", requireAdminToken, (req, res) => {
+  const limit = Math.min(Number(req.query.limit || 50) || 50, 500);
+  return res.json({ ok: true, jobs: listDeadJobs({ limit }) });
+});
+
+app.post("/admin/jobs/:jobId/retry", requireAdminToken, (req, res) => {
+  const job = requeueDeadJob(req.params.jobId);
+  if (!job) return res.status(404).json({ ok: false, reason: "not_found" });
+  return res.json({ ok: true, job });
+});
+
+// -----------------------------
+// Admin: Maya catalog -> variant metafields
+// -----------------------------
+async function alertUnknownPlans(report) {
+  if (!report?.unknownPlan?.length) return;
+
+  await sendAdminAlertEmail({
+    subject: `⚠️ ${report.unknownPlan.length} variant(s) point to a Maya plan that no longer exists`,
+    html: `
+      <p>The Maya catalog sync found variants whose <code>custom.maya_plan_id</code> is not in the Maya catalog.
+      Orders for them will fail until the plan id is fixed.</p>
+      <ul>
+        ${report.unknownPlan
+          .map((v) => `<li><b>${esc(v.title)}</b> (variant ${esc(v.variantId)}): <code>${esc(v.mayaPlanId)}</code></li>`)
+          .join("")}
+      </ul>
+    `,
+  });
+}
 
-    return res.status(200).json({ ok: true, count: orders.length });
+app.get("/admin/catalog", requireAdminToken, (_req, res) => {
+  const catalog = getCachedMayaCatalog();
+  if (!catalog) return res.status(404).json({ ok: false, reason: "not_synced" });
+  return res.json({ ok: true, ...catalog });
+});
+
+app.post("/admin/catalog/sync", requireAdminToken, async (req, res) => {
+  const dryRun = ["1", "true"].includes(String(req.query.dryRun || "").toLowerCase());
+
+  try {
+    const report = await syncMayaCatalog({ dryRun });
+    await alertUnknownPlans(report);
+    return res.json(report);
   } catch (e) {
-    console.error("❌ Cron check-usage failed:", e?.message || e);
+    console.error("❌ Catalog sync failed:", e?.message || e);
     return res.status(500).json({ ok: false, error: e?.message || String(e) });
   }
 });
 
 // -----------------------------
-// Small helpers
+// Admin: pre-flight configuration check
 // -----------------------------
-function normId(x) {
-  return String(x || "").trim().toLowerCase();
+app.get("/admin/validate", requireAdminToken, async (req, res) => {
+  const remote = !["1", "true"].includes(String(req.query.offline || "").toLowerCase());
+
+  try {
+    return res.json(await validateConfiguration({ remote }));
+  } catch (e) {
+    console.error("❌ Validation failed:", e?.message || e);
+    return res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+// -----------------------------
+// "My eSIMs" portal (readme step 7: magic link, no account)
+// -----------------------------
+const MY_ESIMS_DAYS_BACK = 365;
+// Every request counts, known email or not: each one costs a Shopify order search.
+// One per email per cooldown (stops inbox spam), MY_ESIMS_REQUEST_IP_LIMIT per IP per hour.
+const MY_ESIMS_REQUEST_COOLDOWN_MS = Number(process.env.MY_ESIMS_REQUEST_COOLDOWN_MS || 2 * 60 * 1000);
+const MY_ESIMS_REQUEST_IP_LIMIT = Number(process.env.MY_ESIMS_REQUEST_IP_LIMIT || 10);
+
+// Links we hand out always use the configured URL: the Host header is client-controlled,
+// so a forged one would send a real token to someone else's server
+function publicBaseUrl() {
+  const value = (process.env.PUBLIC_BASE_URL || "").trim().replace(/\/+$/, "");
+  if (!value) throw new Error("Missing PUBLIC_BASE_URL env var");
+  return value;
 }
 
-function normalizeIccid(x) {
-  return String(x || "").replace(/\s+/g, "").trim();
+async function hasEsimsForEmail(email) {
+  const identity = await storage.identities.findByEmail(email);
+  if (identity?.mayaCustomerId) return true;
+
+  for await (const _order of storage.esims.iterateOrdersWithEsims({ daysBack: MY_ESIMS_DAYS_BACK, email })) return true;
+  return false;
 }
 
-function buildMayaEsimIndex(mayaDetails) {
-  const esims = Array.isArray(mayaDetails?.customer?.esims) ? mayaDetails.customer.esims : [];
-  const byIccid = new Map();
+// Every live eSIM of the Maya customer(s) behind this email, with usage from the customer payload.
+// Orders and the identity store only suggest customers; the Maya customer email has to match.
+async function loadMyEsims(email) {
+  const customerIds = new Set();
+  const orderByIccid = new Map();
 
-  for (const e of esims) {
-    const iccid = normalizeIccid(e?.iccid);
-    if (!iccid) continue;
+  const identity = await storage.identities.findByEmail(email);
+  if (identity?.mayaCustomerId) customerIds.add(String(identity.mayaCustomerId));
 
-    byIccid.set(iccid, {
-      iccid,
-      uid: e?.uid || null,
-      state: e?.state || null,
-      service_status: e?.service_status || null,
-      plans: Array.isArray(e?.plans) ? e.plans : [],
-    });
+  for await (const o of storage.esims.iterateOrdersWithEsims({ daysBack: MY_ESIMS_DAYS_BACK, email })) {
+    customerIds.add(String(o.mayaCustomerId));
+    for (const e of o.esims) orderByIccid.set(normalizeIccid(e.iccid), o);
   }
 
-  return byIccid;
+  const esims = [];
+
+  for (const mayaCustomerId of customerIds) {
+    let mayaDetails = null;
+    try {
+      mayaDetails = await getMayaCustomerDetails(mayaCustomerId);
+    } catch (err) {
+      log.warn("⚠️ My eSIMs: could not fetch Maya customer:", { mayaCustomerId, err: err?.message || err });
+      continue;
+    }
+
+    if (normalizeEmail(mayaDetails?.customer?.email) !== email) continue;
+
+    for (const e of mayaDetails?.customer?.esims || []) {
+      const iccid = normalizeIccid(e?.iccid);
+      if (!iccid) continue;
+
+      const status = `${e?.state || ""} ${e?.service_status || ""}`.toLowerCase();
+      if (status.includes("terminated") || status.includes("cancel")) continue;
+
+      const plans = Array.isArray(e?.plans) ? e.plans : [];
+      const order = orderByIccid.get(iccid) || null;
+
+      esims.push({
+        iccid,
+        orderId: order?.orderId || null,
+        orderName: order?.orderName || "",
+        plans,
+        plan: pickCurrentPlan(plans),
+      });
+    }
+  }
+
+  return esims;
 }
 
-function pickBuyerFromOrder(order) {
-  const email = order?.email || order?.contact_email || "";
+function renderPortalPage({ title, body }) {
+  return `<!DOCTYPE html>
+<html lang="fr">
+<head>
+  <meta charset="UTF-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <meta name="robots" content="noindex" />
+  <meta name="referrer" content="no-referrer" />
+  <title>${esc(title)} — Québec eSIM</title>
+</head>
 
-  const firstName =
-    order?.customer?.first_name ||
-    order?.billing_address?.first_name ||
-    order?.shipping_address?.first_name ||
-    "";
+<body style="margin:0; padding:32px 12px; background:#F6FAFD; font-family:-apple-system,BlinkMacSystemFont,Segoe UI,Roboto,Arial; color:#334155;">
+  <div style="max-width:800px; margin:0 auto; background:#FFFFFF; border-radius:18px; box-shadow:0 10px 30px rgba(15,23,42,0.08); overflow:hidden;">
+    <div style="padding:20px 24px; border-bottom:1px solid #E5E7EB;">
+      <img src="https://quebecesim.ca/cdn/shop/files/1000008019.png?v=1737480349&width=600" alt="Québec eSIM" width="80" style="display:block; height:auto;" />
+    </div>
 
-  const lastName =
-    order?.customer?.last_name ||
-    order?.billing_address?.last_name ||
-    order?.shipping_address?.last_name ||
-    "";
+    <div style="padding:28px 24px;">
+      <h1 style="margin:0 0 16px; font-size:22px; color:#0F172A;">${esc(title)}</h1>
+      ${body}
+    </div>
 
-  const countryIso2 =
-    order?.billing_address?.country_code ||
-    order?.shipping_address?.country_code ||
-    "US";
+    <div style="padding:18px 24px; background:#F8FAFC; border-top:1px solid #E5E7EB; font-size:12px; color:#64748B;">
+      <b>Besoin d’aide ?</b>
+      <a href="https://quebecesim.ca/pages/contactez-nous" style="text-decoration:none; color:rgb(94,94,94);">Contactez-nous</a>
+    </div>
+  </div>
+</body>
+</html>`;
+}
 
-  return { email, firstName, lastName, countryIso2 };
+function renderMyEsimsRequestForm(message = "") {
+  return `
+      ${message ? `<p style="font-size:15px; margin:0 0 18px;">${message}</p>` : ""}
+      <form method="POST" action="/my-esims/request">
+        <label for="email" style="display:block; font-size:14px; margin:0 0 8px;">Adresse courriel utilisée lors de l’achat</label>
+        <input id="email" name="email" type="email" required
+          style="width:100%; box-sizing:border-box; padding:12px; border:1px solid #E5E7EB; border-radius:10px; font-size:15px; margin:0 0 14px;" />
+        <button type="submit"
+          style="padding:12px 24px; border:0; border-radius:999px; background:#0CA3EC; color:#FFFFFF; font-weight:600; font-size:15px; cursor:pointer;">
+          Recevoir mon lien
+        </button>
+      </form>`;
 }
 
-function pickCurrentPlan(plans) {
-  if (!Array.isArray(plans) || plans.length === 0) return null;
+function renderEsimCard(esim, { rechargeUrl }) {
+  const { iccid, plan, plans } = esim;
+  const planName = plan?.plan_type?.name || findCatalogPlan(getCachedMayaCatalog(), plan?.plan_type?.id)?.name || "Forfait eSIM";
 
-  const isActivated = (p) => {
-    const da = String(p?.date_activated || "");
-    return da && da !== "0000-00-00 00:00:00";
-  };
+  const allExpired = plans.length > 0 && plans.every(isPlanExpired);
+  const status = allExpired ? "Expiré" : plan && isPlanActivated(plan) ? "Actif" : "Pas encore activé";
+  const statusColor = allExpired ? "#DC2626" : status === "Actif" ? "#16A34A" : "#64748B";
 
-  const isActiveNet = (p) => {
-    const ns = String(p?.network_status || "").toUpperCase();
-    // Maya examples you've seen: ACTIVE / NOT_ACTIVE
-    return ns === "ACTIVE" || ns === "ENABLED";
-  };
+  const total = Number(plan?.data_quota_bytes || 0);
+  const remaining = Math.max(0, Number(plan?.data_bytes_remaining || 0));
+  const percentUsed = total > 0 ? Math.min(100, Math.round(((total - remaining) / total) * 100)) : null;
+  const expiresAt = plan ? planExpiryTime(plan) : null;
 
-  const withRemaining = (arr) =>
-    arr.filter((p) => Number(p?.data_bytes_remaining || 0) > 0);
+  const row = (label, value) =>
+    value ? `<tr><td style="padding:4px 0; font-size:14px;"><b>${label}</b></td><td align="right" style="font-size:14px; color:#0F172A;">${esc(value)}</td></tr>` : "";
+
+  const button = (href, label, bg) =>
+    `<a href="${esc(href)}" style="display:inline-block; margin:12px 8px 0 0; padding:10px 18px; border-radius:999px; background:${bg}; color:#FFFFFF; font-weight:600; font-size:14px; text-decoration:none;">${label}</a>`;
+
+  return `
+      <div style="border:1px solid #E5E7EB; border-radius:14px; padding:18px; margin:0 0 18px;">
+        <div style="display:flex; justify-content:space-between; align-items:center; gap:12px;">
+          <b style="font-size:16px; color:#0F172A;">${esc(planName)}</b>
+          <span style="padding:4px 10px; border-radius:999px; background:${statusColor}; color:#FFFFFF; font-size:12px; font-weight:600;">${status}</span>
+        </div>
+
+        ${percentUsed !== null && !allExpired ? `
+        <div style="margin:14px 0 6px; height:10px; background:#E5E7EB; border-radius:999px; overflow:hidden;">
+          <div style="width:${percentUsed}%; height:100%; background:${percentUsed >= 80 ? "#EA580C" : "#0CA3EC"};"></div>
+        </div>` : ""}
+
+        <table width="100%" cellpadding="0" cellspacing="0" border="0" style="margin-top:8px;">
+          ${percentUsed !== null && !allExpired ? row("Utilisation", `${formatDataSize(total - remaining)} sur ${formatDataSize(total)} (${percentUsed}%)`) : ""}
+          ${percentUsed !== null && !allExpired ? row("Données restantes", formatDataSize(remaining)) : ""}
+          ${row(allExpired ? "Expiré le" : "Expire le", expiresAt ? formatEmailDate(expiresAt) : "")}
+          ${row("Commande", esim.orderName || (esim.orderId ? `#${esim.orderId}` : ""))}
+          ${row("ICCID", iccid)}
+        </table>
 
-  // Priority pools (highest to lowest)
-  const pools = [
-    // Activated + network ACTIVE first
-    withRemaining(plans.filter((p) => isActivated(p) && isActiveNet(p))),
-    // Activated (even if network status isn't ACTIVE)
-    withRemaining(plans.filter((p) => isActivated(p))),
-    // Anything with remaining data
-    withRemaining(plans),
-    // Fallback: any plan
-    plans,
-  ];
+        ${button(`/my-esims/qr/${encodeURIComponent(iccid)}`, "Télécharger le code QR", "#0F172A")}
+        ${rechargeUrl ? button(rechargeUrl, "Recharger", "#0CA3EC") : ""}
+      </div>`;
+}
+
+// No page of the portal leaks its URL to the sites it links to or loads from
+app.use("/my-esims", (_req, res, next) => {
+  res.set("Referrer-Policy", "no-referrer");
+  return next();
+});
+
+// Shows the eSIMs of the session, or the request form when there is none
+app.get("/my-esims", async (req, res) => {
+  const email = portalSessionEmail(req);
+  if (!email) {
+    return res.send(
+      renderPortalPage({ title: "Mes eSIMs", body: renderMyEsimsRequestForm("Recevez par courriel un lien sécurisé vers toutes vos eSIMs.") })
+    );
+  }
+
+  res.set("Cache-Control", "no-store");
+
+  try {
+    const esims = await loadMyEsims(email);
+
+    if (!esims.length) {
+      return res.send(renderPortalPage({ title: "Mes eSIMs", body: "<p>Aucune eSIM active n’est associée à cette adresse.</p>" }));
+    }
+
+    const cards = [];
+    for (const esim of esims) {
+      let recharge = null;
+      try {
+        recharge = await findRechargeVariant(esim.plan?.plan_type?.id);
+      } catch (err) {
+        log.warn("⚠️ My eSIMs: could not look up recharge variant:", err?.message || err);
+      }
+      cards.push(renderEsimCard(esim, { rechargeUrl: rechargeCartUrl({ variantId: recharge?.variantId, email }) }));
+    }
+
+    return res.send(
+      renderPortalPage({
+        title: "Mes eSIMs",
+        body: `<p style="font-size:15px; margin:0 0 18px;">${esims.length} eSIM(s) associée(s) à <b>${esc(email)}</b>.</p>${cards.join("")}`,
+      })
+    );
+  } catch (e) {
+    console.error("❌ My eSIMs page failed:", e?.message || e);
+    return res.status(500).send(renderPortalPage({ title: "Mes eSIMs", body: "<p>Service momentanément indisponible. Réessayez plus tard.</p>" }));
+  }
+});
 
-  const pool = pools.find((p) => p.length > 0) || plans;
+// Form endpoint (urlencoded or JSON). Same answer whether or not the email is known.
+app.post("/my-esims/request", express.urlencoded({ extended: false }), async (req, res) => {
+  const email = normalizeEmail(req.body?.email);
+  const wantsJson = Boolean(req.is("application/json"));
 
-  // newest start_time wins
-  const sorted = [...pool].sort((a, b) => {
-    const ta = Date.parse(String(a?.start_time || "")) || 0;
-    const tb = Date.parse(String(b?.start_time || "")) || 0;
-    return tb - ta;
-  });
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    return wantsJson
+      ? res.status(400).json({ ok: false, error: "invalid_email" })
+      : res.status(400).send(renderPortalPage({ title: "Mes eSIMs", body: renderMyEsimsRequestForm("Adresse courriel invalide.") }));
+  }
 
-  return sorted[0] || null;
-}
+  const done = () =>
+    wantsJson
+      ? res.json({ ok: true })
+      : res.send(
+          renderPortalPage({
+            title: "Vérifiez vos courriels",
+            body: `<p style="font-size:15px; margin:0;">Si des eSIMs sont associées à <b>${esc(email)}</b>, vous recevrez un lien d’accès dans quelques minutes.</p>`,
+          })
+        );
 
-// -----------------------------
-// Shopify signature verification
-// -----------------------------
-function verifyShopifyWebhook(req) {
-  const hmacHeader = req.get("X-Shopify-Hmac-Sha256") || "";
-  const secret = (process.env.WEBHOOK_API_SECRET || "").trim();
+  if (!takeRateLimit("my-esims-ip", req.ip, { limit: MY_ESIMS_REQUEST_IP_LIMIT, windowMs: 60 * 60 * 1000 }).allowed) {
+    log.warn("🚫 My eSIMs link requests rate limited:", { ip: req.ip });
+    return wantsJson
+      ? res.status(429).json({ ok: false, error: "too_many_requests" })
+      : res.status(429).send(renderPortalPage({ title: "Mes eSIMs", body: "<p>Trop de demandes. Réessayez dans une heure.</p>" }));
+  }
 
-  if (!secret) {
-    console.error("❌ Missing WEBHOOK_API_SECRET (or blank after trim)");
-    return false;
+  // Same answer as a normal request, so the limit says nothing about the address
+  const hash = emailHash(email);
+  if (!takeRateLimit("my-esims-email", hash, { limit: 1, windowMs: MY_ESIMS_REQUEST_COOLDOWN_MS }).allowed) {
+    log.info("ℹ️ My eSIMs link recently requested, not looking up again:", { emailHash: hash.slice(0, 12) });
+    return done();
   }
-  if (!hmacHeader) {
-    console.error("❌ Missing X-Shopify-Hmac-Sha256 header");
-    return false;
+
+  try {
+    if (!(await hasEsimsForEmail(email))) {
+      log.info("ℹ️ My eSIMs link requested for an unknown email:", { emailHash: hash.slice(0, 12) });
+      return done();
+    }
+
+    const token = createMagicLinkToken(email);
+
+    await sendMyEsimsLinkEmail({
+      to: email,
+      url: `${publicBaseUrl()}/my-esims/open#${token}`,
+      ttlMinutes: Math.round(MAGIC_LINK_TTL_MS / 60000),
+    });
+  } catch (e) {
+    console.error("❌ My eSIMs link request failed:", e?.message || e);
+    return wantsJson
+      ? res.status(500).json({ ok: false, error: "unavailable" })
+      : res.status(500).send(renderPortalPage({ title: "Mes eSIMs", body: "<p>Service momentanément indisponible. Réessayez plus tard.</p>" }));
   }
-  if (!req.rawBody) {
-    console.error("❌ Missing req.rawBody (raw bytes not captured)");
-    return false;
+
+  return done();
+});
+
+// The emailed link carries its token in the URL fragment (never sent to the server, so never in
+// access or proxy logs). /my-esims/open posts it once and gets a session cookie in exchange.
+const PORTAL_SESSION_COOKIE = "my_esims_session";
+
+function readCookie(req, name) {
+  for (const part of String(req.get("Cookie") || "").split(";")) {
+    const [k, ...v] = part.trim().split("=");
+    if (k === name) return decodeURIComponent(v.join("="));
   }
+  return "";
+}
 
-  const computed = crypto
-    .createHmac("sha256", secret)
-    .update(req.rawBody)
-    .digest("base64");
+// Email of the session cookie, or null (no cookie, expired, tampered or server not configured)
+function portalSessionEmail(req) {
+  const token = readCookie(req, PORTAL_SESSION_COOKIE);
+  if (!token) return null;
 
-  // safe debug (doesn't expose the secret)
-  log.debug("HMAC header length:", hmacHeader.length);
-  log.debug("Computed HMAC length:", computed.length);
-  log.debug("Header starts:", hmacHeader.slice(0, 10));
-  log.debug("Computed starts:", computed.slice(0, 10));
-  log.debug("SECRET length:", secret.length);
+  try {
+    return verifyPortalSessionToken(token);
+  } catch (e) {
+    console.error("❌ My eSIMs session check failed:", e?.message || e);
+    return null;
+  }
+}
 
+// Trades a valid link token for the session cookie, then sends the browser to the page (no token in its URL)
+function openPortalSession(res, linkToken) {
+  let email = null;
   try {
-    return crypto.timingSafeEqual(
-      Buffer.from(computed, "base64"),
-      Buffer.from(hmacHeader, "base64")
-    );
+    email = verifyMagicLinkToken(linkToken);
   } catch (e) {
-    console.error("❌ timingSafeEqual error:", e.message);
-    return false;
+    console.error("❌ My eSIMs token check failed:", e?.message || e);
+    return res.status(500).send("Server not configured");
   }
+
+  if (!email) {
+    return res
+      .status(401)
+      .send(renderPortalPage({ title: "Lien expiré", body: renderMyEsimsRequestForm("Ce lien n’est plus valide. Demandez-en un nouveau :") }));
+  }
+
+  res.cookie(PORTAL_SESSION_COOKIE, createPortalSessionToken(email), {
+    httpOnly: true,
+    secure: true,
+    sameSite: "lax",
+    path: "/my-esims",
+    maxAge: PORTAL_SESSION_TTL_MS,
+  });
+  res.set("Cache-Control", "no-store");
+  return res.redirect(303, "/my-esims");
 }
 
-async function handleOrderPaidWebhook(order, reqForHeaders = null) {
-  const orderId = order?.id;
+app.get("/my-esims/open", (_req, res) => {
+  res.set("Cache-Control", "no-store");
+  res.send(
+    renderPortalPage({
+      title: "Mes eSIMs",
+      body: `
+      <p id="status" style="font-size:15px; margin:0;">Ouverture de vos eSIMs…</p>
+      <noscript><p style="font-size:15px;">Activez JavaScript pour ouvrir ce lien.</p></noscript>
+      <form id="open" method="POST" action="/my-esims/session"><input type="hidden" name="token" id="token" /></form>
+      <script>
+        var token = location.hash.slice(1);
+        history.replaceState(null, "", location.pathname);
+        if (token) {
+          document.getElementById("token").value = token;
+          document.getElementById("open").submit();
+        } else {
+          document.getElementById("status").textContent = "Ce lien est incomplet. Copiez-le en entier depuis le courriel.";
+        }
+      </script>`,
+    })
+  );
+});
 
-  const { email, firstName, lastName, countryIso2 } = pickBuyerFromOrder(order);
+app.post("/my-esims/session", express.urlencoded({ extended: false }), (req, res) => {
+  return openPortalSession(res, String(req.body?.token || ""));
+});
 
-  log.info("Order ID:", orderId);
-  log.info("Buyer:", { email, firstName, lastName, countryIso2 });
+// Links emailed before the token moved to the fragment (valid MY_ESIMS_LINK_TTL_MS at most)
+app.get("/my-esims/:token", (req, res) => openPortalSession(res, req.params.token));
 
-  if (!orderId) {
-    console.warn("⚠️ No order id in payload, exiting.");
-    return { ok: true, skipped: true, reason: "missing_order_id" };
-  }
+// QR re-download, only for an eSIM listed on the session's page
+app.get("/my-esims/qr/:iccid", async (req, res) => {
+  const email = portalSessionEmail(req);
+  if (!email) return res.status(401).send("Session expirée, rouvrez le lien reçu par courriel");
+
+  const iccid = normalizeIccid(req.params.iccid);
 
-  // ✅ IDEMPOTENCY (Order metafields)
   try {
-    const flag = await getOrderProcessedFlag(orderId);
-    if (flag?.processed) {
-      console.log("🛑 Order already processed, skipping:", { orderId, processedAt: flag.processedAt });
-      return { ok: true, skipped: true, reason: "already_processed" };
-    }
+    const esims = await loadMyEsims(email);
+    if (!esims.some((e) => e.iccid === iccid)) return res.status(404).send("eSIM introuvable");
+
+    const esim = await getMayaEsimDetailsByIccid(iccid);
+    if (!esim?.activation_code) return res.status(404).send("Code QR pas encore disponible");
+
+    const png = Buffer.from(await generateQrPngBase64(esim.activation_code), "base64");
+
+    res.set("Cache-Control", "no-store");
+    res.set("Content-Disposition", `attachment; filename="esim-${iccid}.png"`);
+    return res.type("png").send(png);
   } catch (e) {
-    console.error("⚠️ Could not read order processed flag:", e?.message || e);
+    console.error("❌ My eSIMs QR download failed:", e?.message || e);
+    return res.status(500).send("Service momentanément indisponible");
   }
+});
 
-  // ✅ CONCURRENCY LOCK (token-based)
-  let lockToken = null;
-  let lockAcquired = false;
+// -----------------------------
+// QR re-send (customer self-service, verified by order number + email)
+// -----------------------------
+// Maya keeps the activation code, so the QR is rebuilt from a fresh eSIM read each time.
+// Failed guesses (unknown order, wrong email) are limited on their own, per IP and per order,
+// so they never use up the real buyer's re-sends.
+const QR_RESEND_MAX_MISSES_PER_IP = Number(process.env.QR_RESEND_MAX_MISSES_PER_IP || 10);
+const QR_RESEND_MAX_MISSES_PER_ORDER = Number(process.env.QR_RESEND_MAX_MISSES_PER_ORDER || 20);
+
+app.post("/esim/resend-qr", express.urlencoded({ extended: false }), async (req, res) => {
+  const orderName = String(req.body?.orderName || "").trim().replace(/^#/, "");
+  const email = normalizeEmail(req.body?.email);
+
+  if (!/^[A-Za-z0-9-]{1,32}$/.test(orderName) || !email) {
+    return res.status(400).json({ ok: false, error: "missing_order_or_email" });
+  }
+
+  const misses = countQrResendMisses({ orderName, ip: req.ip });
+
+  if (misses.byIp >= QR_RESEND_MAX_MISSES_PER_IP) {
+    log.warn("🚫 QR re-send rate limited (failed attempts from IP):", { orderName, ip: req.ip });
+    return res.status(429).json({ ok: false, error: "too_many_requests" });
+  }
+
+  let attemptId = null;
+  const attempt = { iccids: [], sent: 0 };
 
   try {
-    const lock = await tryAcquireOrderProcessingLock(orderId);
+    const order = await findOrderByName(orderName);
 
-    if (!lock?.acquired) {
-      console.log("🛑 Order is already being processed by another webhook. Skipping.", { orderId });
-      return { ok: true, skipped: true, reason: "locked" };
+    // Same answer for an unknown order and a wrong email
+    if (!order || normalizeEmail(order.email) !== email) {
+      recordQrResendMiss(orderName, { ip: req.ip });
+
+      if (misses.byOrder + 1 > QR_RESEND_MAX_MISSES_PER_ORDER) {
+        log.warn("🚫 QR re-send rate limited (failed attempts on order):", { orderName, ip: req.ip });
+        return res.status(429).json({ ok: false, error: "too_many_requests" });
+      }
+
+      log.warn("⚠️ QR re-send refused (order/email mismatch):", { orderName, ip: req.ip });
+      return res.status(404).json({ ok: false, error: "order_not_found" });
     }
 
-    lockAcquired = true;
-    lockToken = lock.token;
-    console.log("🔒 Acquired processing lock:", { orderId, lockToken });
-  } catch (e) {
-    console.error("❌ Failed to acquire processing lock (skipping to avoid duplicates):", e?.message || e);
-    return { ok: true, skipped: true, reason: "lock_error" };
-  }
+    attemptId = reserveQrResend(orderName, { orderId: order.orderId, ip: req.ip });
+    if (!attemptId) {
+      log.warn("🚫 QR re-send rate limited:", { orderName, ip: req.ip });
+      return res.status(429).json({ ok: false, error: "too_many_requests" });
+    }
 
-  let shouldMarkProcessed = true;
+    const esims = await storage.esims.listForOrder(order.orderId);
 
-  try {
-    // 1) Get or create Maya customer id
-    let mayaCustomerId = null;
-    const shopifyCustomerId = order?.customer?.id || order?.customer_id || null;
-    console.log("Shopify customer id on order:", shopifyCustomerId);
+    for (const e of esims) {
+      attempt.iccids.push(e.iccid);
 
-    if (shopifyCustomerId) {
       try {
-        const existing = await getMayaCustomerIdFromShopifyCustomer(shopifyCustomerId);
-        const existingTrimmed = (existing || "").trim();
-        if (existingTrimmed) {
-          mayaCustomerId = existingTrimmed;
-          console.log("✅ Reusing Maya customer id from Shopify customer metafield:", mayaCustomerId);
+        const esim = await getMayaEsimDetailsByIccid(e.iccid);
+        if (!esim?.activation_code) {
+          log.warn("⚠️ QR re-send: no activation code yet:", { orderId: order.orderId, iccid: e.iccid });
+          continue;
         }
-      } catch (e) {
-        console.error("❌ Could not read Shopify customer metafield:", e.message);
+
+        const lineItem = order.lineItems.find((li) => li.id === String(e.lineItemId || ""));
+
+        const sent = await sendEsimEmail({
+          to: order.email,
+          firstName: order.firstName,
+          orderId: order.orderId,
+          activationCode: esim.activation_code,
+          manualCode: esim.manual_code,
+          smdpAddress: esim.smdp_address,
+          apn: esim.apn,
+          planName: lineItem?.variantTitle || "",
+          iccid: esim.iccid || e.iccid,
+          country: lineItem?.title || "",
+        });
+        if (sent) attempt.sent++;
+      } catch (err) {
+        console.error("❌ QR re-send failed for eSIM:", { orderId: order.orderId, iccid: e.iccid, err: err?.message || err });
       }
     }
 
-    if (!mayaCustomerId) {
-      try {
-        const created = await createMayaCustomer({
-          email,
-          firstName,
-          lastName,
-          countryIso2,
-          tag: String(orderId),
-        });
+    completeQrResend(orderName, attemptId, attempt);
+    log.info("📨 QR re-send:", { orderName, orderId: order.orderId, esims: esims.length, sent: attempt.sent, ip: req.ip });
 
-        mayaCustomerId = created.customerId;
-        console.log("✅ Maya customer created:", mayaCustomerId);
-
-        if (shopifyCustomerId) {
-          try {
-            await saveMayaCustomerIdToShopifyCustomer(shopifyCustomerId, mayaCustomerId);
-            console.log("✅ Saved Maya customer id to Shopify customer metafield:", {
-              shopifyCustomerId,
-              mayaCustomerId,
-            });
-          } catch (e) {
-            console.error("❌ Failed saving Maya customer id to Shopify:", e.message);
-          }
-        } else {
-          console.warn("⚠️ No Shopify customer on order (guest checkout).");
+    return res.status(attempt.sent ? 200 : 502).json({ ok: attempt.sent > 0, esims: esims.length, sent: attempt.sent });
+  } catch (e) {
+    if (attemptId) completeQrResend(orderName, attemptId, { ...attempt, error: e?.message || String(e) });
+    console.error("❌ QR re-send failed:", e?.message || e);
+    return res.status(500).json({ ok: false, error: "unavailable" });
+  }
+});
+
+// Time from purchase to activation, from the activations recorded by the usage cron.
+// Only each eSIM's first plan counts (top-ups are bought long after the order).
+app.get("/admin/activations", requireAdminToken, async (req, res) => {
+  const daysBack = Math.min(365, Math.max(1, Number(req.query.days) || 30));
+
+  try {
+    const firstByIccid = new Map();
+
+    for await (const o of storage.esims.iterateOrdersWithEsims({ daysBack })) {
+      for (const a of o.activations || []) {
+        const current = firstByIccid.get(a.iccid);
+        if (!current || String(a.activatedAt) < String(current.activatedAt)) {
+          firstByIccid.set(a.iccid, { orderId: o.orderId, orderName: o.orderName, ...a });
         }
-      } catch (e) {
-        console.error("❌ Maya customer creation failed:", e.message);
-        shouldMarkProcessed = false;
-        return { ok: true, skipped: false, reason: "maya_customer_failed" };
       }
     }
-    try {
-  await saveMayaCustomerIdToOrder(orderId, mayaCustomerId);
-  console.log("✅ Saved Maya customer id to Shopify ORDER metafield:", { orderId, mayaCustomerId });
-} catch (e) {
-  console.error("❌ Failed saving Maya customer id on ORDER:", e?.message || e);
-  // Do not fail the whole order; cron can still work for older orders later
+
+    const activations = [...firstByIccid.values()].sort((a, b) => String(b.activatedAt).localeCompare(String(a.activatedAt)));
+    const minutes = activations
+      .map((a) => a.purchaseToActivationMinutes)
+      .filter((m) => Number.isFinite(m))
+      .sort((a, b) => a - b);
+
+    return res.json({
+      ok: true,
+      daysBack,
+      count: activations.length,
+      medianMinutes: minutes.length ? minutes[Math.floor(minutes.length / 2)] : null,
+      averageMinutes: minutes.length ? Math.round(minutes.reduce((sum, m) => sum + m, 0) / minutes.length) : null,
+      activations,
+    });
+  } catch (e) {
+    console.error("❌ Activation report failed:", e?.message || e);
+    return res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+// -----------------------------
+// eSIM status API (checkout thank-you page extension)
+// -----------------------------
+// The extension polls GET /api/orders/:orderId/esim-status right after checkout and shows the eSIM
+// as soon as its unit is completed. Auth (Authorization: Bearer ...):
+//   - a Shopify session token from the extension: only for recent orders of a logged-in buyer,
+//     and the token's customer (sub) has to be the order's customer
+//   - a signed order token (createOrderStatusToken), also accepted as ?token= for QR image links.
+//     It is written to the order (custom.esim_status_token) when the order is first processed,
+//     which is where the extension reads it for guest checkouts.
+const ORDER_STATUS_SESSION_MAX_AGE_MS = Number(process.env.ORDER_STATUS_SESSION_MAX_AGE_MS || 24 * 60 * 60 * 1000);
+const ORDER_STATUS_QR_LINK_TTL_MS = 60 * 60 * 1000;
+
+// Called once per order, when its provisioning starts. Without a secret only logged-in buyers can poll.
+async function publishOrderStatusToken(orderId) {
+  try {
+    await saveOrderStatusTokenToOrder(orderId, createOrderStatusToken(orderId));
+  } catch (e) {
+    console.error("⚠️ Could not publish the eSIM status token on the order:", { orderId, err: e?.message || e });
+  }
 }
 
-    // 2) Process line items
-    const items = order?.line_items || [];
-    console.log("🧾 LINE ITEMS:", items.length);
+// Activation codes never change, so they are kept once Maya has returned one (polling would hit Maya every few seconds)
+const ESIM_ACTIVATION_CACHE_MAX = 500;
+const esimActivationCache = new Map();
 
-    for (let i = 0; i < items.length; i++) {
-      const item = items[i];
-      const variantId = String(item.variant_id);
-      const qty = Number(item.quantity || 1);
+async function getEsimActivation(iccid) {
+  if (esimActivationCache.has(iccid)) return esimActivationCache.get(iccid);
 
-      let mayaPlanId = null;
-      let productType = null;
+  const esim = await getMayaEsimDetailsByIccid(iccid);
+  if (!esim?.activation_code) return null;
 
-      try {
-        const cfg = await getVariantConfig(variantId);
-        mayaPlanId = cfg?.mayaPlanId || null;
-        productType = cfg?.productType || null;
-      } catch (e) {
-        console.error("❌ Failed to fetch config for variant:", variantId, e.message);
-        shouldMarkProcessed = false;
-        continue;
-      }
+  const activation = {
+    activationCode: esim.activation_code,
+    manualCode: esim.manual_code || null,
+    smdpAddress: esim.smdp_address || null,
+  };
 
-      console.log(`Item #${i + 1}:`, {
-        title: item.title,
-        variant_title: item.variant_title,
-        variant_id: variantId,
-        quantity: qty,
-        maya_plan_id: mayaPlanId,
-        product_type: productType,
-      });
+  if (esimActivationCache.size >= ESIM_ACTIVATION_CACHE_MAX) {
+    esimActivationCache.delete(esimActivationCache.keys().next().value);
+  }
+  esimActivationCache.set(iccid, activation);
+  return activation;
+}
 
-      if (!mayaPlanId) {
-        console.error("❌ Missing metafield custom.maya_plan_id for variant:", variantId);
-        shouldMarkProcessed = false;
-        continue;
-      }
+// Checkout UI extensions run in a sandboxed worker (no fixed origin) and send no cookies
+app.use("/api", (req, res, next) => {
+  res.set("Access-Control-Allow-Origin", "*");
+  res.set("Access-Control-Allow-Headers", "Authorization, Content-Type");
+  res.set("Access-Control-Allow-Methods", "GET, OPTIONS");
+  if (req.method === "OPTIONS") return res.sendStatus(204);
+  return next();
+});
 
-      // -----------------------------
-      // RECHARGE (TOP UP)
-      // -----------------------------
-      if (productType === "recharge") {
-        console.log("🔄 Entering TOP-UP flow", { orderId, variantId, qty, mayaPlanId, mayaCustomerId });
-
-        if (!mayaCustomerId) {
-          shouldMarkProcessed = false;
-          await sendAdminAlertEmail({
-            subject: `⚠️ Top-up received but no Maya customer id (Order #${orderId})`,
-            html: `
-              <p>Order contains a <b>top-up</b>, but we could not resolve a Maya customer id.</p>
-              <ul>
-                <li><b>Order ID</b>: ${orderId}</li>
-                <li><b>Email</b>: ${email || ""}</li>
-                <li><b>Variant ID</b>: ${variantId}</li>
-                <li><b>Maya plan_type_id</b>: ${mayaPlanId}</li>
-              </ul>
-              <p>No action was taken. Please contact the customer.</p>
-            `,
-          });
-          continue;
-        }
+// Returns the order id once the request may read it; otherwise answers and returns null
+async function authorizeOrderStatus(req, res) {
+  const orderId = String(req.params.orderId || "").trim();
+  if (!/^\d{1,20}$/.test(orderId)) {
+    res.status(400).json({ ok: false, error: "invalid_order_id" });
+    return null;
+  }
 
-        let mayaDetails = null;
-        try {
-          mayaDetails = await getMayaCustomerDetails(mayaCustomerId);
-        } catch (e) {
-          shouldMarkProcessed = false;
-          await sendAdminAlertEmail({
-            subject: `⚠️ Top-up failed: could not fetch Maya customer (Order #${orderId})`,
-            html: `
-              <p>Order contains a <b>top-up</b>, but fetching the Maya customer failed.</p>
-              <ul>
-                <li><b>Order ID</b>: ${orderId}</li>
-                <li><b>Email</b>: ${email || ""}</li>
-                <li><b>Maya customer id</b>: ${mayaCustomerId}</li>
-                <li><b>Variant ID</b>: ${variantId}</li>
-                <li><b>Maya plan_type_id</b>: ${mayaPlanId}</li>
-                <li><b>Error</b>: ${(e && e.message) || e}</li>
-              </ul>
-              <p>No action was taken.</p>
-            `,
-          });
-          continue;
-        }
+  const header = String(req.get("Authorization") || "");
+  const token = header.startsWith("Bearer ") ? header.slice(7).trim() : String(req.query.token || "").trim();
+  if (!token) {
+    res.status(401).json({ ok: false, error: "unauthorized" });
+    return null;
+  }
 
-        const customer = mayaDetails?.customer;
-        const esims = Array.isArray(customer?.esims) ? customer.esims : [];
-        const destinationShopify = String(item.title || "").trim();
-        console.log("👤 Maya customer loaded", { mayaCustomerId, esims_count: esims.length });
-
-        const candidateEsims = esims.filter((e) => {
-          const state = String(e?.state || "").toLowerCase();
-          const service = String(e?.service_status || "").toLowerCase();
-          if (state.includes("terminated") || state.includes("cancel")) return false;
-          if (service.includes("terminated") || service.includes("cancel")) return false;
-          return true;
-        });
+  try {
+    // Session tokens are JWTs (three parts), order tokens have two
+    if (token.split(".").length !== 3) {
+      if (verifyOrderStatusToken(token) === orderId) return orderId;
+      res.status(401).json({ ok: false, error: "unauthorized" });
+      return null;
+    }
 
-        console.log(
-          "📱 candidateEsims:",
-          candidateEsims.map((e) => ({
-            iccid: e.iccid,
-            uid: e.uid,
-            state: e.state,
-            service_status: e.service_status,
-            plans_count: Array.isArray(e.plans) ? e.plans.length : 0,
-          }))
-        );
+    const claims = verifyShopifySessionToken(token);
+    if (!claims) {
+      res.status(401).json({ ok: false, error: "unauthorized" });
+      return null;
+    }
 
-        const planCandidates = [];
-        for (const e of candidateEsims) {
-          const plans = Array.isArray(e?.plans) ? e.plans : [];
-          for (const p of plans) {
-            planCandidates.push({
-              iccid: e?.iccid,
-              esimUid: e?.uid,
-              planId: p?.id,
-              planTypeId: p?.plan_type?.id,
-              planTypeName: p?.plan_type?.name,
-              rawPlan: p,
-            });
-          }
-        }
+    // A guest session token names no customer, so nothing ties it to this order: guests use the order token
+    const customerId = String(claims.sub || "").startsWith("gid://shopify/Customer/") ? claims.sub.split("/").pop() : null;
+    if (!customerId) {
+      res.status(401).json({ ok: false, error: "order_token_required" });
+      return null;
+    }
 
-        let best = null;
-        const exact = planCandidates.filter((c) => c.planTypeId && normId(c.planTypeId) === normId(mayaPlanId));
-
-        if (exact.length > 0) best = exact[0];
-
-        if (!best?.iccid) {
-          shouldMarkProcessed = false;
-          await sendAdminAlertEmail({
-            subject: `⚠️ Top-up reçu mais aucune eSIM trouvée (Order #${orderId})`,
-            html: `
-              <p>Le client a acheté une <b>recharge</b>, mais aucune eSIM n’a été trouvée.</p>
-              <ul>
-                <li><b>Order ID</b>: ${orderId}</li>
-                <li><b>Email</b>: ${email || ""}</li>
-                <li><b>Maya customer id</b>: ${mayaCustomerId}</li>
-                <li><b>Maya plan_type_id</b>: ${mayaPlanId}</li>
-              </ul>
-            `,
-          });
-          continue;
-        }
+    const buyer = await getOrderBuyer(orderId);
+    const age = Date.now() - new Date(buyer?.createdAt || 0).getTime();
 
-        for (let q = 0; q < qty; q++) {
-          try {
-            await createMayaTopUp({ iccid: best.iccid, planTypeId: best.planTypeId || mayaPlanId });
-            console.log("✅ Maya top-up created:", { iccid: best.iccid, plan_type_id: best.planTypeId || mayaPlanId });
-          } catch (e) {
-            shouldMarkProcessed = false;
-            console.error("❌ Maya top-up error:", e.message);
-          }
-        }
+    if (!buyer || !(age <= ORDER_STATUS_SESSION_MAX_AGE_MS) || customerId !== buyer.customerId) {
+      log.warn("⚠️ eSIM status refused for session token:", { orderId, sub: claims.sub || null, found: Boolean(buyer) });
+      res.status(404).json({ ok: false, error: "order_not_found" });
+      return null;
+    }
 
-        try {
-          await sendTopUpEmail({ to: email, firstName, orderId });
-        } catch (e) {
-          console.error("❌ Failed to send top-up email:", e?.message || e);
-        }
-        continue;
-      }
+    return orderId;
+  } catch (e) {
+    console.error("❌ eSIM status auth failed:", e?.message || e);
+    res.status(500).json({ ok: false, error: "unavailable" });
+    return null;
+  }
+}
 
-      // -----------------------------
-      // NORMAL eSIM purchase
-      // -----------------------------
-      for (let q = 0; q < qty; q++) {
-        try {
-          const baseTag = `${item.title}-${item.variant_title}`
-            .normalize("NFD")
-            .replace(/[\u0300-\u036f]/g, "")
-            .toLowerCase()
-            .replace(/[^a-z0-9]+/g, "-")
-            .replace(/^-|-$/g, "");
-
-          const esimTag = qty > 1 ? `${baseTag}-${q + 1}` : baseTag;
-
-          const mayaResp = await createMayaEsim({
-            planTypeId: mayaPlanId,
-            customerId: mayaCustomerId,
-            tag: esimTag,
-          });
+// completed only when every unit is; failed as soon as one unit failed (staff is alerted and takes over)
+function aggregateUnitStatus(units) {
+  if (!units.length) return "pending";
+  if (units.some((u) => u.status === UNIT_STATUS.FAILED_AUTH || u.status === UNIT_STATUS.FAILED_CONFIGURATION)) {
+    return "failed";
+  }
+  return units.every((u) => u.status === UNIT_STATUS.COMPLETED) ? "completed" : "processing";
+}
 
-          console.log("✅ Maya eSIM created:", {
-            maya_customer_id: mayaCustomerId,
-            maya_esim_uid: mayaResp?.esim?.uid,
-            iccid: mayaResp?.esim?.iccid,
-          });
+app.get("/api/orders/:orderId/esim-status", async (req, res) => {
+  const orderId = await authorizeOrderStatus(req, res);
+  if (!orderId) return;
 
-          try {
-            await saveEsimToOrder(orderId, {
-              iccid: mayaResp?.esim?.iccid,
-              esimUid: mayaResp?.esim?.uid,
-            });
-            console.log("✅ Saved eSIM info to Shopify order:", { orderId, iccid: mayaResp?.esim?.iccid, esimUid: mayaResp?.esim?.uid });
-          } catch (e) {
-            console.error("❌ Failed to save eSIM info to Shopify order:", e?.message || e);
-            shouldMarkProcessed = false;
-
-            try {
-              await sendManualActionEmail({
-                orderId,
-                shopDomain: reqForHeaders?.get?.("X-Shopify-Shop-Domain") || "",
-                customerEmail: email,
-                customerName: `${firstName || ""} ${lastName || ""}`.trim(),
-                variantId,
-                mayaPlanId,
-                iccid: mayaResp?.esim?.iccid,
-                esimUid: mayaResp?.esim?.uid,
-                error: e,
-              });
-            } catch (mailErr) {
-              console.error("❌ Failed to send manual-action email:", mailErr?.message || mailErr);
-            }
-          }
+  res.set("Cache-Control", "no-store");
 
-          try {
-            await sendEsimEmail({
-              to: email,
-              firstName,
-              orderId,
-              activationCode: mayaResp?.esim?.activation_code,
-              manualCode: mayaResp?.esim?.manual_code,
-              smdpAddress: mayaResp?.esim?.smdp_address,
-              apn: mayaResp?.esim?.apn,
-              planName: item.variant_title,
-              iccid: mayaResp?.esim?.iccid,
-              country: item.title,
-            });
-          } catch (e) {
-            console.error("❌ Failed to send eSIM email:", e?.message || e);
-          }
-        } catch (e) {
-          shouldMarkProcessed = false;
-          console.error("❌ Maya provisioning error:", e.message);
-        }
-      }
-    }
+  try {
+    // No state yet when the thank-you page loads before the orders/paid webhook is processed
+    const state = await storage.orders.getProvisioning(orderId);
+    const units = Object.values(state?.units || {}).sort(
+      (a, b) => String(a.lineItemId).localeCompare(String(b.lineItemId), "en", { numeric: true }) || a.unitIndex - b.unitIndex
+    );
 
-    if (shouldMarkProcessed) {
+    let qrToken = null;
+    const qrUrl = (iccid) => {
       try {
-        await markOrderProcessed(orderId);
-        console.log("✅ Order marked as processed in Shopify:", orderId);
+        qrToken = qrToken || createOrderStatusToken(orderId, { ttlMs: ORDER_STATUS_QR_LINK_TTL_MS });
+        return `${publicBaseUrl()}/api/orders/${orderId}/esims/${iccid}/qr?token=${encodeURIComponent(qrToken)}`;
       } catch (e) {
-        console.error("❌ Failed to mark order as processed:", e?.message || e);
+        console.error("❌ eSIM status: cannot build QR link:", e?.message || e);
+        return null;
       }
-    } else {
-      console.warn("⚠️ Not marking order as processed (some steps failed):", orderId);
-    }
+    };
 
-    return { ok: true, skipped: false, reason: "processed" };
-  } finally {
-    if (lockAcquired && lockToken) {
-      try {
-        const released = await releaseOrderProcessingLock(orderId, lockToken);
-        console.log("🔓 Released processing lock:", { orderId, released });
-      } catch (e) {
-        console.error("❌ Failed to release processing lock:", e?.message || e);
+    const lines = new Map();
+    for (const unit of units) {
+      const out = { unitIndex: unit.unitIndex, kind: unit.kind, status: unit.status, iccid: unit.iccid || null };
+
+      // Top-ups go to an eSIM the buyer already has installed: nothing to scan
+      if (unit.kind === "esim" && unit.status === UNIT_STATUS.COMPLETED && unit.iccid) {
+        const iccid = normalizeIccid(unit.iccid);
+        try {
+          const activation = await getEsimActivation(iccid);
+          if (activation) Object.assign(out, activation, { qrUrl: qrUrl(iccid) });
+        } catch (e) {
+          log.warn("⚠️ eSIM status: could not read activation code:", { orderId, iccid, err: e?.message || e });
+        }
       }
+
+      if (!lines.has(unit.lineItemId)) lines.set(unit.lineItemId, { lineItemId: unit.lineItemId, title: unit.title || "", units: [] });
+      lines.get(unit.lineItemId).units.push(out);
     }
-  }
-}
 
-// -----------------------------
-// Webhook: orders/paid - PROD
-// -----------------------------
-app.post("/webhooks/order-paid", async (req, res) => {
-  const ok = verifyShopifyWebhook(req);
-
-  console.log("🟨 Webhook shop =", req.get("x-shopify-shop-domain"));
-  console.log("---- WEBHOOK DEBUG START ----");
-  console.log("Topic:", req.get("X-Shopify-Topic"));
-  console.log("Shop:", req.get("X-Shopify-Shop-Domain"));
-  console.log("Content-Type:", req.get("content-type"));
-  console.log("Buffer rawBody?", Buffer.isBuffer(req.rawBody));
-  console.log("WEBHOOK_API_SECRET length:", (process.env.WEBHOOK_API_SECRET || "").trim().length);
-  console.log("Raw body length:", req.rawBody?.length);
-  console.log("HMAC MATCH:", ok);
-  console.log("---- WEBHOOK DEBUG END ----");
-
-  if (!ok) return res.status(401).send("Invalid signature");
-
-  // Save last payload for replay/debug
-  try {
-    fs.writeFileSync("last-webhook.json", req.rawBody);
-    console.log("✅ Saved last webhook payload to last-webhook.json");
-  } catch (e) {
-    console.warn("⚠️ Could not write last-webhook.json:", e?.message || e);
-  }
+    const result = [...lines.values()].map((line) => ({ ...line, status: aggregateUnitStatus(line.units) }));
 
-  // ✅ Run the ONE canonical handler (includes lock + processed flag + saving maya_customer_id on ORDER)
-  try {
-    await handleOrderPaidWebhook(req.body || {}, req);
+    return res.json({
+      ok: true,
+      orderId,
+      status: aggregateUnitStatus(units),
+      done: units.length > 0 && units.every(isUnitTerminal),
+      lines: result,
+      updatedAt: state?.updatedAt || null,
+    });
   } catch (e) {
-    console.error("❌ handleOrderPaidWebhook failed:", e?.message || e);
-    // still return 200 to avoid Shopify retry storms unless you explicitly want retries
+    console.error("❌ eSIM status failed:", e?.message || e);
+    return res.status(500).json({ ok: false, error: "unavailable" });
   }
-
-  return res.status(200).send("OK");
 });
 
-// -----------------------------
-// Webhook: orders/paid - TEST
-// -----------------------------
-
-// app.post("/webhooks/order-paid", async (req, res) => {
-//   const ok = verifyShopifyWebhook(req);
-
-//   console.log("---- WEBHOOK DEBUG START ----");
-//   console.log("Topic:", req.get("X-Shopify-Topic"));
-//   console.log("Shop:", req.get("X-Shopify-Shop-Domain"));
-//   console.log("HMAC MATCH:", ok);
-//   console.log("---- WEBHOOK DEBUG END ----");
+// QR image for the extension (<Image source=qrUrl>), only for a completed eSIM of this order
+app.get("/api/orders/:orderId/esims/:iccid/qr", async (req, res) => {
+  const orderId = await authorizeOrderStatus(req, res);
+  if (!orderId) return;
 
-//   if (!ok) return res.status(401).send("Invalid signature");
+  const iccid = normalizeIccid(req.params.iccid);
 
-//   fs.writeFileSync("last-webhook.json", req.rawBody);
-//   console.log("✅ Saved last webhook payload to last-webhook.json");
+  try {
+    const state = await storage.orders.getProvisioning(orderId);
+    const unit = Object.values(state?.units || {}).find(
+      (u) => u.kind === "esim" && u.status === UNIT_STATUS.COMPLETED && normalizeIccid(u.iccid) === iccid
+    );
+    if (!unit) return res.status(404).json({ ok: false, error: "esim_not_found" });
 
-//   await handleOrderPaidWebhook(req.body || {}, req);
+    const activation = await getEsimActivation(iccid);
+    if (!activation) return res.status(404).json({ ok: false, error: "qr_not_ready" });
 
-//   return res.status(200).send("OK");
-// });
+    const png = Buffer.from(await generateQrPngBase64(activation.activationCode), "base64");
 
-// ==========================================
-// TEST ROUTE — replay last webhook
-// ==========================================
-// app.post("/test/replay-last-webhook", async (req, res) => {
-//   try {
-//     const raw = fs.readFileSync("last-webhook.json", "utf8");
-//     const payload = JSON.parse(raw);
+    res.set("Cache-Control", "private, no-store");
+    return res.type("png").send(png);
+  } catch (e) {
+    console.error("❌ eSIM status QR failed:", e?.message || e);
+    return res.status(500).json({ ok: false, error: "unavailable" });
+  }
+});
 
-//     console.log("🧪 REPLAYING LAST WEBHOOK");
+// Signed status link for one order (support, or a client that has no checkout session token)
+app.post("/admin/orders/:orderId/esim-status-token", requireAdminToken, (req, res) => {
+  const orderId = String(req.params.orderId || "").trim();
+  if (!/^\d{1,20}$/.test(orderId)) return res.status(400).json({ ok: false, error: "invalid_order_id" });
 
-//     await handleOrderPaidWebhook(payload, null);
+  try {
+    const token = createOrderStatusToken(orderId);
+    return res.json({
+      ok: true,
+      orderId,
+      token,
+      expiresAt: new Date(Date.now() + ORDER_STATUS_TOKEN_TTL_MS).toISOString(),
+      statusUrl: `${publicBaseUrl()}/api/orders/${orderId}/esim-status?token=${encodeURIComponent(token)}`,
+    });
+  } catch (e) {
+    console.error("❌ eSIM status token failed:", e?.message || e);
+    return res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
 
-//     res.json({ ok: true });
-//   } catch (e) {
-//     console.error("❌ replay error:", e);
-//     res.status(500).json({ error: e.message });
-//   }
-// });
+// -----------------------------
+// Scheduler (periodic jobs, one instance at a time)
+// -----------------------------
+const USAGE_CHECK_INTERVAL_MS = Number(process.env.USAGE_CHECK_INTERVAL_MS || 60 * 60 * 1000);
+const PLAN_EXPIRY_CHECK_INTERVAL_MS = Number(process.env.PLAN_EXPIRY_CHECK_INTERVAL_MS || 3 * 60 * 60 * 1000);
+
+const scheduler = createScheduler({
+  jobs: [
+    {
+      name: "check-usage",
+      intervalMs: USAGE_CHECK_INTERVAL_MS,
+      leases: storage.leases,
+      run: ({ signal }) => runUsageCheck({ expiry: false, signal }),
+    },
+    {
+      name: "plan-expiry",
+      intervalMs: PLAN_EXPIRY_CHECK_INTERVAL_MS,
+      leases: storage.leases,
+      run: ({ signal }) => runUsageCheck({ usage: false, signal }),
+    },
+    // Pending QR units live in DATA_DIR, so their lease does too (shared only by instances sharing DATA_DIR)
+    {
+      name: "poll-qr",
+      intervalMs: QR_POLL_INTERVAL_MS,
+      leases: createFileLeases(),
+      run: () => pollPendingQrUnits(),
+    },
+  ],
+});
 
 // -----------------------------
 const port = process.env.PORT || 3000;
-app.listen(port, () => console.log(`Listening on ${port}`));
\ No newline at end of file
+app.listen(port, () => {
+  console.log(`Listening on ${port}`);
+
+  startJobWorker({
+    handlers: { "orders/paid": runOrderPaidJob },
+    pollMs: Number(process.env.JOB_POLL_MS || 2000),
+    onDeadLetter: alertDeadJob,
+  });
+
+  scheduler.start();
+});
\ No newline at end of file
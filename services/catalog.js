@@ -0,0 +1,157 @@
+// services/catalog.js
+// Maya product catalog: cached in DATA_DIR/maya-catalog.json and copied onto every
+// Shopify variant that maps to a Maya plan (custom.maya_plan_id), so quota, validity
+// and coverage come from Maya instead of being typed by hand.
+import { getMayaProducts } from "./maya.js";
+import { iterateMayaVariants, saveVariantCatalogMetafields } from "./shopify.js";
+import { dataPath, readJsonFile, writeJsonFile } from "../utils/jsonStore.js";
+
+function catalogFile() {
+  return dataPath("maya-catalog.json");
+}
+
+// Maya product -> plan type (the product uid is the plan_type_id used for eSIMs and top-ups)
+function normalizeMayaProduct(p) {
+  const planTypeId = String(p?.uid || p?.id || p?.plan_type_id || "").trim();
+  if (!planTypeId) return null;
+
+  const quotaBytes = Number(p?.data_quota_bytes);
+  const quotaMb = Number(p?.data_quota_mb);
+
+  return {
+    planTypeId,
+    name: String(p?.name || "").trim() || null,
+    dataQuotaBytes: Number.isFinite(quotaBytes) ? quotaBytes : Number.isFinite(quotaMb) ? quotaMb * 1024 * 1024 : null,
+    validityDays: Number.isFinite(Number(p?.validity_days)) ? Number(p.validity_days) : null,
+    countries: (Array.isArray(p?.countries_enabled) ? p.countries_enabled : [])
+      .map((c) => String(c || "").trim().toUpperCase())
+      .filter(Boolean)
+      .sort(),
+    // Only set when Maya says so explicitly; null means unknown
+    topUpEnabled: typeof p?.topup_enabled === "boolean" ? p.topup_enabled : null,
+  };
+}
+
+export function getCachedMayaCatalog() {
+  return readJsonFile(catalogFile(), null);
+}
+
+// Plan type ids are compared trimmed and case-insensitively (variant metafields are typed by hand)
+function planKey(planTypeId) {
+  return String(planTypeId || "").trim().toLowerCase();
+}
+
+export function findCatalogPlan(catalog, planTypeId) {
+  const id = planKey(planTypeId);
+  if (!id) return null;
+  return (catalog?.plans || []).find((p) => planKey(p.planTypeId) === id) || null;
+}
+
+// Reads the catalog from Maya without touching the cache
+export async function fetchMayaCatalog() {
+  const products = await getMayaProducts();
+  return { fetchedAt: new Date().toISOString(), plans: products.map(normalizeMayaProduct).filter(Boolean) };
+}
+
+export async function refreshMayaCatalog() {
+  const catalog = await fetchMayaCatalog();
+  const { plans } = catalog;
+  writeJsonFile(catalogFile(), catalog);
+
+  console.log("📚 Maya catalog refreshed:", { plans: plans.length });
+  return catalog;
+}
+
+function sameCatalogFields(current, plan) {
+  return (
+    current.planName === plan.name &&
+    current.dataQuotaBytes === plan.dataQuotaBytes &&
+    current.validityDays === plan.validityDays &&
+    JSON.stringify([...(current.countries || [])].sort()) === JSON.stringify(plan.countries)
+  );
+}
+
+// Refreshes the catalog, then writes it onto every mapped variant (only when something changed).
+// Variants whose maya_plan_id is not in the catalog are reported, never modified.
+export async function syncMayaCatalog({ dryRun = false } = {}) {
+  const catalog = await refreshMayaCatalog();
+
+  const report = {
+    ok: true,
+    dryRun,
+    fetchedAt: catalog.fetchedAt,
+    plans: catalog.plans.length,
+    variants: 0,
+    updated: 0,
+    unchanged: 0,
+    failed: [],
+    unknownPlan: [],
+  };
+
+  for await (const v of iterateMayaVariants()) {
+    report.variants++;
+
+    const plan = findCatalogPlan(catalog, v.mayaPlanId);
+    if (!plan) {
+      report.unknownPlan.push({ variantId: v.variantId, title: v.title, mayaPlanId: v.mayaPlanId });
+      continue;
+    }
+
+    if (sameCatalogFields(v.catalog, plan)) {
+      report.unchanged++;
+      continue;
+    }
+
+    if (dryRun) {
+      report.updated++;
+      continue;
+    }
+
+    try {
+      await saveVariantCatalogMetafields(v.variantId, {
+        planName: plan.name,
+        dataQuotaBytes: plan.dataQuotaBytes,
+        validityDays: plan.validityDays,
+        countries: plan.countries,
+      });
+      report.updated++;
+    } catch (e) {
+      console.error("❌ Catalog sync: could not update variant:", v.variantId, e?.message || e);
+      report.failed.push({ variantId: v.variantId, title: v.title, error: e?.message || String(e) });
+    }
+  }
+
+  report.ok = report.failed.length === 0 && report.unknownPlan.length === 0;
+  console.log("📚 Catalog sync done:", { ...report, failed: report.failed.length, unknownPlan: report.unknownPlan.length });
+  return report;
+}
+
+// Recharge variants (custom.type_de_produit = recharge) by the Maya plan type they top up.
+// Used for "recharge now" links; rebuilt at most every RECHARGE_INDEX_TTL_MS.
+const RECHARGE_INDEX_TTL_MS = 10 * 60 * 1000;
+let rechargeIndex = null; // { at, promise }
+
+async function buildRechargeIndex() {
+  const byPlan = new Map();
+  for await (const v of iterateMayaVariants()) {
+    if (v.productType !== "recharge") continue;
+    const key = planKey(v.mayaPlanId);
+    if (!byPlan.has(key)) byPlan.set(key, v);
+  }
+  return byPlan;
+}
+
+export async function findRechargeVariant(planTypeId) {
+  const id = planKey(planTypeId);
+  if (!id) return null;
+
+  if (!rechargeIndex || Date.now() - rechargeIndex.at > RECHARGE_INDEX_TTL_MS) {
+    rechargeIndex = { at: Date.now(), promise: buildRechargeIndex() };
+    // A failed scan is retried on the next call instead of being cached
+    rechargeIndex.promise.catch(() => {
+      rechargeIndex = null;
+    });
+  }
+
+  return (await rechargeIndex.promise).get(id) || null;
+}
@@ -0,0 +1,210 @@
+// services/configValidator.js
+// Pre-flight checks run before a deploy (`npm run validate`) or via GET /admin/validate.
+// Each check is { group, name, status: "pass" | "warn" | "fail", detail }.
+import { getShopifyAccessScopes, iterateMayaVariants } from "./shopify.js";
+import { classifyMayaError, MAYA_FAILURE } from "./maya.js";
+import { fetchMayaCatalog, findCatalogPlan } from "./catalog.js";
+
+const REQUIRED_ENV = [
+  "WEBHOOK_API_SECRET",
+  "SHOPIFY_SHOP_DOMAIN",
+  "API_ACCESS_TOKEN",
+  "MAYA_AUTH",
+  "CRON_SECRET",
+  "ADMIN_API_SECRET",
+  "PUBLIC_BASE_URL",
+];
+
+// Emails are skipped (not failed) without these, so they only warn
+const RECOMMENDED_ENV = ["RESEND_API_KEY", "EMAIL_FROM", "ALERT_EMAIL_TO"];
+
+// Checked as https URLs when set; a missing one is only reported by the required/optional checks
+const URL_ENV = ["MAYA_BASE_URL", "STOREFRONT_URL", "PUBLIC_BASE_URL"];
+
+const NUMERIC_ENV = [
+  "PORT",
+  "USAGE_ALERT_THRESHOLD_PERCENT",
+  "FETCH_TIMEOUT_MS",
+  "MAYA_TIMEOUT_MS",
+  "MAYA_MAX_RETRIES",
+  "MAYA_RETRY_BASE_MS",
+  "MAYA_BREAKER_THRESHOLD",
+  "MAYA_BREAKER_COOLDOWN_MS",
+  "MAYA_LOCK_TTL_MS",
+  "LOCK_HEARTBEAT_MS",
+  "SHOPIFY_MAX_RETRIES",
+  "SHOPIFY_RETRY_BASE_MS",
+  "JOB_POLL_MS",
+  "QR_POLL_INTERVAL_MS",
+  "QR_POLL_DEADLINE_MS",
+  "QR_POLL_GIVE_UP_MS",
+  "QR_POLL_MAX_FAILED_CHECKS",
+  "ESIMS_EXPIRED_RECHECK_DAYS",
+  "PLAN_EXPIRY_REMINDER_HOURS",
+  "USAGE_CRON_CONCURRENCY",
+  "USAGE_CRON_BATCH_SIZE",
+  "USAGE_CHECK_INTERVAL_MS",
+  "PLAN_EXPIRY_CHECK_INTERVAL_MS",
+  "SCHEDULER_TICK_MS",
+  "MY_ESIMS_LINK_TTL_MS",
+  "MY_ESIMS_SESSION_TTL_MS",
+  "MY_ESIMS_REQUEST_COOLDOWN_MS",
+  "MY_ESIMS_REQUEST_IP_LIMIT",
+  "QR_RESEND_MAX_PER_DAY",
+  "QR_RESEND_MAX_MISSES_PER_IP",
+  "QR_RESEND_MAX_MISSES_PER_ORDER",
+  "QR_RESEND_MISS_LOG_MAX",
+  "ORDER_STATUS_TOKEN_TTL_MS",
+  "ORDER_STATUS_SESSION_MAX_AGE_MS",
+];
+
+// write_x implies read_x
+const REQUIRED_SHOPIFY_SCOPES = ["write_orders", "write_products", "write_customers"];
+
+const STORAGE_BACKENDS = ["shopify", "file"];
+
+function envValue(name) {
+  return String(process.env[name] || "").trim();
+}
+
+function checkEnv(add) {
+  // One line per variable: a required URL that is set is reported by the URL check below
+  for (const name of REQUIRED_ENV) {
+    if (envValue(name) && URL_ENV.includes(name)) continue;
+    add("env", name, envValue(name) ? "pass" : "fail", envValue(name) ? "" : "missing");
+  }
+
+  for (const name of RECOMMENDED_ENV) {
+    add("env", name, envValue(name) ? "pass" : "warn", envValue(name) ? "" : "missing (emails are skipped)");
+  }
+
+  const portalSecret = envValue("MY_ESIMS_LINK_SECRET");
+  add("env", "MY_ESIMS_LINK_SECRET", portalSecret ? "pass" : "warn", portalSecret ? "" : "missing (My eSIMs links cannot be issued)");
+
+  const statusSecret = envValue("ORDER_STATUS_TOKEN_SECRET");
+  add(
+    "env",
+    "ORDER_STATUS_TOKEN_SECRET",
+    statusSecret ? "pass" : "warn",
+    statusSecret ? "" : "missing (eSIM status tokens and QR image links cannot be issued)"
+  );
+
+  for (const name of NUMERIC_ENV) {
+    const raw = envValue(name);
+    if (!raw) continue;
+    const n = Number(raw);
+    const ok = Number.isFinite(n) && n >= 0;
+    add("env", name, ok ? "pass" : "fail", ok ? "" : `"${raw}" is not a non-negative number`);
+  }
+
+  const delays = envValue("JOB_RETRY_DELAYS_MS");
+  if (delays) {
+    const ok = delays.split(",").every((d) => Number.isFinite(Number(d.trim())) && Number(d.trim()) >= 0);
+    add("env", "JOB_RETRY_DELAYS_MS", ok ? "pass" : "fail", ok ? "" : `"${delays}" is not a list of milliseconds`);
+  }
+
+  const thresholds = envValue("USAGE_ALERT_THRESHOLDS");
+  if (thresholds) {
+    const ok = thresholds.split(",").every((t) => Number(t.trim()) > 0 && Number(t.trim()) <= 100);
+    add("env", "USAGE_ALERT_THRESHOLDS", ok ? "pass" : "fail", ok ? "" : `"${thresholds}" is not a list of percentages (1-100)`);
+  }
+
+  const backend = envValue("STORAGE_BACKEND").toLowerCase();
+  if (backend) {
+    const ok = STORAGE_BACKENDS.includes(backend);
+    add("env", "STORAGE_BACKEND", ok ? "pass" : "fail", ok ? backend : `expected one of ${STORAGE_BACKENDS.join(", ")}`);
+  }
+
+  for (const name of URL_ENV) {
+    const url = envValue(name);
+    if (!url) continue;
+    let ok = false;
+    try {
+      ok = new URL(url).protocol === "https:";
+    } catch {
+      ok = false;
+    }
+    add("env", name, ok ? "pass" : "fail", ok ? url : `"${url}" is not an https URL`);
+  }
+}
+
+async function checkShopifyScopes(add) {
+  let scopes;
+  try {
+    scopes = await getShopifyAccessScopes();
+  } catch (e) {
+    add("shopify", "access token", "fail", e?.message || String(e));
+    return false;
+  }
+
+  add("shopify", "access token", "pass", `${scopes.length} scope(s)`);
+
+  for (const scope of REQUIRED_SHOPIFY_SCOPES) {
+    const ok = scopes.includes(scope);
+    add("shopify", `scope ${scope}`, ok ? "pass" : "fail", ok ? "" : "not granted to the app");
+  }
+  return true;
+}
+
+async function checkMaya(add) {
+  try {
+    const catalog = await fetchMayaCatalog();
+    add("maya", "credentials", "pass", `${catalog.plans.length} plan type(s) on the account`);
+    return catalog;
+  } catch (e) {
+    const failure = classifyMayaError(e);
+    const detail = failure === MAYA_FAILURE.AUTH ? `MAYA_AUTH rejected: ${e?.message || e}` : e?.message || String(e);
+    add("maya", "credentials", "fail", detail);
+    return null;
+  }
+}
+
+// eSIM variants need a plan that exists; recharge variants need a plan Maya allows as a top-up
+async function checkVariants(add, catalog) {
+  let count = 0;
+
+  for await (const v of iterateMayaVariants({ includeUnmapped: true })) {
+    count++;
+    const name = `${v.title} (variant ${v.variantId})`;
+    const problems = [];
+
+    if (!v.productType) problems.push("missing custom.type_de_produit");
+    if (!v.mayaPlanId) problems.push("missing custom.maya_plan_id");
+
+    const plan = v.mayaPlanId && catalog ? findCatalogPlan(catalog, v.mayaPlanId) : null;
+    if (v.mayaPlanId && catalog && !plan) problems.push(`plan ${v.mayaPlanId} is not in the Maya catalog`);
+    if (plan && v.productType === "recharge" && plan.topUpEnabled === false) {
+      problems.push(`plan ${v.mayaPlanId} cannot be used as a top-up`);
+    }
+
+    if (problems.length) add("variants", name, "fail", problems.join("; "));
+    else add("variants", name, catalog ? "pass" : "warn", catalog ? v.productType : "plan not checked (Maya unavailable)");
+  }
+
+  if (!count) add("variants", "mapped variants", "warn", "no variant has custom.maya_plan_id or custom.type_de_produit");
+}
+
+export async function validateConfiguration({ remote = true } = {}) {
+  const checks = [];
+  const add = (group, name, status, detail = "") => checks.push({ group, name, status, detail });
+
+  checkEnv(add);
+
+  if (remote) {
+    const shopifyOk = await checkShopifyScopes(add);
+    const catalog = await checkMaya(add);
+
+    if (shopifyOk) {
+      try {
+        await checkVariants(add, catalog);
+      } catch (e) {
+        add("variants", "variant scan", "fail", e?.message || String(e));
+      }
+    }
+  }
+
+  const summary = { pass: 0, warn: 0, fail: 0 };
+  for (const c of checks) summary[c.status]++;
+
+  return { ok: summary.fail === 0, checkedAt: new Date().toISOString(), summary, checks };
+}
@@ -0,0 +1,55 @@
+// services/identityStore.js
+// Local CustomerIdentity records: normalized email -> Maya customer id.
+// Lets guest checkouts (no Shopify customer) reuse the same Maya customer across orders.
+// One JSON file per email hash under DATA_DIR/identities/.
+import crypto from "crypto";
+import { dataPath, readJsonFile, writeJsonFile } from "../utils/jsonStore.js";
+
+export function normalizeEmail(email) {
+  return String(email || "").normalize("NFKC").trim().toLowerCase();
+}
+
+export function emailHash(email) {
+  const normalized = normalizeEmail(email);
+  if (!normalized) return null;
+  return crypto.createHash("sha256").update(normalized).digest("hex");
+}
+
+// Stable Maya customer tag (readme step 3: emailhash_<hash>)
+export function emailHashTag(email) {
+  const hash = emailHash(email);
+  return hash ? `emailhash_${hash.slice(0, 24)}` : null;
+}
+
+function identityFile(hash) {
+  return dataPath("identities", `${hash}.json`);
+}
+
+export function findIdentityByEmail(email) {
+  const hash = emailHash(email);
+  if (!hash) return null;
+  return readJsonFile(identityFile(hash), null);
+}
+
+export function saveIdentity({ email, mayaCustomerId, shopifyCustomerId = null }) {
+  const hash = emailHash(email);
+  if (!hash) throw new Error("saveIdentity: missing email");
+  if (!mayaCustomerId) throw new Error("saveIdentity: missing mayaCustomerId");
+
+  const current = readJsonFile(identityFile(hash), null);
+  const now = new Date().toISOString();
+  const shopifyIds = new Set(current?.shopifyCustomerIds || []);
+  if (shopifyCustomerId) shopifyIds.add(String(shopifyCustomerId));
+
+  const next = {
+    emailHash: hash,
+    email: normalizeEmail(email),
+    mayaCustomerId: String(mayaCustomerId),
+    shopifyCustomerIds: [...shopifyIds],
+    createdAt: current?.createdAt || now,
+    updatedAt: now,
+  };
+
+  writeJsonFile(identityFile(hash), next);
+  return next;
+}
@@ -0,0 +1,224 @@
+// services/jobQueue.js
+// Persistent background jobs (file-backed, one JSON file per job).
+//   DATA_DIR/jobs/<id>.json       queued / running
+//   DATA_DIR/jobs-done/<id>.json  finished
+//   DATA_DIR/jobs-dead/<id>.json  dead-letter (retries exhausted)
+// One worker per process, one job at a time.
+import crypto from "crypto";
+import fs from "fs";
+import { dataPath, safeFileName, readJsonFile, writeJsonFile } from "../utils/jsonStore.js";
+import { log } from "../utils/log.js";
+
+// Backoff between attempts (readme: 10s, 60s, 5m) -> 4 attempts total
+const RETRY_DELAYS_MS = String(process.env.JOB_RETRY_DELAYS_MS || "10000,60000,300000")
+  .split(",")
+  .map((s) => Number(s.trim()))
+  .filter((n) => Number.isFinite(n) && n >= 0);
+
+const JOBS_DIR = "jobs";
+const DONE_DIR = "jobs-done";
+const DEAD_DIR = "jobs-dead";
+
+function jobFile(id, dir = JOBS_DIR) {
+  return dataPath(dir, `${safeFileName(id)}.json`);
+}
+
+function listJobFiles(dir) {
+  try {
+    return fs.readdirSync(dataPath(dir)).filter((f) => f.endsWith(".json"));
+  } catch (e) {
+    if (e?.code === "ENOENT") return [];
+    throw e;
+  }
+}
+
+function readJobs(dir) {
+  return listJobFiles(dir)
+    .map((f) => readJsonFile(dataPath(dir, f), null))
+    .filter(Boolean);
+}
+
+export function enqueueJob(type, payload, { delayMs = 0 } = {}) {
+  if (!type) throw new Error("enqueueJob: missing type");
+
+  const now = Date.now();
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    payload,
+    status: "queued",
+    attempts: 0,
+    maxAttempts: RETRY_DELAYS_MS.length + 1,
+    createdAt: new Date(now).toISOString(),
+    runAt: new Date(now + delayMs).toISOString(),
+    lastError: null,
+    lastResult: null,
+  };
+
+  writeJsonFile(jobFile(job.id), job);
+  log.info("📥 Job queued:", { id: job.id, type });
+  wakeJobWorker();
+  return job;
+}
+
+export function getJob(id) {
+  return (
+    readJsonFile(jobFile(id), null) ||
+    readJsonFile(jobFile(id, DONE_DIR), null) ||
+    readJsonFile(jobFile(id, DEAD_DIR), null)
+  );
+}
+
+// Pending jobs (queued/running), or finished ones with { status: "done" }
+export function listJobs({ status = null, limit = 50 } = {}) {
+  const jobs = status === "done" ? readJobs(DONE_DIR) : readJobs(JOBS_DIR);
+  return jobs
+    .filter((j) => !status || j.status === status)
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+    .slice(0, limit);
+}
+
+export function listDeadJobs({ limit = 50 } = {}) {
+  return readJobs(DEAD_DIR)
+    .sort((a, b) => String(b.deadAt).localeCompare(String(a.deadAt)))
+    .slice(0, limit);
+}
+
+// Move a dead-lettered job back to the queue with a fresh retry budget
+export function requeueDeadJob(id) {
+  const job = readJsonFile(jobFile(id, DEAD_DIR), null);
+  if (!job) return null;
+
+  const next = { ...job, status: "queued", attempts: 0, runAt: new Date().toISOString(), deadAt: null };
+  writeJsonFile(jobFile(id), next);
+  fs.rmSync(jobFile(id, DEAD_DIR), { force: true });
+
+  log.info("♻️ Dead job requeued:", { id, type: job.type });
+  wakeJobWorker();
+  return next;
+}
+
+// -----------------------------
+// Worker
+// -----------------------------
+let workerHandlers = null;
+let workerOnDeadLetter = null;
+let workerPollMs = 2000;
+let workerTimer = null;
+let workerBusy = false;
+
+export function startJobWorker({ handlers, pollMs = 2000, onDeadLetter = null } = {}) {
+  if (workerHandlers) throw new Error("startJobWorker: worker already started");
+
+  workerHandlers = handlers || {};
+  workerOnDeadLetter = onDeadLetter;
+  workerPollMs = pollMs;
+
+  // Jobs left "running" by a crash/restart go back to the queue
+  for (const job of readJobs(JOBS_DIR)) {
+    if (job.status === "running") {
+      writeJsonFile(jobFile(job.id), { ...job, status: "queued", runAt: new Date().toISOString() });
+      log.warn("⚠️ Recovered interrupted job:", { id: job.id, type: job.type });
+    }
+  }
+
+  log.info("👷 Job worker started", { pollMs, retryDelaysMs: RETRY_DELAYS_MS });
+  scheduleTick(0);
+}
+
+export function wakeJobWorker() {
+  if (workerHandlers) scheduleTick(0);
+}
+
+function scheduleTick(ms) {
+  if (workerTimer) clearTimeout(workerTimer);
+  workerTimer = setTimeout(tick, ms);
+  workerTimer.unref?.();
+}
+
+async function tick() {
+  workerTimer = null;
+  if (workerBusy) return;
+  workerBusy = true;
+
+  try {
+    // Drain everything that is due, oldest first
+    for (;;) {
+      const now = Date.now();
+      const due = readJobs(JOBS_DIR)
+        .filter((j) => j.status === "queued" && Date.parse(j.runAt) <= now)
+        .sort((a, b) => String(a.runAt).localeCompare(String(b.runAt)));
+
+      if (!due.length) break;
+      await runJob(due[0]);
+    }
+  } catch (e) {
+    console.error("❌ Job worker tick failed:", e?.message || e);
+  } finally {
+    workerBusy = false;
+    scheduleTick(workerPollMs);
+  }
+}
+
+async function runJob(job) {
+  const handler = workerHandlers[job.type];
+  const attempts = Number(job.attempts || 0) + 1;
+  const running = { ...job, status: "running", attempts, startedAt: new Date().toISOString() };
+  writeJsonFile(jobFile(job.id), running);
+
+  let error = null;
+  let result = null;
+
+  if (!handler) {
+    error = new Error(`No job handler for type ${job.type}`);
+  } else {
+    try {
+      result = await handler(job.payload, running);
+      // Handlers report "nothing was done, try again later" with { retry: true }
+      if (result?.retry) error = new Error(`Retry requested (${result?.reason || "unknown"})`);
+    } catch (e) {
+      error = e;
+    }
+  }
+
+  if (!error) {
+    writeJsonFile(jobFile(job.id, DONE_DIR), {
+      ...running,
+      status: "done",
+      finishedAt: new Date().toISOString(),
+      lastResult: result ?? null,
+      lastError: null,
+    });
+    fs.rmSync(jobFile(job.id), { force: true });
+    log.info("✅ Job done:", { id: job.id, type: job.type, attempts });
+    return;
+  }
+
+  const message = String(error?.message || error);
+
+  if (attempts >= running.maxAttempts || !handler) {
+    const dead = { ...running, status: "dead", deadAt: new Date().toISOString(), lastError: message, lastResult: result ?? null };
+    writeJsonFile(jobFile(job.id, DEAD_DIR), dead);
+    fs.rmSync(jobFile(job.id), { force: true });
+    console.error("☠️ Job moved to dead-letter:", { id: job.id, type: job.type, attempts, error: message });
+
+    if (workerOnDeadLetter) {
+      try {
+        await workerOnDeadLetter(dead);
+      } catch (e) {
+        console.error("❌ onDeadLetter failed:", e?.message || e);
+      }
+    }
+    return;
+  }
+
+  const delayMs = RETRY_DELAYS_MS[attempts - 1] ?? RETRY_DELAYS_MS[RETRY_DELAYS_MS.length - 1] ?? 0;
+  writeJsonFile(jobFile(job.id), {
+    ...running,
+    status: "queued",
+    runAt: new Date(Date.now() + delayMs).toISOString(),
+    lastError: message,
+    lastResult: result ?? null,
+  });
+  log.warn("🔁 Job will retry:", { id: job.id, type: job.type, attempts, inMs: delayMs, error: message });
+}
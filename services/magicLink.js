@@ -0,0 +1,37 @@
+// services/magicLink.js
+// Signed, expiring tokens for the "My eSIMs" page (readme step 7): no account, just a link
+// emailed to the buyer. The token carries the buyer's email (see utils/signedToken.js).
+import { normalizeEmail } from "./identityStore.js";
+import { createSignedTokens } from "../utils/signedToken.js";
+
+export const MAGIC_LINK_TTL_MS = Number(process.env.MY_ESIMS_LINK_TTL_MS || 60 * 60 * 1000); // 1h default
+
+const tokens = createSignedTokens({ secretEnv: "MY_ESIMS_LINK_SECRET", claim: "e" });
+
+export function createMagicLinkToken(email, { ttlMs = MAGIC_LINK_TTL_MS } = {}) {
+  const e = normalizeEmail(email);
+  if (!e) throw new Error("createMagicLinkToken: missing email");
+  return tokens.create(e, ttlMs);
+}
+
+// Returns the email the token was issued for, or null (bad signature, malformed or expired)
+export function verifyMagicLinkToken(token) {
+  return tokens.verify(token);
+}
+
+// Once the emailed link is opened, the page runs on a short-lived session token kept in a cookie,
+// so the link token never appears in page URLs (logs, Referer). Its own claim: a link token is not a session.
+export const PORTAL_SESSION_TTL_MS = Number(process.env.MY_ESIMS_SESSION_TTL_MS || 30 * 60 * 1000); // 30 min default
+
+const sessions = createSignedTokens({ secretEnv: "MY_ESIMS_LINK_SECRET", claim: "s" });
+
+export function createPortalSessionToken(email) {
+  const e = normalizeEmail(email);
+  if (!e) throw new Error("createPortalSessionToken: missing email");
+  return sessions.create(e, PORTAL_SESSION_TTL_MS);
+}
+
+// Returns the email of the session, or null
+export function verifyPortalSessionToken(token) {
+  return sessions.verify(token);
+}
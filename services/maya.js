@@ -1,10 +1,37 @@
 // services/maya.js
-import { safeFetch } from "../utils/http.js";
+import { createMayaClient, MayaApiError, isNetworkError } from "./mayaClient.js";
 
-export function mayaAuthHeader() {
-  const auth = process.env.MAYA_AUTH;
-  if (!auth) throw new Error("Missing MAYA_AUTH env var");
-  return `Basic ${auth}`;
+export { MayaApiError };
+
+// What to do about a failed Maya call (readme, section 5)
+export const MAYA_FAILURE = {
+  AUTH: "failed_auth", // 401/403: alert, never retry
+  TRANSIENT: "transient", // 5xx, 429, timeouts, network: retry with backoff
+  CONFIGURATION: "failed_configuration", // other 4xx (plan/product mismatch): alert, fix config
+};
+
+export function classifyMayaError(err) {
+  const status = Number(err?.status || 0);
+
+  if (status === 401 || status === 403) return MAYA_FAILURE.AUTH;
+  if (status === 429 || status >= 500) return MAYA_FAILURE.TRANSIENT;
+  if (status >= 400) return MAYA_FAILURE.CONFIGURATION;
+  // 2xx with an unusable payload: retrying would not help
+  if (err instanceof MayaApiError) return MAYA_FAILURE.CONFIGURATION;
+
+  // No HTTP status: only a timeout or DNS/socket error is worth a retry; anything else is a bug on our side
+  return isNetworkError(err) ? MAYA_FAILURE.TRANSIENT : MAYA_FAILURE.CONFIGURATION;
+}
+
+// Shared client; swap it (tests, another base URL, custom fetch) with setMayaClient
+let mayaClient = createMayaClient();
+
+export function setMayaClient(client) {
+  mayaClient = client;
+}
+
+export function getMayaClient() {
+  return mayaClient;
 }
 
 // ✅ READ: eSIM details by ICCID (for usage checks)
@@ -12,22 +39,7 @@ export async function getMayaEsimDetailsByIccid(iccid) {
   const iccidStr = String(iccid || "").trim();
   if (!iccidStr) throw new Error("getMayaEsimDetailsByIccid: missing iccid");
 
-  const url = `${mayaBaseUrl()}/connectivity/v1/esim/${encodeURIComponent(iccidStr)}`;
-
-  const resp = await safeFetch(url, {
-    method: "GET",
-    headers: {
-      Accept: "application/json",
-      Authorization: mayaAuthHeader(),
-    },
-  });
-
-  const data = await parseJsonSafe(resp);
-
-  if (!resp.ok) {
-    console.error("❌ Maya get eSIM failed:", resp.status, data);
-    throw new Error(`Maya get eSIM failed (${resp.status})`);
-  }
+  const data = await mayaClient.get(`/connectivity/v1/esim/${encodeURIComponent(iccidStr)}`, { label: "get eSIM" });
 
   // Maya usually returns { esim: {...} }
   return data?.esim || null;
@@ -38,82 +50,24 @@ export async function getMayaEsimPlansByIccid(iccid) {
   const iccidStr = String(iccid || "").trim();
   if (!iccidStr) throw new Error("getMayaEsimPlansByIccid: missing iccid");
 
-  const url = `${mayaBaseUrl()}/connectivity/v1/esim/${encodeURIComponent(iccidStr)}/plans`;
-
-  const resp = await safeFetch(url, {
-    method: "GET",
-    headers: {
-      Accept: "application/json",
-      Authorization: mayaAuthHeader(),
-    },
+  const data = await mayaClient.get(`/connectivity/v1/esim/${encodeURIComponent(iccidStr)}/plans`, {
+    label: "get eSIM plans",
   });
 
-  const data = await parseJsonSafe(resp);
-
-  if (!resp.ok) {
-    console.error("❌ Maya get eSIM plans failed:", resp.status, data);
-    throw new Error(`Maya get eSIM plans failed (${resp.status})`);
-  }
-
   // expected: { plans: [...] }
   return Array.isArray(data?.plans) ? data.plans : [];
 }
 
-function mayaBaseUrl() {
-  const base = (process.env.MAYA_BASE_URL || "https://api.maya.net").trim();
-  // Debug: confirm which Maya host is being used in the running environment
-  console.log("🌐 MAYA_BASE_URL =", base);
-  return base;
-}
-
-async function parseJsonSafe(resp) {
-  return await resp.json().catch(() => ({}));
-}
-
 export async function getMayaCustomerDetails(mayaCustomerId) {
-  const url = `${mayaBaseUrl()}/connectivity/v1/customer/${mayaCustomerId}`;
-  console.log("🌐 Maya GET customer URL:", url);
-
-  const resp = await safeFetch(url, {
-    method: "GET",
-    headers: {
-      Accept: "application/json",
-      Authorization: mayaAuthHeader(),
-    },
-  });
-
-  const data = await parseJsonSafe(resp);
-
-  if (!resp.ok) {
-    console.error("❌ Maya get customer failed:", resp.status, data);
-    throw new Error(`Maya get customer failed (${resp.status})`);
-  }
-
-  return data;
+  return mayaClient.get(`/connectivity/v1/customer/${encodeURIComponent(mayaCustomerId)}`, { label: "get customer" });
 }
 
 export async function createMayaTopUp({ iccid, planTypeId, tag = "" }) {
-  const url = `${mayaBaseUrl()}/connectivity/v1/esim/${iccid}/plan/${planTypeId}`;
-  console.log("🌐 Maya POST top-up URL:", url);
-
-  const resp = await safeFetch(url, {
-    method: "POST",
-    headers: {
-      Accept: "application/json",
-      "Content-Type": "application/json",
-      Authorization: mayaAuthHeader(),
-    },
-    body: JSON.stringify(tag ? { tag } : {}),
-  });
-
-  const data = await parseJsonSafe(resp);
-
-  if (!resp.ok) {
-    console.error("❌ Maya top-up failed:", resp.status, data);
-    throw new Error(`Maya top-up failed (${resp.status})`);
-  }
-
-  return data;
+  return mayaClient.post(
+    `/connectivity/v1/esim/${encodeURIComponent(iccid)}/plan/${encodeURIComponent(planTypeId)}`,
+    tag ? { tag } : {},
+    { label: "top-up" }
+  );
 }
 
 export async function createMayaCustomer({ email, firstName, lastName, countryIso2, tag = "" }) {
@@ -125,30 +79,12 @@ export async function createMayaCustomer({ email, firstName, lastName, countryIs
     ...(tag ? { tag } : {}),
   };
 
-  const url = `${mayaBaseUrl()}/connectivity/v1/customer/`;
-  console.log("🌐 Maya POST create customer URL:", url);
-
-  const resp = await safeFetch(url, {
-    method: "POST",
-    headers: {
-      Accept: "application/json",
-      "Content-Type": "application/json",
-      Authorization: mayaAuthHeader(),
-    },
-    body: JSON.stringify(body),
-  });
-
-  const data = await parseJsonSafe(resp);
-
-  if (!resp.ok) {
-    console.error("❌ Maya create customer failed:", resp.status, data);
-    throw new Error(`Maya create customer failed (${resp.status})`);
-  }
+  const data = await mayaClient.post("/connectivity/v1/customer/", body, { label: "create customer" });
 
   const customerId = data?.customer?.id || data?.customer?.uid || data?.id || null;
   if (!customerId) {
     console.error("❌ Maya customer created but no id returned:", data);
-    throw new Error("Maya customer created but no customer id returned");
+    throw new MayaApiError("Maya customer created but no customer id returned", { status: 200, body: data });
   }
 
   return { raw: data, customerId };
@@ -161,25 +97,28 @@ export async function createMayaEsim({ planTypeId, customerId, tag = "" }) {
     ...(tag ? { tag } : {}),
   };
 
-  const url = `${mayaBaseUrl()}/connectivity/v1/esim`;
-  console.log("🌐 Maya POST create eSIM URL:", url);
-
-  const resp = await safeFetch(url, {
-    method: "POST",
-    headers: {
-      Accept: "application/json",
-      "Content-Type": "application/json",
-      Authorization: mayaAuthHeader(),
-    },
-    body: JSON.stringify(body),
-  });
+  return mayaClient.post("/connectivity/v1/esim", body, { label: "create eSIM" });
+}
 
-  const data = await parseJsonSafe(resp);
+// ✅ WRITE: terminate an eSIM (used when an unused eSIM is cancelled/refunded)
+export async function terminateMayaEsim(iccid) {
+  const iccidStr = String(iccid || "").trim();
+  if (!iccidStr) throw new Error("terminateMayaEsim: missing iccid");
 
-  if (!resp.ok) {
-    console.error("❌ Maya create eSIM failed:", resp.status, data);
-    throw new Error(`Maya create eSIM failed (${resp.status})`);
-  }
+  return mayaClient.delete(`/connectivity/v1/esim/${encodeURIComponent(iccidStr)}`, { label: "terminate eSIM" });
+}
+
+// ✅ WRITE: re-tag an eSIM so staff can spot it in the Maya dashboard
+export async function flagMayaEsim({ iccid, tag }) {
+  const iccidStr = String(iccid || "").trim();
+  if (!iccidStr) throw new Error("flagMayaEsim: missing iccid");
+  if (!tag) throw new Error("flagMayaEsim: missing tag");
+
+  return mayaClient.patch(`/connectivity/v1/esim/${encodeURIComponent(iccidStr)}`, { tag }, { label: "flag eSIM" });
+}
 
-  return data;
+// ✅ READ: every plan type (product) available on the account
+export async function getMayaProducts() {
+  const data = await mayaClient.get("/connectivity/v1/account/products", { label: "get products" });
+  return Array.isArray(data?.products) ? data.products : [];
 }
@@ -0,0 +1,208 @@
+// services/mayaClient.js
+// HTTP client for the Maya Connectivity API.
+// One place for auth headers, JSON parsing, timeouts, GET retries, a circuit breaker,
+// a correlation id per request and one log line per call (credentials redacted).
+import crypto from "crypto";
+import { log } from "../utils/log.js";
+
+// ---------- Errors ----------
+// Every non-2xx Maya response is thrown as a MayaApiError so callers can classify it.
+export class MayaApiError extends Error {
+  constructor(message, { status = 0, body = null, correlationId = null } = {}) {
+    const code = body?.code || body?.error?.code || body?.error_code || null;
+    super(`${message} (${status}${code ? ` ${code}` : ""})`);
+    this.name = "MayaApiError";
+    this.status = status;
+    this.code = code;
+    this.body = body;
+    this.correlationId = correlationId;
+  }
+}
+
+// ---------- Redaction ----------
+const REDACTED_KEYS = /auth|token|secret|password|activation_code|manual_code|smdp|lpa/i;
+
+export function redact(value, depth = 0) {
+  if (depth > 6 || value == null || typeof value !== "object") return value;
+  if (Array.isArray(value)) return value.map((v) => redact(v, depth + 1));
+
+  return Object.fromEntries(
+    Object.entries(value).map(([k, v]) => [k, REDACTED_KEYS.test(k) ? "[redacted]" : redact(v, depth + 1)])
+  );
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function parseJsonSafe(resp) {
+  return await resp.json().catch(() => ({}));
+}
+
+// Network errors, timeouts, 429 and 5xx are worth another try (and count against the breaker)
+function isTransientStatus(status) {
+  return status === 0 || status === 429 || status >= 500;
+}
+
+const NETWORK_ERROR_CODES = /^(ECONN|ENOTFOUND|EAI_|ETIMEDOUT|EPIPE|EHOSTUNREACH|ENETUNREACH|UND_ERR_)/;
+
+// A call that never got a response: timeout (AbortError), or fetch's "fetch failed" TypeError
+// wrapping the DNS/socket error. Our own TypeErrors and other bugs are not network errors.
+export function isNetworkError(err) {
+  if (!err) return false;
+  if (err.name === "AbortError" || err.name === "TimeoutError") return true;
+  if (NETWORK_ERROR_CODES.test(String(err.code || err.cause?.code || ""))) return true;
+  return err.name === "TypeError" && err.message === "fetch failed" && !!err.cause;
+}
+
+// ---------- Client ----------
+export function createMayaClient({
+  baseUrl = process.env.MAYA_BASE_URL || "https://api.maya.net",
+  auth = () => process.env.MAYA_AUTH,
+  fetch: fetchImpl = (...args) => globalThis.fetch(...args),
+  timeoutMs = Number(process.env.MAYA_TIMEOUT_MS || process.env.FETCH_TIMEOUT_MS || 15000),
+  maxRetries = Number(process.env.MAYA_MAX_RETRIES || 2),
+  retryBaseMs = Number(process.env.MAYA_RETRY_BASE_MS || 500),
+  breakerThreshold = Number(process.env.MAYA_BREAKER_THRESHOLD || 5),
+  breakerCooldownMs = Number(process.env.MAYA_BREAKER_COOLDOWN_MS || 30 * 1000),
+} = {}) {
+  const base = String(baseUrl).trim().replace(/\/+$/, "");
+
+  // closed -> open after `breakerThreshold` consecutive transient failures;
+  // after the cooldown one request is let through (half-open) and decides,
+  // the others are refused until it settles (`probing`).
+  const breaker = { failures: 0, openedAt: 0, probing: false };
+
+  function authHeader() {
+    const value = typeof auth === "function" ? auth() : auth;
+    if (!value) throw new Error("Missing MAYA_AUTH env var");
+    return `Basic ${value}`;
+  }
+
+  function breakerIsOpen() {
+    if (breaker.failures < breakerThreshold) return false;
+    return Date.now() - breaker.openedAt < breakerCooldownMs;
+  }
+
+  function breakerIsHalfOpen() {
+    return breaker.failures >= breakerThreshold && !breakerIsOpen();
+  }
+
+  function recordOutcome(transientFailure) {
+    if (!transientFailure) {
+      breaker.failures = 0;
+      return;
+    }
+
+    breaker.failures++;
+    if (breaker.failures >= breakerThreshold) {
+      breaker.openedAt = Date.now();
+      log.error("🚫 Maya circuit breaker open:", { failures: breaker.failures, cooldownMs: breakerCooldownMs });
+    }
+  }
+
+  async function send(method, path, body, correlationId) {
+    const authorization = authHeader(); // missing credentials is not a network failure
+    const payload = body !== undefined ? JSON.stringify(body) : undefined;
+    const ctrl = new AbortController();
+    const timer = setTimeout(() => ctrl.abort(), timeoutMs);
+    const startedAt = Date.now();
+
+    try {
+      const resp = await fetchImpl(`${base}${path}`, {
+        method,
+        headers: {
+          Accept: "application/json",
+          ...(body !== undefined ? { "Content-Type": "application/json" } : {}),
+          Authorization: authorization,
+          "X-Correlation-Id": correlationId,
+        },
+        ...(payload !== undefined ? { body: payload } : {}),
+        signal: ctrl.signal,
+      });
+
+      const data = await parseJsonSafe(resp);
+      return { status: resp.status, ok: resp.ok, data, ms: Date.now() - startedAt };
+    } catch (e) {
+      if (!isNetworkError(e)) throw e; // a bug on our side, not Maya being down
+      return { status: 0, ok: false, data: null, error: e, ms: Date.now() - startedAt };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Throws MayaApiError on any failure; only GETs are retried (writes are not idempotent)
+  async function request(method, path, { body, label = `${method} ${path}`, correlationId } = {}) {
+    const id = correlationId || crypto.randomUUID();
+    const retries = method === "GET" ? maxRetries : 0;
+
+    const probe = breakerIsHalfOpen();
+
+    if (breakerIsOpen() || (probe && breaker.probing)) {
+      log.warn("🚫 Maya circuit open, not calling:", { method, path, correlationId: id });
+      throw new MayaApiError(`Maya ${label} skipped (circuit open)`, {
+        status: 503,
+        body: { code: "CIRCUIT_OPEN" },
+        correlationId: id,
+      });
+    }
+
+    if (probe) breaker.probing = true;
+
+    try {
+      return await attemptRequest(method, path, { body, label, id, retries });
+    } finally {
+      if (probe) breaker.probing = false;
+    }
+  }
+
+  async function attemptRequest(method, path, { body, label, id, retries }) {
+    for (let attempt = 0; ; attempt++) {
+      const res = await send(method, path, body, id);
+      const transient = !res.ok && isTransientStatus(res.status);
+      recordOutcome(transient);
+
+      const line = {
+        method,
+        path,
+        status: res.status,
+        ms: res.ms,
+        correlationId: id,
+        attempt: attempt + 1,
+        ...(res.error ? { error: res.error?.message || String(res.error) } : {}),
+      };
+
+      if (res.ok) {
+        log.info("🌐 Maya", line);
+        return res.data;
+      }
+
+      if (transient && attempt < retries && !breakerIsOpen()) {
+        const delay = Math.round(Math.random() * retryBaseMs * 2 ** attempt);
+        log.warn("⚠️ Maya call failed, retrying:", { ...line, delay });
+        await sleep(delay);
+        continue;
+      }
+
+      log.error(`❌ Maya ${label} failed:`, { ...line, body: redact(res.data) });
+
+      // No response at all (timeout, DNS, socket): rethrow as-is so it classifies as transient
+      if (res.error) {
+        res.error.correlationId = id;
+        throw res.error;
+      }
+
+      throw new MayaApiError(`Maya ${label} failed`, { status: res.status, body: res.data, correlationId: id });
+    }
+  }
+
+  return {
+    baseUrl: base,
+    request,
+    get: (path, opts) => request("GET", path, opts),
+    post: (path, body, opts) => request("POST", path, { ...opts, body }),
+    patch: (path, body, opts) => request("PATCH", path, { ...opts, body }),
+    delete: (path, opts) => request("DELETE", path, opts),
+    breakerState: () => ({ open: breakerIsOpen(), failures: breaker.failures, probing: breaker.probing }),
+  };
+}
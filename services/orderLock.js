@@ -0,0 +1,28 @@
+// services/orderLock.js
+// Order lock record shared by every storage backend (Shopify metafield or local file).
+// A lock is { token, acquiredAt, renewedAt } (token null once released) and expires
+// LOCK_TTL_MS after its last renewal, so a crashed worker can be taken over.
+// Scheduler leases use the same record with their own ttlMs.
+import crypto from "crypto";
+
+export const LOCK_TTL_MS = Number(process.env.MAYA_LOCK_TTL_MS || 15 * 60 * 1000); // 15 min default
+
+export function newLockRecord({ ttlMs = null } = {}) {
+  const nowIso = new Date().toISOString();
+  return { token: crypto.randomUUID(), acquiredAt: nowIso, renewedAt: nowIso, ...(ttlMs ? { ttlMs } : {}) };
+}
+
+export function renewedLockRecord(lock) {
+  return { ...lock, renewedAt: new Date().toISOString() };
+}
+
+export function releasedLockRecord(lock) {
+  return { ...lock, token: null, releasedAt: new Date().toISOString() };
+}
+
+export function isLockHeld(lock) {
+  if (!lock?.token) return false;
+  const t = Date.parse(lock.renewedAt || lock.acquiredAt || "");
+  if (Number.isNaN(t)) return false;
+  return Date.now() - t <= (Number(lock.ttlMs) || LOCK_TTL_MS);
+}
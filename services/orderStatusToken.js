@@ -0,0 +1,19 @@
+// services/orderStatusToken.js
+// Signed, expiring tokens for the eSIM status API of one order (thank-you page, QR image links).
+// The token carries the order id (see utils/signedToken.js).
+import { createSignedTokens } from "../utils/signedToken.js";
+
+export const ORDER_STATUS_TOKEN_TTL_MS = Number(process.env.ORDER_STATUS_TOKEN_TTL_MS || 7 * 24 * 60 * 60 * 1000); // 7 days default
+
+const tokens = createSignedTokens({ secretEnv: "ORDER_STATUS_TOKEN_SECRET", claim: "o" });
+
+export function createOrderStatusToken(orderId, { ttlMs = ORDER_STATUS_TOKEN_TTL_MS } = {}) {
+  const o = String(orderId || "").trim();
+  if (!o) throw new Error("createOrderStatusToken: missing orderId");
+  return tokens.create(o, ttlMs);
+}
+
+// Returns the order id the token was issued for, or null (bad signature, malformed or expired)
+export function verifyOrderStatusToken(token) {
+  return tokens.verify(token);
+}
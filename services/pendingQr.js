@@ -0,0 +1,62 @@
+// services/pendingQr.js
+// eSIM units created in Maya whose QR email is still pending (status waiting_for_qr).
+// One JSON file per unit under DATA_DIR/pending-qr/, read by the QR poller.
+import fs from "fs";
+import { dataPath, safeFileName, readJsonFile, writeJsonFile } from "../utils/jsonStore.js";
+
+const DIR = "pending-qr";
+
+function pendingFile(orderId, unitKey) {
+  return dataPath(DIR, `${safeFileName(`${orderId}_${unitKey}`)}.json`);
+}
+
+// Idempotent: keeps the original `since` when the unit is already tracked
+export function trackPendingQr({ orderId, unitKey, iccid, to, firstName, planName, country }) {
+  if (!iccid) throw new Error(`trackPendingQr: missing iccid for ${orderId} ${unitKey}`);
+
+  const file = pendingFile(orderId, unitKey);
+  const existing = readJsonFile(file, null);
+
+  const entry = {
+    orderId: String(orderId),
+    unitKey,
+    iccid,
+    to: to || "",
+    firstName: firstName || "",
+    planName: planName || "",
+    country: country || "",
+    since: existing?.since || new Date().toISOString(),
+    checks: existing?.checks || 0,
+    lastCheckedAt: existing?.lastCheckedAt || null,
+    failedChecks: existing?.failedChecks || 0,
+    lastError: existing?.lastError || null,
+    escalatedAt: existing?.escalatedAt || null,
+  };
+
+  writeJsonFile(file, entry);
+  return entry;
+}
+
+export function listPendingQr() {
+  let files = [];
+  try {
+    files = fs.readdirSync(dataPath(DIR)).filter((f) => f.endsWith(".json"));
+  } catch (e) {
+    if (e?.code === "ENOENT") return [];
+    throw e;
+  }
+
+  return files
+    .map((f) => readJsonFile(dataPath(DIR, f), null))
+    .filter(Boolean)
+    .sort((a, b) => String(a.since).localeCompare(String(b.since)));
+}
+
+export function updatePendingQr(entry) {
+  writeJsonFile(pendingFile(entry.orderId, entry.unitKey), entry);
+  return entry;
+}
+
+export function clearPendingQr(orderId, unitKey) {
+  fs.rmSync(pendingFile(orderId, unitKey), { force: true });
+}
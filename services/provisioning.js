@@ -0,0 +1,99 @@
+// services/provisioning.js
+// Per-unit provisioning state machine (one unit = one quantity of one line item).
+// Transitions follow readme.md:
+//   new eSIM: created → provisioning → waiting_for_qr → completed
+//   top-up:   created → topup_processing → completed
+//   any non-completed state can end in failed_auth / failed_configuration
+
+export const UNIT_STATUS = {
+  CREATED: "created",
+  PROVISIONING: "provisioning",
+  WAITING_FOR_QR: "waiting_for_qr",
+  TOPUP_PROCESSING: "topup_processing",
+  COMPLETED: "completed",
+  FAILED_AUTH: "failed_auth",
+  FAILED_CONFIGURATION: "failed_configuration",
+};
+
+const S = UNIT_STATUS;
+
+const TRANSITIONS = {
+  [S.CREATED]: [S.PROVISIONING, S.TOPUP_PROCESSING, S.FAILED_AUTH, S.FAILED_CONFIGURATION],
+  [S.PROVISIONING]: [S.WAITING_FOR_QR, S.FAILED_AUTH, S.FAILED_CONFIGURATION],
+  [S.WAITING_FOR_QR]: [S.COMPLETED, S.FAILED_AUTH, S.FAILED_CONFIGURATION],
+  [S.TOPUP_PROCESSING]: [S.COMPLETED, S.FAILED_AUTH, S.FAILED_CONFIGURATION],
+  [S.COMPLETED]: [],
+  [S.FAILED_AUTH]: [],
+  [S.FAILED_CONFIGURATION]: [],
+};
+
+const TERMINAL = new Set([S.COMPLETED, S.FAILED_AUTH, S.FAILED_CONFIGURATION]);
+
+export function unitKey(lineItemId, unitIndex) {
+  return `${String(lineItemId || "").trim()}:${Number(unitIndex) || 0}`;
+}
+
+// Deterministic Maya tag for the eSIM of one unit, so a retry can find it instead of creating another
+export function esimUnitTag({ orderId, lineItemId, unitIndex }) {
+  return `esim-${String(orderId || "").trim()}-${String(lineItemId || "").trim()}-${(Number(unitIndex) || 0) + 1}`;
+}
+
+// Same for the plan a top-up unit adds, so a retry can tell whether Maya already has it
+export function topUpUnitTag({ orderId, lineItemId, unitIndex }) {
+  return `topup-${String(orderId || "").trim()}-${String(lineItemId || "").trim()}-${(Number(unitIndex) || 0) + 1}`;
+}
+
+export function emptyProvisioningState(orderId) {
+  return { orderId: String(orderId || ""), units: {}, updatedAt: null };
+}
+
+// Returns the existing unit, or registers a new one in "created"
+export function ensureUnit(state, { lineItemId, unitIndex, kind, variantId = null, title = "" }) {
+  const key = unitKey(lineItemId, unitIndex);
+  if (!state.units[key]) {
+    const now = new Date().toISOString();
+    state.units[key] = {
+      key,
+      lineItemId: String(lineItemId || ""),
+      unitIndex: Number(unitIndex) || 0,
+      kind, // "esim" | "topup"
+      variantId: variantId ? String(variantId) : null,
+      title,
+      status: S.CREATED,
+      attempts: 0,
+      lastError: null,
+      history: [{ status: S.CREATED, at: now }],
+      updatedAt: now,
+    };
+  }
+  return state.units[key];
+}
+
+// Moves a unit to `status` (staying in the same status is allowed, e.g. a retry).
+// `patch` is merged into the unit (iccid, esimUid, lastError, ...).
+export function transitionUnit(unit, status, patch = {}) {
+  if (!Object.prototype.hasOwnProperty.call(TRANSITIONS, status)) {
+    throw new Error(`transitionUnit: unknown status ${status}`);
+  }
+  if (unit.status !== status && !TRANSITIONS[unit.status]?.includes(status)) {
+    throw new Error(`transitionUnit: ${unit.key} cannot go from ${unit.status} to ${status}`);
+  }
+
+  const now = new Date().toISOString();
+  if (unit.status !== status) unit.history = [...(unit.history || []), { status, at: now }];
+
+  Object.assign(unit, patch, { status, updatedAt: now });
+  return unit;
+}
+
+export function isUnitTerminal(unit) {
+  return TERMINAL.has(unit?.status);
+}
+
+export function summarizeProvisioning(state) {
+  const counts = {};
+  for (const u of Object.values(state?.units || {})) {
+    counts[u.status] = (counts[u.status] || 0) + 1;
+  }
+  return counts;
+}
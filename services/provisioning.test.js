@@ -0,0 +1,98 @@
+// services/provisioning.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  UNIT_STATUS as S,
+  unitKey,
+  esimUnitTag,
+  topUpUnitTag,
+  emptyProvisioningState,
+  ensureUnit,
+  transitionUnit,
+  isUnitTerminal,
+  summarizeProvisioning,
+} from "./provisioning.js";
+
+function unitIn(status) {
+  const unit = ensureUnit(emptyProvisioningState("1001"), { lineItemId: "501", unitIndex: 0, kind: "esim" });
+  unit.status = status;
+  return unit;
+}
+
+const ALLOWED = {
+  [S.CREATED]: [S.PROVISIONING, S.TOPUP_PROCESSING, S.FAILED_AUTH, S.FAILED_CONFIGURATION],
+  [S.PROVISIONING]: [S.WAITING_FOR_QR, S.FAILED_AUTH, S.FAILED_CONFIGURATION],
+  [S.WAITING_FOR_QR]: [S.COMPLETED, S.FAILED_AUTH, S.FAILED_CONFIGURATION],
+  [S.TOPUP_PROCESSING]: [S.COMPLETED, S.FAILED_AUTH, S.FAILED_CONFIGURATION],
+  [S.COMPLETED]: [],
+  [S.FAILED_AUTH]: [],
+  [S.FAILED_CONFIGURATION]: [],
+};
+
+test("transitionUnit allows exactly the documented transitions", () => {
+  for (const from of Object.values(S)) {
+    for (const to of Object.values(S)) {
+      const unit = unitIn(from);
+      if (from === to || ALLOWED[from].includes(to)) {
+        assert.equal(transitionUnit(unit, to).status, to, `${from} -> ${to}`);
+      } else {
+        assert.throws(() => transitionUnit(unit, to), /cannot go from/, `${from} -> ${to}`);
+        assert.equal(unit.status, from);
+      }
+    }
+  }
+});
+
+test("transitionUnit rejects an unknown status", () => {
+  assert.throws(() => transitionUnit(unitIn(S.CREATED), "done"), /unknown status done/);
+});
+
+test("transitionUnit records history only on a status change and merges the patch", () => {
+  const unit = unitIn(S.CREATED);
+  transitionUnit(unit, S.PROVISIONING, { attempts: 1 });
+  transitionUnit(unit, S.PROVISIONING, { attempts: 2, lastError: "timeout" });
+  transitionUnit(unit, S.WAITING_FOR_QR, { iccid: "8900", lastError: null });
+
+  assert.deepEqual(unit.history.map((h) => h.status), [S.CREATED, S.PROVISIONING, S.WAITING_FOR_QR]);
+  assert.equal(unit.attempts, 2);
+  assert.equal(unit.iccid, "8900");
+  assert.equal(unit.lastError, null);
+});
+
+test("ensureUnit returns the unit already registered for a line item and index", () => {
+  const state = emptyProvisioningState("1001");
+  const first = ensureUnit(state, { lineItemId: "501", unitIndex: 1, kind: "topup", variantId: 77 });
+  transitionUnit(first, S.TOPUP_PROCESSING);
+  const again = ensureUnit(state, { lineItemId: "501", unitIndex: 1, kind: "topup" });
+
+  assert.equal(again, first);
+  assert.equal(again.status, S.TOPUP_PROCESSING);
+  assert.equal(again.variantId, "77");
+  assert.deepEqual(Object.keys(state.units), [unitKey("501", 1)]);
+});
+
+test("only completed and failed units are terminal", () => {
+  assert.deepEqual(
+    Object.values(S).filter((status) => isUnitTerminal({ status })),
+    [S.COMPLETED, S.FAILED_AUTH, S.FAILED_CONFIGURATION]
+  );
+  assert.equal(isUnitTerminal(null), false);
+});
+
+test("summarizeProvisioning counts units per status", () => {
+  const state = emptyProvisioningState("1001");
+  transitionUnit(ensureUnit(state, { lineItemId: "501", unitIndex: 0, kind: "esim" }), S.PROVISIONING);
+  ensureUnit(state, { lineItemId: "501", unitIndex: 1, kind: "esim" });
+  ensureUnit(state, { lineItemId: "502", unitIndex: 0, kind: "topup" });
+
+  assert.deepEqual(summarizeProvisioning(state), { [S.PROVISIONING]: 1, [S.CREATED]: 2 });
+  assert.deepEqual(summarizeProvisioning(null), {});
+});
+
+test("unit tags are deterministic and number units from 1", () => {
+  const unit = { orderId: " 1001 ", lineItemId: 501, unitIndex: 2 };
+  assert.equal(esimUnitTag(unit), "esim-1001-501-3");
+  assert.equal(topUpUnitTag(unit), "topup-1001-501-3");
+  assert.equal(esimUnitTag(unit), esimUnitTag({ ...unit }));
+  assert.notEqual(esimUnitTag(unit), esimUnitTag({ ...unit, unitIndex: 1 }));
+});
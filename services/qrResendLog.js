@@ -0,0 +1,114 @@
+// services/qrResendLog.js
+// Customer QR re-sends. Matched re-sends: one JSON file per (existing) order under DATA_DIR/qr-resends/,
+// counted toward the per-order daily limit. Failed guesses (unknown order, wrong email) never create
+// a file per guessed name: they go to one capped file per day under DATA_DIR/qr-resend-misses/,
+// with order name and IP hashed, and are limited separately so they cannot lock the real buyer out.
+import fs from "fs";
+import crypto from "crypto";
+import { dataPath, safeFileName, readJsonFile, writeJsonFile } from "../utils/jsonStore.js";
+
+const DIR = "qr-resends";
+const WINDOW_MS = 24 * 60 * 60 * 1000;
+const HISTORY_MS = WINDOW_MS * 30; // keep a month of history
+
+export const QR_RESEND_MAX_PER_DAY = Number(process.env.QR_RESEND_MAX_PER_DAY || 5);
+
+function resendFile(orderName) {
+  return dataPath(DIR, `${safeFileName(orderName)}.json`);
+}
+
+export function getQrResendLog(orderName) {
+  return readJsonFile(resendFile(orderName), null) || { orderName: String(orderName), attempts: [] };
+}
+
+function writeAttempts(orderName, attempts) {
+  const since = Date.now() - HISTORY_MS;
+  const next = { orderName: String(orderName), attempts: attempts.filter((a) => Date.parse(a.at) >= since) };
+  writeJsonFile(resendFile(orderName), next);
+  return next;
+}
+
+function recentMatched(log) {
+  const since = Date.now() - WINDOW_MS;
+  return log.attempts.filter((a) => a.matched && Date.parse(a.at) >= since);
+}
+
+export function isQrResendAllowed(orderName) {
+  return recentMatched(getQrResendLog(orderName)).length < QR_RESEND_MAX_PER_DAY;
+}
+
+// Checks the daily limit and records the matched re-send in one step (no await in between).
+// Returns the attempt id to complete once the emails are out, or null when the limit is reached.
+// entry: { orderId, ip }
+export function reserveQrResend(orderName, entry) {
+  const log = getQrResendLog(orderName);
+  if (recentMatched(log).length >= QR_RESEND_MAX_PER_DAY) return null;
+
+  const id = crypto.randomUUID();
+  writeAttempts(orderName, [
+    ...log.attempts,
+    { ...entry, id, matched: true, iccids: [], sent: 0, at: new Date().toISOString() },
+  ]);
+  return id;
+}
+
+// patch: { iccids, sent, error }
+export function completeQrResend(orderName, id, patch) {
+  const log = getQrResendLog(orderName);
+  return writeAttempts(
+    orderName,
+    log.attempts.map((a) => (a.id === id ? { ...a, ...patch } : a))
+  );
+}
+
+// ---------- Failed guesses ----------
+const MISS_DIR = "qr-resend-misses";
+const MISS_LOG_MAX_ENTRIES = Number(process.env.QR_RESEND_MISS_LOG_MAX || 10000); // per day file, oldest dropped first
+
+function hashKey(value) {
+  return crypto.createHash("sha256").update(String(value || "").trim().toLowerCase()).digest("hex").slice(0, 32);
+}
+
+function missDay(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+function missFile(day) {
+  return dataPath(MISS_DIR, `${day}.json`);
+}
+
+function recentMisses() {
+  const since = Date.now() - WINDOW_MS;
+  return [missDay(Date.now() - WINDOW_MS), missDay(Date.now())]
+    .filter((day, i, days) => days.indexOf(day) === i)
+    .flatMap((day) => readJsonFile(missFile(day), null)?.misses || [])
+    .filter((m) => m.at >= since);
+}
+
+// Failed guesses of the last 24h from this IP and on this order name
+export function countQrResendMisses({ orderName, ip }) {
+  const o = hashKey(orderName);
+  const i = hashKey(ip);
+  const misses = recentMisses();
+  return { byIp: misses.filter((m) => m.i === i).length, byOrder: misses.filter((m) => m.o === o).length };
+}
+
+export function recordQrResendMiss(orderName, { ip }) {
+  const day = missDay(Date.now());
+  const file = missFile(day);
+  const misses = [...(readJsonFile(file, null)?.misses || []), { o: hashKey(orderName), i: hashKey(ip), at: Date.now() }];
+  writeJsonFile(file, { day, misses: misses.slice(-MISS_LOG_MAX_ENTRIES) });
+  pruneMissFiles();
+}
+
+// Only today's and yesterday's files are ever read
+function pruneMissFiles() {
+  const keep = new Set([missDay(Date.now() - WINDOW_MS), missDay(Date.now())].map((d) => `${d}.json`));
+  try {
+    for (const f of fs.readdirSync(dataPath(MISS_DIR))) {
+      if (!keep.has(f)) fs.rmSync(dataPath(MISS_DIR, f), { force: true });
+    }
+  } catch (e) {
+    if (e?.code !== "ENOENT") throw e;
+  }
+}
@@ -0,0 +1,35 @@
+// services/rateLimit.js
+// Sliding-window rate limits for the public customer endpoints. One JSON file per key under
+// DATA_DIR/rate-limits/<bucket>/, so every instance sharing DATA_DIR sees the same counts.
+// Keys are hashed (emails, IPs never land on disk in clear).
+import crypto from "crypto";
+import { dataPath, safeFileName, readJsonFile, writeJsonFile } from "../utils/jsonStore.js";
+
+function limitFile(bucket, key) {
+  const hash = crypto.createHash("sha256").update(String(key || "")).digest("hex").slice(0, 32);
+  return dataPath("rate-limits", safeFileName(bucket), `${hash}.json`);
+}
+
+function recentHits(file, windowMs) {
+  const since = Date.now() - windowMs;
+  return (readJsonFile(file, null)?.hits || []).filter((at) => at >= since);
+}
+
+// Counts one hit and says whether it was within `limit` per `windowMs`. Refused hits are not counted.
+// Read-compare-write with no await in between: atomic within this process.
+export function takeRateLimit(bucket, key, { limit, windowMs }) {
+  const file = limitFile(bucket, key);
+  const hits = recentHits(file, windowMs);
+
+  if (hits.length >= limit) {
+    return { allowed: false, retryAfterMs: Math.max(0, hits[0] + windowMs - Date.now()) };
+  }
+
+  writeJsonFile(file, { hits: [...hits, Date.now()] });
+  return { allowed: true, retryAfterMs: 0 };
+}
+
+// Same check without counting a hit
+export function isRateLimited(bucket, key, { limit, windowMs }) {
+  return recentHits(limitFile(bucket, key), windowMs).length >= limit;
+}
@@ -0,0 +1,62 @@
+// services/rateLimit.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { takeRateLimit, isRateLimited } from "./rateLimit.js";
+import { dataPath, writeJsonFile } from "../utils/jsonStore.js";
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "rate-limit-test-"));
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+const LIMIT = { limit: 3, windowMs: 60 * 1000 };
+
+test("allows `limit` hits per window, then refuses", () => {
+  for (let i = 0; i < 3; i++) assert.equal(takeRateLimit("login", "a@example.com", LIMIT).allowed, true);
+
+  const refused = takeRateLimit("login", "a@example.com", LIMIT);
+  assert.equal(refused.allowed, false);
+  assert.ok(refused.retryAfterMs > 0 && refused.retryAfterMs <= LIMIT.windowMs);
+});
+
+test("refused hits are not counted", () => {
+  for (let i = 0; i < 5; i++) takeRateLimit("login", "b@example.com", LIMIT);
+
+  const files = fs.readdirSync(dataPath("rate-limits", "login"));
+  const hits = files.map((f) => JSON.parse(fs.readFileSync(dataPath("rate-limits", "login", f), "utf8")).hits);
+  assert.ok(hits.every((h) => h.length === 3));
+});
+
+test("keys and buckets are counted separately", () => {
+  for (let i = 0; i < 3; i++) takeRateLimit("resend", "c@example.com", LIMIT);
+
+  assert.equal(takeRateLimit("resend", "c@example.com", LIMIT).allowed, false);
+  assert.equal(takeRateLimit("resend", "d@example.com", LIMIT).allowed, true);
+  assert.equal(takeRateLimit("other", "c@example.com", LIMIT).allowed, true);
+});
+
+test("hits older than the window no longer count", () => {
+  for (let i = 0; i < 3; i++) takeRateLimit("window", "e@example.com", LIMIT);
+  const [file] = fs.readdirSync(dataPath("rate-limits", "window"));
+  const old = Date.now() - LIMIT.windowMs - 1;
+  writeJsonFile(dataPath("rate-limits", "window", file), { hits: [old, old, Date.now()] });
+
+  assert.equal(isRateLimited("window", "e@example.com", LIMIT), false);
+  assert.equal(takeRateLimit("window", "e@example.com", LIMIT).allowed, true);
+  assert.equal(takeRateLimit("window", "e@example.com", LIMIT).allowed, true);
+  assert.equal(takeRateLimit("window", "e@example.com", LIMIT).allowed, false);
+});
+
+test("isRateLimited checks without counting a hit", () => {
+  for (let i = 0; i < 2; i++) takeRateLimit("check", "f@example.com", LIMIT);
+  for (let i = 0; i < 5; i++) assert.equal(isRateLimited("check", "f@example.com", LIMIT), false);
+
+  assert.equal(takeRateLimit("check", "f@example.com", LIMIT).allowed, true);
+  assert.equal(isRateLimited("check", "f@example.com", LIMIT), true);
+});
+
+test("keys never land on disk in clear", () => {
+  takeRateLimit("clear", "g@example.com", LIMIT);
+  assert.ok(fs.readdirSync(dataPath("rate-limits", "clear")).every((f) => !f.includes("example")));
+});
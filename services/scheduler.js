@@ -0,0 +1,109 @@
+// services/scheduler.js
+// In-process scheduler for periodic jobs. Every instance ticks, but a job only runs on the
+// instance that takes its interval lease, held for one interval (so across all instances each
+// job runs about once per interval). Every run, scheduled or triggered, also holds the job's
+// run lease, renewed while it runs, so two runs never overlap. A run that loses it (renewal failed
+// long enough for it to expire) gets its signal aborted and should stop.
+import { log } from "../utils/log.js";
+
+// Run lease length; renewed every third of it while the job runs
+const RUN_LEASE_MS = 10 * 60 * 1000;
+
+function runLeaseName(name) {
+  return `${name}-run`;
+}
+
+// jobs: [{ name, intervalMs, leases: { acquire, renew, release }, run({ signal }) }] — intervalMs 0 disables a job
+export function createScheduler({ jobs, tickMs = Number(process.env.SCHEDULER_TICK_MS || 30 * 1000) }) {
+  const timers = [];
+  const running = new Set();
+
+  // Runs a job now: { ran: false, reason } | { ran: true, result } | { ran: true, error }.
+  // A scheduled tick needs the interval lease ("not due" otherwise); `trigger` (HTTP cron, admin)
+  // skips it and only waits for no other run to be in progress.
+  async function runJob(name, { trigger = false } = {}) {
+    const job = jobs.find((j) => j.name === name);
+    if (!job) throw new Error(`runJob: unknown job ${name}`);
+    if (running.has(job.name)) return { ran: false, reason: "running" };
+
+    const acquire = async (leaseName, ttlMs) => {
+      try {
+        return await job.leases.acquire(leaseName, { ttlMs });
+      } catch (e) {
+        log.error("❌ Scheduler could not take lease:", { job: job.name, lease: leaseName, err: e?.message || e });
+        return { acquired: false, reason: "lease_error" };
+      }
+    };
+
+    if (!trigger) {
+      const due = await acquire(job.name, job.intervalMs);
+      if (!due?.acquired) {
+        if (due?.reason !== "lease_error") log.debug("⏭️ Scheduled job not due:", { job: job.name });
+        return { ran: false, reason: due?.reason === "lease_error" ? "lease_error" : "not_due" };
+      }
+    }
+
+    const lease = await acquire(runLeaseName(job.name), RUN_LEASE_MS);
+    if (!lease?.acquired) {
+      if (lease?.reason !== "lease_error") log.debug("⏭️ Job already running elsewhere:", { job: job.name });
+      return { ran: false, reason: lease?.reason === "lease_error" ? "lease_error" : "running" };
+    }
+
+    running.add(job.name);
+    const abort = new AbortController();
+    const heartbeat = setInterval(() => {
+      job.leases
+        .renew(runLeaseName(job.name), lease.token)
+        .then((r) => {
+          if (r?.renewed || abort.signal.aborted) return;
+          log.warn("⚠️ Scheduler lease lost, stopping job:", { job: job.name, reason: r?.reason });
+          abort.abort();
+        })
+        .catch((e) => log.warn("⚠️ Scheduler lease renew failed:", { job: job.name, err: e?.message || e }));
+    }, Math.floor(RUN_LEASE_MS / 3));
+    heartbeat.unref();
+
+    const startedAt = Date.now();
+    log.debug("⏰ Job started:", { job: job.name, trigger });
+
+    try {
+      const result = await job.run({ signal: abort.signal });
+      log.debug("✅ Job done:", { job: job.name, ms: Date.now() - startedAt, result });
+      return { ran: true, result };
+    } catch (e) {
+      log.error("❌ Job failed:", { job: job.name, ms: Date.now() - startedAt, err: e?.message || e });
+      return { ran: true, error: e?.message || String(e) };
+    } finally {
+      clearInterval(heartbeat);
+      running.delete(job.name);
+
+      // The interval lease is kept for the rest of the interval; the run lease is handed back
+      await job.leases
+        .release(runLeaseName(job.name), lease.token)
+        .catch((e) => log.warn("⚠️ Scheduler lease release failed:", { job: job.name, err: e?.message || e }));
+    }
+  }
+
+  function start() {
+    for (const job of jobs) {
+      if (!(job.intervalMs > 0)) {
+        log.info("⏸️ Scheduled job disabled:", { job: job.name });
+        continue;
+      }
+
+      const timer = setInterval(() => runJob(job.name), Math.min(job.intervalMs, tickMs));
+      timer.unref();
+      timers.push(timer);
+    }
+
+    log.info("⏰ Scheduler started:", {
+      jobs: jobs.filter((j) => j.intervalMs > 0).map((j) => ({ name: j.name, intervalMs: j.intervalMs })),
+    });
+  }
+
+  function stop() {
+    for (const t of timers.splice(0)) clearInterval(t);
+  }
+
+  return { start, stop, runJob };
+}
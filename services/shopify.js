@@ -1,6 +1,30 @@
 // services/shopify.js
 import { safeFetch } from "../utils/http.js";
-import crypto from "crypto";
+import { isLockHeld, newLockRecord, renewedLockRecord, releasedLockRecord } from "./orderLock.js";
+
+// ---------- Errors ----------
+// Top-level GraphQL `errors` or a non-2xx response (after retries).
+export class ShopifyGraphqlError extends Error {
+  constructor(message, { status = 0, errors = [] } = {}) {
+    const code = errors?.[0]?.extensions?.code || null;
+    super(`${message} (${status}${code ? ` ${code}` : ""})`);
+    this.name = "ShopifyGraphqlError";
+    this.status = status;
+    this.code = code;
+    this.errors = errors;
+  }
+}
+
+// A mutation ran but Shopify rejected the input (`userErrors`).
+export class ShopifyUserError extends Error {
+  constructor(message, { userErrors = [] } = {}) {
+    const code = userErrors?.[0]?.code || null;
+    super(`${message}: ${userErrors?.[0]?.message || "userErrors"}${code ? ` (${code})` : ""}`);
+    this.name = "ShopifyUserError";
+    this.code = code;
+    this.userErrors = userErrors;
+  }
+}
 
 export function shopifyGraphqlUrl() {
   const shopRaw = process.env.SHOPIFY_SHOP_DOMAIN;
@@ -15,27 +39,131 @@ export function shopifyGraphqlUrl() {
   return `https://${shop}/admin/api/${version}/graphql.json`;
 }
 
+// ---------- Throttling ----------
+// Shopify meters GraphQL by query cost (leaky bucket). We keep the last throttleStatus
+// it reported and wait for the bucket to refill before sending a query it would reject.
+const SHOPIFY_MAX_RETRIES = Number(process.env.SHOPIFY_MAX_RETRIES || 4);
+const SHOPIFY_RETRY_BASE_MS = Number(process.env.SHOPIFY_RETRY_BASE_MS || 1000);
+const SHOPIFY_MIN_AVAILABLE_COST = 100;
+
+const throttle = { available: null, maximum: null, restoreRate: null, at: 0 };
+
+function recordThrottleStatus(json) {
+  const status = json?.extensions?.cost?.throttleStatus;
+  if (!status) return;
+
+  throttle.available = Number(status.currentlyAvailable);
+  throttle.maximum = Number(status.maximumAvailable);
+  throttle.restoreRate = Number(status.restoreRate);
+  throttle.at = Date.now();
+}
+
+function throttleWaitMs(neededCost = SHOPIFY_MIN_AVAILABLE_COST) {
+  if (!Number.isFinite(throttle.available) || !(throttle.restoreRate > 0)) return 0;
+
+  const elapsedSec = (Date.now() - throttle.at) / 1000;
+  const available = Math.min(throttle.maximum || Infinity, throttle.available + elapsedSec * throttle.restoreRate);
+  const needed = Math.min(neededCost, throttle.maximum || neededCost);
+
+  if (available >= needed) return 0;
+  return Math.ceil(((needed - available) / throttle.restoreRate) * 1000);
+}
+
+function backoffMs(attempt, retryAfterHeader) {
+  const retryAfterSec = Number(retryAfterHeader);
+  if (Number.isFinite(retryAfterSec) && retryAfterSec > 0) return retryAfterSec * 1000;
+
+  // Exponential with full jitter
+  return Math.round(Math.random() * SHOPIFY_RETRY_BASE_MS * 2 ** attempt);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function isThrottled(json) {
+  return Array.isArray(json?.errors) && json.errors.some((e) => e?.extensions?.code === "THROTTLED");
+}
+
+// Retries THROTTLED, 429, 5xx and network errors; throws ShopifyGraphqlError otherwise.
 export async function shopifyGraphql(query, variables = {}) {
   const url = shopifyGraphqlUrl();
   const token = shopifyToken();
 
-  const resp = await safeFetch(url, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "X-Shopify-Access-Token": token,
-    },
-    body: JSON.stringify({ query, variables }),
-  });
+  let neededCost = SHOPIFY_MIN_AVAILABLE_COST;
 
-  const json = await parseJsonSafe(resp);
+  for (let attempt = 0; ; attempt++) {
+    const waitMs = throttleWaitMs(neededCost);
+    if (waitMs > 0) {
+      console.warn("⏳ Shopify bucket low, waiting:", { waitMs, available: throttle.available });
+      await sleep(waitMs);
+    }
 
-  if (!resp.ok || json?.errors) {
-    console.error("❌ Shopify GraphQL error:", json.errors || json);
-    throw new Error(`Shopify GraphQL failed (${resp.status})`);
+    let resp;
+    try {
+      resp = await safeFetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-Shopify-Access-Token": token,
+        },
+        body: JSON.stringify({ query, variables }),
+      });
+    } catch (e) {
+      if (attempt >= SHOPIFY_MAX_RETRIES) throw e;
+      const delay = backoffMs(attempt);
+      console.warn("⚠️ Shopify request failed, retrying:", { attempt: attempt + 1, delay, error: e?.message || e });
+      await sleep(delay);
+      continue;
+    }
+
+    const json = await parseJsonSafe(resp);
+    recordThrottleStatus(json);
+
+    if (resp.ok && !json?.errors) return json;
+
+    // THROTTLED: the wait at the top of the loop lasts until the bucket holds what this query asked for
+    if (isThrottled(json) && attempt < SHOPIFY_MAX_RETRIES && json?.extensions?.cost?.throttleStatus) {
+      neededCost = Number(json.extensions.cost.requestedQueryCost) || SHOPIFY_MIN_AVAILABLE_COST;
+      console.warn("⚠️ Shopify THROTTLED, retrying:", { attempt: attempt + 1, neededCost });
+      continue;
+    }
+
+    const retryable = resp.status === 429 || resp.status >= 500 || isThrottled(json);
+    if (retryable && attempt < SHOPIFY_MAX_RETRIES) {
+      const delay = backoffMs(attempt, resp.headers?.get?.("Retry-After"));
+      console.warn("⚠️ Shopify throttled/unavailable, retrying:", { status: resp.status, attempt: attempt + 1, delay });
+      await sleep(delay);
+      continue;
+    }
+
+    console.error("❌ Shopify GraphQL error:", json?.errors || json);
+    throw new ShopifyGraphqlError("Shopify GraphQL failed", {
+      status: resp.status,
+      errors: Array.isArray(json?.errors) ? json.errors : [],
+    });
+  }
+}
+
+// Writes metafields and throws ShopifyUserError on userErrors, so callers never check them by hand.
+export async function shopifyMetafieldsSet(metafields) {
+  const mutation = `
+    mutation metafieldsSet($metafields: [MetafieldsSetInput!]!) {
+      metafieldsSet(metafields: $metafields) {
+        userErrors { field message code }
+      }
+    }
+  `;
+
+  const json = await shopifyGraphql(mutation, { metafields });
+  const userErrors = json?.data?.metafieldsSet?.userErrors || [];
+
+  if (userErrors.length) {
+    const keys = metafields.map((m) => `${m.namespace}.${m.key}`).join(", ");
+    throw new ShopifyUserError(`metafieldsSet failed for ${keys}`, { userErrors });
   }
 
-  return json;
+  return true;
 }
 
 function shopifyToken() {
@@ -50,9 +178,6 @@ async function parseJsonSafe(resp) {
 
 // ---------- Variant config ----------
 export async function getVariantConfig(variantId) {
-  const url = shopifyGraphqlUrl();
-  const token = shopifyToken();
-
   const gid = `gid://shopify/ProductVariant/${variantId}`;
 
   const query = `
@@ -65,21 +190,7 @@ export async function getVariantConfig(variantId) {
     }
   `;
 
-  const resp = await safeFetch(url, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "X-Shopify-Access-Token": token,
-    },
-    body: JSON.stringify({ query, variables: { id: gid } }),
-  });
-
-  const json = await parseJsonSafe(resp);
-
-  if (!resp.ok || json.errors) {
-    console.error("❌ Shopify GraphQL error:", json.errors || json);
-    throw new Error(`Shopify GraphQL failed (${resp.status})`);
-  }
+  const json = await shopifyGraphql(query, { id: gid });
 
   const v = json?.data?.productVariant;
   const mayaPlanId = (v?.mayaPlanId?.value || "").trim() || null;
@@ -90,9 +201,6 @@ export async function getVariantConfig(variantId) {
 
 // ---------- Customer Maya ID metafield ----------
 export async function getMayaCustomerIdFromShopifyCustomer(shopifyCustomerId) {
-  const url = shopifyGraphqlUrl();
-  const token = shopifyToken();
-
   const gid = `gid://shopify/Customer/${shopifyCustomerId}`;
 
   const query = `
@@ -103,67 +211,23 @@ export async function getMayaCustomerIdFromShopifyCustomer(shopifyCustomerId) {
     }
   `;
 
-  const resp = await safeFetch(url, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "X-Shopify-Access-Token": token,
-    },
-    body: JSON.stringify({ query, variables: { id: gid } }),
-  });
-
-  const json = await parseJsonSafe(resp);
-
-  if (!resp.ok || json.errors) {
-    console.error("❌ Shopify customer metafield read error:", json.errors || json);
-    throw new Error(`Shopify GraphQL failed (${resp.status})`);
-  }
+  const json = await shopifyGraphql(query, { id: gid });
 
   return json?.data?.customer?.metafield?.value || null;
 }
 
 export async function saveMayaCustomerIdToShopifyCustomer(shopifyCustomerId, mayaCustomerId) {
-  const url = shopifyGraphqlUrl();
-  const token = shopifyToken();
-
   const gid = `gid://shopify/Customer/${shopifyCustomerId}`;
 
-  const mutation = `
-    mutation metafieldsSet($metafields: [MetafieldsSetInput!]!) {
-      metafieldsSet(metafields: $metafields) {
-        userErrors { field message }
-      }
-    }
-  `;
-
-  const variables = {
-    metafields: [
-      {
-        ownerId: gid,
-        namespace: "custom",
-        key: "maya_customer_id",
-        type: "single_line_text_field",
-        value: String(mayaCustomerId),
-      },
-    ],
-  };
-
-  const resp = await safeFetch(url, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "X-Shopify-Access-Token": token,
+  await shopifyMetafieldsSet([
+    {
+      ownerId: gid,
+      namespace: "custom",
+      key: "maya_customer_id",
+      type: "single_line_text_field",
+      value: String(mayaCustomerId),
     },
-    body: JSON.stringify({ query: mutation, variables }),
-  });
-
-  const json = await parseJsonSafe(resp);
-
-  const userErrors = json?.data?.metafieldsSet?.userErrors || [];
-  if (!resp.ok || json.errors || userErrors.length) {
-    console.error("❌ Shopify metafield write error:", { status: resp.status, json, userErrors });
-    throw new Error(userErrors[0]?.message || "Failed to write Shopify customer metafield");
-  }
+  ]);
 
   return true;
 }
@@ -179,31 +243,15 @@ export async function saveMayaCustomerIdToOrder(orderId, mayaCustomerId) {
 
   const gid = `gid://shopify/Order/${orderId}`;
 
-  const mutation = `
-    mutation metafieldsSet($metafields: [MetafieldsSetInput!]!) {
-      metafieldsSet(metafields: $metafields) {
-        userErrors { field message }
-      }
-    }
-  `;
-
-  const variables = {
-    metafields: [
-      {
-        ownerId: gid,
-        namespace: ORDER_MAYA_CUSTOMER_ID_NAMESPACE,
-        key: ORDER_MAYA_CUSTOMER_ID_KEY,
-        type: "single_line_text_field",
-        value,
-      },
-    ],
-  };
-
-  const json = await shopifyGraphql(mutation, variables);
-  const userErrors = json?.data?.metafieldsSet?.userErrors || [];
-  if (userErrors.length) {
-    throw new Error(userErrors[0]?.message || "Failed to write maya_customer_id on order");
-  }
+  await shopifyMetafieldsSet([
+    {
+      ownerId: gid,
+      namespace: ORDER_MAYA_CUSTOMER_ID_NAMESPACE,
+      key: ORDER_MAYA_CUSTOMER_ID_KEY,
+      type: "single_line_text_field",
+      value,
+    },
+  ]);
 
   return true;
 }
@@ -262,16 +310,43 @@ export async function getOrderProcessedFlag(orderId) {
 }
 
 // ---------- Order processing LOCK (prevents concurrent webhooks) ----------
-// Uses a token so we can confirm who owns the lock.
-// Also supports stale lock takeover (TTL).
+// One JSON metafield written with metafieldsSet compareDigest, so two workers can never
+// both see it free and both take it: the second write fails with STALE_OBJECT.
+// The holder renews it (heartbeat) so LOCK_TTL_MS only expires locks of crashed workers.
+
+const LOCK_FIELD_KEY = "maya_processing_lock";
 
-const LOCK_TTL_MS = Number(process.env.MAYA_LOCK_TTL_MS || 15 * 60 * 1000); // 15 min default
+function parseLockField(field) {
+  let lock = null;
+  try {
+    lock = field?.value ? JSON.parse(field.value) : null;
+  } catch {
+    lock = null;
+  }
 
-function isStale(isoDate) {
-  if (!isoDate) return true;
-  const t = Date.parse(isoDate);
-  if (Number.isNaN(t)) return true;
-  return Date.now() - t > LOCK_TTL_MS;
+  // digest null = metafield does not exist yet (create-only write)
+  return { lock, digest: field?.compareDigest || null, held: isLockHeld(lock) };
+}
+
+// Returns false when someone else wrote the lock since we read it
+async function compareAndSetLockMetafield(ownerId, key, digest, lock) {
+  try {
+    await shopifyMetafieldsSet([
+      {
+        ownerId,
+        namespace: "custom",
+        key,
+        type: "json",
+        value: JSON.stringify(lock),
+        compareDigest: digest,
+      },
+    ]);
+  } catch (e) {
+    if (e instanceof ShopifyUserError && (e.code === "STALE_OBJECT" || e.code === "TAKEN")) return false;
+    throw e;
+  }
+
+  return true;
 }
 
 export async function getOrderProcessingLock(orderId) {
@@ -280,121 +355,108 @@ export async function getOrderProcessingLock(orderId) {
   const query = `
     query ($id: ID!) {
       order(id: $id) {
-        processing: metafield(namespace: "custom", key: "maya_processing") { value }
-        processingAt: metafield(namespace: "custom", key: "maya_processing_at") { value }
-        processingToken: metafield(namespace: "custom", key: "maya_processing_token") { value }
+        lock: metafield(namespace: "custom", key: "${LOCK_FIELD_KEY}") { value compareDigest }
       }
     }
   `;
 
   const json = await shopifyGraphql(query, { id: gid });
-  const order = json?.data?.order;
-
-  const processing =
-    String(order?.processing?.value || "").trim().toLowerCase() === "true";
+  return parseLockField(json?.data?.order?.lock);
+}
 
-  return {
-    processing,
-    processingAt: order?.processingAt?.value || null,
-    processingToken: order?.processingToken?.value || null,
-    stale: processing ? isStale(order?.processingAt?.value) : false,
-  };
+function compareAndSetOrderLock(orderId, digest, lock) {
+  return compareAndSetLockMetafield(`gid://shopify/Order/${orderId}`, LOCK_FIELD_KEY, digest, lock);
 }
 
 export async function tryAcquireOrderProcessingLock(orderId) {
-  const gid = `gid://shopify/Order/${orderId}`;
+  const current = await getOrderProcessingLock(orderId);
 
-  // Read current lock
-  const before = await getOrderProcessingLock(orderId);
+  // Held and not expired -> do not acquire (expired -> take over)
+  if (current.held) return { acquired: false, reason: "locked" };
 
-  // If locked and not stale -> do not acquire
-  if (before.processing && !before.stale) {
-    return { acquired: false, reason: "locked" };
-  }
+  const lock = newLockRecord();
+  const won = await compareAndSetOrderLock(orderId, current.digest, lock);
+  if (!won) return { acquired: false, reason: "lost_race" };
 
-  // If locked but stale -> we can take over
-  const token = crypto.randomUUID();
-  const nowIso = new Date().toISOString();
+  return { acquired: true, token: lock.token };
+}
 
-  const mutation = `
-    mutation metafieldsSet($metafields: [MetafieldsSetInput!]!) {
-      metafieldsSet(metafields: $metafields) {
-        userErrors { field message }
-      }
-    }
-  `;
+export async function renewOrderProcessingLock(orderId, token) {
+  const current = await getOrderProcessingLock(orderId);
+  if (!current.lock?.token || current.lock.token !== token) return { renewed: false, reason: "lost" };
 
-  const variables = {
-    metafields: [
-      { ownerId: gid, namespace: "custom", key: "maya_processing", type: "boolean", value: "true" },
-      { ownerId: gid, namespace: "custom", key: "maya_processing_token", type: "single_line_text_field", value: token },
-      { ownerId: gid, namespace: "custom", key: "maya_processing_at", type: "date_time", value: nowIso },
-    ],
-  };
+  const won = await compareAndSetOrderLock(orderId, current.digest, renewedLockRecord(current.lock));
+  if (!won) return { renewed: false, reason: "lost_race" };
+
+  return { renewed: true };
+}
 
-  await shopifyGraphql(mutation, variables);
+export async function releaseOrderProcessingLock(orderId, token) {
+  const current = await getOrderProcessingLock(orderId);
 
-  // ✅ Verify we own the lock (prevents double-provision on race)
-  const after = await getOrderProcessingLock(orderId);
-  const weOwnIt =
-    after.processing === true && String(after.processingToken || "") === String(token);
+  if (!current.lock?.token) return { released: false, reason: "not_locked" };
+  if (current.lock.token !== token) return { released: false, reason: "token_mismatch" };
 
-  if (!weOwnIt) {
-    return { acquired: false, reason: "lost_race" };
-  }
+  const won = await compareAndSetOrderLock(orderId, current.digest, releasedLockRecord(current.lock));
+  if (!won) return { released: false, reason: "lost_race" };
 
-  return { acquired: true, token };
+  return { released: true };
 }
 
-// ---------- Order processing LOCK (prevents concurrent webhooks) ----------
+// ---------- Scheduler leases (shop metafields) ----------
+// One JSON metafield per scheduled job on the shop, written with the same compareDigest
+// CAS as the order lock, so only one instance runs a job at a time.
 
-export async function releaseOrderProcessingLock(orderId, token) {
-  const gid = `gid://shopify/Order/${orderId}`;
+function leaseFieldKey(name) {
+  return `maya_lease_${String(name || "").replace(/[^A-Za-z0-9_]/g, "_")}`;
+}
 
+async function getShopLease(name) {
   const query = `
-    query ($id: ID!) {
-      order(id: $id) {
-        token: metafield(namespace:"custom", key:"maya_processing_token") { value }
-        processing: metafield(namespace:"custom", key:"maya_processing") { value }
+    query {
+      shop {
+        id
+        lease: metafield(namespace: "custom", key: "${leaseFieldKey(name)}") { value compareDigest }
       }
     }
   `;
 
-  const json = await shopifyGraphql(query, { id: gid });
-  const currentToken = String(json?.data?.order?.token?.value || "");
-  const processing =
-    String(json?.data?.order?.processing?.value || "").toLowerCase() === "true";
+  const json = await shopifyGraphql(query);
+  const shopId = json?.data?.shop?.id;
+  if (!shopId) throw new Error("Could not read shop id for scheduler lease");
 
-  if (!processing) return { released: false, reason: "not_locked" };
-  if (currentToken !== token) return { released: false, reason: "token_mismatch" };
+  return { shopId, ...parseLockField(json?.data?.shop?.lease) };
+}
 
-  const mutation = `
-    mutation metafieldsSet($metafields: [MetafieldsSetInput!]!) {
-      metafieldsSet(metafields: $metafields) { userErrors { field message } }
-    }
-  `;
+export async function tryAcquireShopLease(name, { ttlMs } = {}) {
+  const current = await getShopLease(name);
+  if (current.held) return { acquired: false, reason: "locked" };
 
-  // ✅ On ne touche pas maya_processing_at ici (c’est la date de lock, pas de release)
-  const variables = {
-    metafields: [
-      {
-        ownerId: gid,
-        namespace: "custom",
-        key: "maya_processing",
-        type: "boolean",
-        value: "false",
-      },
-      {
-        ownerId: gid,
-        namespace: "custom",
-        key: "maya_processing_token",
-        type: "single_line_text_field",
-        value: "",
-      },
-    ],
-  };
+  const lease = newLockRecord({ ttlMs });
+  const won = await compareAndSetLockMetafield(current.shopId, leaseFieldKey(name), current.digest, lease);
+  if (!won) return { acquired: false, reason: "lost_race" };
+
+  return { acquired: true, token: lease.token };
+}
+
+export async function renewShopLease(name, token) {
+  const current = await getShopLease(name);
+  if (!current.lock?.token || current.lock.token !== token) return { renewed: false, reason: "lost" };
+
+  const won = await compareAndSetLockMetafield(current.shopId, leaseFieldKey(name), current.digest, renewedLockRecord(current.lock));
+  if (!won) return { renewed: false, reason: "lost_race" };
+
+  return { renewed: true };
+}
 
-  await shopifyGraphql(mutation, variables);
+export async function releaseShopLease(name, token) {
+  const current = await getShopLease(name);
+
+  if (!current.lock?.token) return { released: false, reason: "not_locked" };
+  if (current.lock.token !== token) return { released: false, reason: "token_mismatch" };
+
+  const won = await compareAndSetLockMetafield(current.shopId, leaseFieldKey(name), current.digest, releasedLockRecord(current.lock));
+  if (!won) return { released: false, reason: "lost_race" };
 
   return { released: true };
 }
@@ -426,7 +488,7 @@ export async function getEsimsJsonFromOrder(orderId) {
   }
 }
 
-export async function appendEsimToOrderEsimsJson(orderId, { iccid, uid } = {}) {
+export async function appendEsimToOrderEsimsJson(orderId, { iccid, uid, lineItemId } = {}) {
   if (!orderId) throw new Error("appendEsimToOrderEsimsJson: missing orderId");
   if (!iccid && !uid) return true;
 
@@ -435,6 +497,7 @@ export async function appendEsimToOrderEsimsJson(orderId, { iccid, uid } = {}) {
 
   const cleanIccid = String(iccid || "").trim();
   const cleanUid = String(uid || "").trim();
+  const cleanLineItemId = String(lineItemId || "").trim();
 
   const exists = current.some((e) => {
     const eIccid = String(e?.iccid || "").trim();
@@ -445,33 +508,20 @@ export async function appendEsimToOrderEsimsJson(orderId, { iccid, uid } = {}) {
 
   const next = exists
     ? current
-    : [...current, { iccid: cleanIccid || null, uid: cleanUid || null }];
+    : [
+        ...current,
+        { iccid: cleanIccid || null, uid: cleanUid || null, lineItemId: cleanLineItemId || null },
+      ];
 
-  const mutation = `
-    mutation metafieldsSet($metafields: [MetafieldsSetInput!]!) {
-      metafieldsSet(metafields: $metafields) {
-        userErrors { field message }
-      }
-    }
-  `;
-
-  const variables = {
-    metafields: [
-      {
-        ownerId: gid,
-        namespace: "custom",
-        key: ESIMS_JSON_KEY,
-        type: "multi_line_text_field",
-        value: JSON.stringify(next),
-      },
-    ],
-  };
-
-  const result = await shopifyGraphql(mutation, variables);
-  const userErrors = result?.data?.metafieldsSet?.userErrors || [];
-  if (userErrors.length) {
-    throw new Error(userErrors[0]?.message || "Failed to write maya_esims_json");
-  }
+  await shopifyMetafieldsSet([
+    {
+      ownerId: gid,
+      namespace: "custom",
+      key: ESIMS_JSON_KEY,
+      type: "multi_line_text_field",
+      value: JSON.stringify(next),
+    },
+  ]);
 
   return true;
 }
@@ -480,12 +530,32 @@ export async function appendEsimToOrderEsimsJson(orderId, { iccid, uid } = {}) {
 
 const USAGE_ALERTS_FIELD_KEY = "usage_alerts_sent";
 
-export function usageAlertKey(threshold, iccid) {
+// One key per level and plan, so a top-up gets its own alerts.
+// Without planId this is the older per-eSIM key (still honoured for eSIMs that never had a top-up).
+export function usageAlertKey(threshold, iccid, planId = null) {
   const t = String(threshold || "").trim();
   const i = String(iccid || "").trim();
+  const p = String(planId || "").trim();
   if (!t || !i) throw new Error("usageAlertKey: missing threshold or iccid");
-  // e.g. usage_alert_20_8910300000057318645
-  return `usage_alert_${t}_${i}`;
+  // e.g. usage_alert_80_8910300000057318645_6PETHX8CQ6Z0
+  return p ? `usage_alert_${t}_${i}_${p}` : `usage_alert_${t}_${i}`;
+}
+
+// Plan expiry reminders share the same metafield: one key per plan and kind ("48h" or "expired")
+export function planExpiryAlertKey(kind, iccid, planId) {
+  const k = String(kind || "").trim();
+  const i = String(iccid || "").trim();
+  const p = String(planId || "").trim();
+  if (!k || !i || !p) throw new Error("planExpiryAlertKey: missing kind, iccid or planId");
+  // e.g. plan_expiry_48h_8910300000057318645_6PETHX8CQ6Z0
+  return `plan_expiry_${k}_${i}_${p}`;
+}
+
+// "You're connected" email, once per eSIM
+export function activationWelcomeKey(iccid) {
+  const i = String(iccid || "").trim();
+  if (!i) throw new Error("activationWelcomeKey: missing iccid");
+  return `activation_welcome_${i}`;
 }
 
 function parseUsageAlertsSent(value) {
@@ -496,6 +566,12 @@ function parseUsageAlertsSent(value) {
 }
 
 export async function getUsageAlertFlag(orderId, key) {
+  const current = await getUsageAlertsSent(orderId);
+  return { sent: current.includes(String(key || "").trim()), sentAt: null };
+}
+
+// Every key in usage_alerts_sent
+export async function getUsageAlertsSent(orderId) {
   const gid = `gid://shopify/Order/${orderId}`;
 
   const query = `
@@ -507,76 +583,55 @@ export async function getUsageAlertFlag(orderId, key) {
   `;
 
   const json = await shopifyGraphql(query, { id: gid });
-
-  const current = parseUsageAlertsSent(json?.data?.order?.usageAlertsSent?.value);
-  const sent = current.includes(String(key || "").trim());
-
-  return { sent, sentAt: null };
+  return parseUsageAlertsSent(json?.data?.order?.usageAlertsSent?.value);
 }
 
+// Usage, expiry and activation runs append to the same list, so it is written with compareDigest
+// and re-read on a conflict instead of overwriting keys another run just added
+const USAGE_ALERTS_WRITE_ATTEMPTS = 5;
+
 export async function markUsageAlertSent(orderId, key) {
   const gid = `gid://shopify/Order/${orderId}`;
   const k = String(key || "").trim();
   if (!k) throw new Error("markUsageAlertSent: missing key");
 
-  // 1) read current list
-  let current = [];
-  try {
-    const flag = await getUsageAlertFlag(orderId, k);
-    // re-read the list (we need full list)
-    const query = `
-      query UsageAlertSentList($id: ID!) {
-        order(id: $id) {
-          usageAlertsSent: metafield(namespace: "custom", key: "${USAGE_ALERTS_FIELD_KEY}") { value }
-        }
-      }
-    `;
-    const json = await shopifyGraphql(query, { id: gid });
-    current = parseUsageAlertsSent(json?.data?.order?.usageAlertsSent?.value);
-    if (flag.sent) return true; // already present
-  } catch (e) {
-    // If read fails, we’ll still try writing just this key (better than doing nothing)
-    console.warn("⚠️ Could not read usage_alerts_sent before writing:", e?.message || e);
-    current = [];
-  }
-
-  // 2) append if missing
-  if (!current.includes(k)) current.push(k);
-
-  // 3) write back to ONE metafield
-  const mutation = `
-    mutation metafieldsSet($metafields: [MetafieldsSetInput!]!) {
-      metafieldsSet(metafields: $metafields) {
-        userErrors { field message }
+  const query = `
+    query UsageAlertSentList($id: ID!) {
+      order(id: $id) {
+        usageAlertsSent: metafield(namespace: "custom", key: "${USAGE_ALERTS_FIELD_KEY}") { value compareDigest }
       }
     }
   `;
 
-  const variables = {
-    metafields: [
-      {
-        ownerId: gid,
-        namespace: "custom",
-        key: USAGE_ALERTS_FIELD_KEY,
-        type: "multi_line_text_field",
-        value: current.join("\n"),
-      },
-    ],
-  };
-
-  const json = await shopifyGraphql(mutation, variables);
-
-  const userErrors = json?.data?.metafieldsSet?.userErrors || [];
-  if (userErrors.length) {
-    console.error("❌ Shopify markUsageAlertSent userErrors:", { orderId, key: k, userErrors });
-    throw new Error(userErrors[0]?.message || "Failed to write Shopify usage_alerts_sent metafield");
+  for (let attempt = 1; attempt <= USAGE_ALERTS_WRITE_ATTEMPTS; attempt++) {
+    const json = await shopifyGraphql(query, { id: gid });
+    const field = json?.data?.order?.usageAlertsSent;
+    const current = parseUsageAlertsSent(field?.value);
+    if (current.includes(k)) return true;
+
+    try {
+      await shopifyMetafieldsSet([
+        {
+          ownerId: gid,
+          namespace: "custom",
+          key: USAGE_ALERTS_FIELD_KEY,
+          type: "multi_line_text_field",
+          value: [...current, k].join("\n"),
+          compareDigest: field?.compareDigest || null,
+        },
+      ]);
+      return true;
+    } catch (e) {
+      if (!(e instanceof ShopifyUserError && (e.code === "STALE_OBJECT" || e.code === "TAKEN"))) throw e;
+      console.warn("⚠️ usage_alerts_sent changed while writing, retrying:", { orderId, key: k, attempt });
+    }
   }
 
-  return true;
+  throw new Error(`markUsageAlertSent: ${k} not written after ${USAGE_ALERTS_WRITE_ATTEMPTS} conflicting attempts`);
 }
 
 // ---------- Order eSIM details metafields (for usage tracking) ----------
-export async function saveEsimToOrder(orderId, { iccid, esimUid } = {}) {
+export async function saveEsimToOrder(orderId, { iccid, esimUid, lineItemId } = {}) {
   if (!orderId) throw new Error("saveEsimToOrder: missing orderId");
 
   const gid = `gid://shopify/Order/${orderId}`;
@@ -605,29 +660,14 @@ export async function saveEsimToOrder(orderId, { iccid, esimUid } = {}) {
 
   if (!metafields.length) return true;
 
-  const mutation = `
-    mutation metafieldsSet($metafields: [MetafieldsSetInput!]!) {
-      metafieldsSet(metafields: $metafields) {
-        userErrors { field message }
-      }
-    }
-  `;
-
-  const variables = { metafields };
-
-  const json = await shopifyGraphql(mutation, variables);
-
-  const userErrors = json?.data?.metafieldsSet?.userErrors || [];
-  if (userErrors.length) {
-    console.error("❌ Shopify saveEsimToOrder userErrors:", { orderId, userErrors });
-    throw new Error(userErrors[0]?.message || "Failed to write Shopify order metafields");
-  }
+  await shopifyMetafieldsSet(metafields);
 
   // Also append to JSON list so we keep ALL eSIMs on the order
   try {
     await appendEsimToOrderEsimsJson(orderId, {
       iccid,
       uid: esimUid,
+      lineItemId,
     });
   } catch (e) {
     console.error("❌ Failed to append eSIM to maya_esims_json:", e?.message || e);
@@ -649,94 +689,572 @@ export async function markOrderProcessed(orderId) {
   const gid = `gid://shopify/Order/${orderId}`;
   const nowIso = new Date().toISOString();
 
-  const mutation = `
-    mutation metafieldsSet($metafields: [MetafieldsSetInput!]!) {
-      metafieldsSet(metafields: $metafields) {
-        userErrors { field message }
-      }
-    }
-  `;
+  await shopifyMetafieldsSet([
+    {
+      ownerId: gid,
+      namespace: "custom",
+      key: "maya_processed",
+      type: "boolean",
+      value: "true",
+    },
+    {
+      ownerId: gid,
+      namespace: "custom",
+      key: "maya_processed_at",
+      type: "date_time",
+      value: nowIso,
+    },
+  ]);
 
-  const variables = {
-    metafields: [
-      {
-        ownerId: gid,
-        namespace: "custom",
-        key: "maya_processed",
-        type: "boolean",
-        value: "true",
-      },
-      {
-        ownerId: gid,
-        namespace: "custom",
-        key: "maya_processed_at",
-        type: "date_time",
-        value: nowIso,
-      },
-    ],
-  };
+  return true;
+}
+const ESIMS_EXPIRED_AT_KEY = "maya_esims_expired_at";
 
-  const result = await shopifyGraphql(mutation, variables);
-  const userErrors = result?.data?.metafieldsSet?.userErrors || [];
-  if (userErrors.length) throw new Error(userErrors[0]?.message || "Failed to mark processed");
+function orderNodeToEsimOrder(node) {
+  const orderGid = node?.id || "";
+  const orderId = orderGid.split("/").pop();
+  const orderName = String(node?.name || "").trim();
 
-  return true;
+  const mayaCustomerId = String(node?.mayaCustomerId?.value || "").trim() || null;
+
+  // ✅ REQUIRE maya_customer_id no matter what
+  if (!mayaCustomerId) return null;
+
+  const singleIccid = (node?.mayaIccid?.value || "").trim();
+  const singleUid = (node?.mayaEsimUid?.value || "").trim();
+
+  const esims = parseEsimsJson(node?.esimsJson?.value)
+    .map((e) => ({ iccid: String(e?.iccid || "").trim(), uid: String(e?.uid || "").trim() }))
+    .filter((e) => e.iccid);
+
+  const finalEsims = esims.length
+    ? esims
+    : (singleIccid ? [{ iccid: singleIccid, uid: singleUid || "" }] : []);
+
+  if (!orderId || !finalEsims.length) return null;
+
+  const esimsExpiredAt = String(node?.esimsExpiredAt?.value || "").trim() || null;
+  const activations = parseEsimsJson(node?.activationsJson?.value);
+
+  return {
+    orderId,
+    orderName,
+    createdAt: node?.createdAt || null,
+    mayaCustomerId,
+    esims: finalEsims,
+    esimsExpiredAt,
+    activations,
+  };
 }
-export async function getOrdersWithEsims({ daysBack = 120 } = {}) {
+
+// Streams every order with eSIMs in the window, page by page (follows pageInfo.endCursor)
+// email (optional) limits the scan to that buyer's orders
+export async function* iterateOrdersWithEsims({ daysBack = 120, pageSize = 100, email = null } = {}) {
   const sinceDate = new Date(Date.now() - daysBack * 24 * 60 * 60 * 1000)
     .toISOString()
     .slice(0, 10);
 
+  const emailFilter = email ? `email:"${String(email).replace(/["\\]/g, "")}" ` : "";
+
   const searchQuery =
     `created_at:>='${sinceDate}' ` +
+    emailFilter +
     `(metafield:custom.${ESIMS_JSON_KEY} OR metafield:custom.maya_iccid) ` +
     `AND metafield:custom.maya_customer_id:*`;
 
   const query = `
-    query OrdersWithEsims($first: Int!, $query: String!) {
-      orders(first: $first, query: $query, sortKey: CREATED_AT, reverse: true) {
+    query OrdersWithEsims($first: Int!, $query: String!, $after: String) {
+      orders(first: $first, after: $after, query: $query, sortKey: CREATED_AT, reverse: true) {
         edges {
           node {
             id
             name
+            createdAt
             mayaCustomerId: metafield(namespace: "custom", key: "maya_customer_id") { value }
             mayaIccid: metafield(namespace: "custom", key: "maya_iccid") { value }
             mayaEsimUid: metafield(namespace: "custom", key: "maya_esim_uid") { value }
             esimsJson: metafield(namespace: "custom", key: "${ESIMS_JSON_KEY}") { value }
+            esimsExpiredAt: metafield(namespace: "custom", key: "${ESIMS_EXPIRED_AT_KEY}") { value }
+            activationsJson: metafield(namespace: "custom", key: "${ESIM_ACTIVATIONS_JSON_KEY}") { value }
           }
         }
+        pageInfo { hasNextPage endCursor }
       }
     }
   `;
 
-  const json = await shopifyGraphql(query, { first: 100, query: searchQuery });
-  const edges = json?.data?.orders?.edges || [];
+  let after = null;
 
-  return edges
-    .map(({ node }) => {
-      const orderGid = node?.id || "";
-      const orderId = orderGid.split("/").pop();
-      const orderName = String(node?.name || "").trim();
+  do {
+    const json = await shopifyGraphql(query, { first: pageSize, query: searchQuery, after });
+    const connection = json?.data?.orders;
 
-      const mayaCustomerId = String(node?.mayaCustomerId?.value || "").trim() || null;
+    for (const { node } of connection?.edges || []) {
+      const order = orderNodeToEsimOrder(node);
+      if (order) yield order;
+    }
 
-      // ✅ REQUIRE maya_customer_id no matter what
-      if (!mayaCustomerId) return null;
+    after = connection?.pageInfo?.hasNextPage ? connection.pageInfo.endCursor : null;
+  } while (after);
+}
 
-      const singleIccid = (node?.mayaIccid?.value || "").trim();
-      const singleUid = (node?.mayaEsimUid?.value || "").trim();
+export async function getOrdersWithEsims({ daysBack = 120 } = {}) {
+  const orders = [];
+  for await (const order of iterateOrdersWithEsims({ daysBack })) orders.push(order);
+  return orders;
+}
 
-      const esims = parseEsimsJson(node?.esimsJson?.value)
-        .map((e) => ({ iccid: String(e?.iccid || "").trim(), uid: String(e?.uid || "").trim() }))
-        .filter((e) => e.iccid);
+// Set by the usage cron once every plan of every eSIM on the order has expired
+export async function markOrderEsimsExpired(orderId) {
+  if (!orderId) throw new Error("markOrderEsimsExpired: missing orderId");
 
-      const finalEsims = esims.length
-        ? esims
-        : (singleIccid ? [{ iccid: singleIccid, uid: singleUid || "" }] : []);
+  const gid = `gid://shopify/Order/${orderId}`;
 
-      if (!orderId || !finalEsims.length) return null;
+  await shopifyMetafieldsSet([
+    {
+      ownerId: gid,
+      namespace: "custom",
+      key: ESIMS_EXPIRED_AT_KEY,
+      type: "date_time",
+      value: new Date().toISOString(),
+    },
+  ]);
 
-      return { orderId, orderName, mayaCustomerId, esims: finalEsims };
-    })
-    .filter(Boolean);
-}
\ No newline at end of file
+  return true;
+}
+
+// ---------- Order eSIMs (maya_esims_json with maya_iccid fallback) ----------
+export async function getOrderEsims(orderId) {
+  if (!orderId) throw new Error("getOrderEsims: missing orderId");
+
+  const gid = `gid://shopify/Order/${orderId}`;
+
+  const query = `
+    query OrderEsims($id: ID!) {
+      order(id: $id) {
+        mayaIccid: metafield(namespace: "custom", key: "maya_iccid") { value }
+        mayaEsimUid: metafield(namespace: "custom", key: "maya_esim_uid") { value }
+        esimsJson: metafield(namespace: "custom", key: "${ESIMS_JSON_KEY}") { value }
+      }
+    }
+  `;
+
+  const json = await shopifyGraphql(query, { id: gid });
+  const order = json?.data?.order;
+
+  const esims = parseEsimsJson(order?.esimsJson?.value)
+    .map((e) => ({
+      iccid: String(e?.iccid || "").trim(),
+      uid: String(e?.uid || "").trim(),
+      lineItemId: String(e?.lineItemId || "").trim() || null,
+    }))
+    .filter((e) => e.iccid);
+
+  if (esims.length) return esims;
+
+  // Older orders only have the single-eSIM metafields
+  const singleIccid = String(order?.mayaIccid?.value || "").trim();
+  const singleUid = String(order?.mayaEsimUid?.value || "").trim();
+  return singleIccid ? [{ iccid: singleIccid, uid: singleUid, lineItemId: null }] : [];
+}
+
+// ---------- Order lookup by name (customer self-service) ----------
+// "#1001" or "1001" -> { orderId, name, email, firstName, lineItems: [{ id, title, variantTitle }] } or null
+export async function findOrderByName(orderName) {
+  const digits = String(orderName || "").trim().replace(/^#/, "");
+  if (!/^[A-Za-z0-9-]+$/.test(digits)) return null;
+
+  const query = `
+    query OrderByName($query: String!) {
+      orders(first: 1, query: $query) {
+        edges {
+          node {
+            id
+            name
+            email
+            customer { firstName }
+            billingAddress { firstName }
+            lineItems(first: 50) {
+              edges { node { id title variantTitle } }
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  const json = await shopifyGraphql(query, { query: `name:"#${digits}"` });
+  const node = json?.data?.orders?.edges?.[0]?.node;
+
+  // Shopify search is fuzzy; only an exact name counts
+  if (!node || String(node.name || "").replace(/^#/, "") !== digits) return null;
+
+  return {
+    orderId: String(node.id || "").split("/").pop(),
+    name: node.name,
+    email: String(node.email || "").trim(),
+    firstName: String(node.customer?.firstName || node.billingAddress?.firstName || "").trim(),
+    lineItems: (node.lineItems?.edges || []).map(({ node: li }) => ({
+      id: String(li?.id || "").split("/").pop(),
+      title: li?.title || "",
+      variantTitle: li?.variantTitle || "",
+    })),
+  };
+}
+
+// ---------- Maya customer by buyer email (guest identities that are not in the local store) ----------
+// Most recent order placed with this email that already has custom.maya_customer_id, or null
+export async function findMayaCustomerIdByOrderEmail(email) {
+  const normalized = String(email || "").trim().toLowerCase();
+  if (!normalized) return null;
+
+  const query = `
+    query MayaCustomerByEmail($query: String!) {
+      orders(first: 5, sortKey: CREATED_AT, reverse: true, query: $query) {
+        edges {
+          node {
+            id
+            email
+            mayaCustomerId: metafield(namespace: "custom", key: "${ORDER_MAYA_CUSTOMER_ID_KEY}") { value }
+          }
+        }
+      }
+    }
+  `;
+
+  const json = await shopifyGraphql(query, {
+    query: `email:"${normalized.replace(/["\\]/g, "")}" AND metafield:custom.${ORDER_MAYA_CUSTOMER_ID_KEY}:*`,
+  });
+
+  // Shopify search is fuzzy; only an exact email counts
+  const match = (json?.data?.orders?.edges || [])
+    .map(({ node }) => node)
+    .find((n) => String(n?.email || "").trim().toLowerCase() === normalized && String(n?.mayaCustomerId?.value || "").trim());
+
+  return match ? String(match.mayaCustomerId.value).trim() : null;
+}
+
+// ---------- eSIM status token (read by the thank-you page extension for guest checkouts) ----------
+const ORDER_STATUS_TOKEN_KEY = "esim_status_token";
+
+export async function saveOrderStatusTokenToOrder(orderId, token) {
+  const value = String(token || "").trim();
+  if (!orderId) throw new Error("saveOrderStatusTokenToOrder: missing orderId");
+  if (!value) throw new Error("saveOrderStatusTokenToOrder: missing token");
+
+  await shopifyMetafieldsSet([
+    {
+      ownerId: `gid://shopify/Order/${orderId}`,
+      namespace: "custom",
+      key: ORDER_STATUS_TOKEN_KEY,
+      type: "single_line_text_field",
+      value,
+    },
+  ]);
+
+  return true;
+}
+
+// ---------- Order buyer (checkout session token check, refund alerts) ----------
+// -> { orderId, orderName, email, createdAt, customerId } or null when the order does not exist
+export async function getOrderBuyer(orderId) {
+  if (!orderId) throw new Error("getOrderBuyer: missing orderId");
+
+  const gid = `gid://shopify/Order/${orderId}`;
+
+  const query = `
+    query OrderBuyer($id: ID!) {
+      order(id: $id) {
+        id
+        name
+        email
+        createdAt
+        customer { id }
+      }
+    }
+  `;
+
+  const json = await shopifyGraphql(query, { id: gid });
+  const order = json?.data?.order;
+  if (!order) return null;
+
+  return {
+    orderId: String(orderId),
+    orderName: order.name || "",
+    email: order.email || "",
+    createdAt: order.createdAt || null,
+    customerId: order.customer?.id ? String(order.customer.id).split("/").pop() : null,
+  };
+}
+
+// ---------- Order cancellation and refunds (checked before a queued order is provisioned) ----------
+// -> { cancelledAt, refundedQuantities: { [lineItemId]: quantity } } or null when the order does not exist
+export async function getOrderCancellation(orderId) {
+  if (!orderId) throw new Error("getOrderCancellation: missing orderId");
+
+  const gid = `gid://shopify/Order/${orderId}`;
+
+  const query = `
+    query OrderCancellation($id: ID!) {
+      order(id: $id) {
+        id
+        cancelledAt
+        refunds(first: 50) {
+          refundLineItems(first: 100) {
+            edges { node { quantity lineItem { id } } }
+          }
+        }
+      }
+    }
+  `;
+
+  const json = await shopifyGraphql(query, { id: gid });
+  const order = json?.data?.order;
+  if (!order) return null;
+
+  const refundedQuantities = {};
+  for (const refund of order.refunds || []) {
+    for (const { node } of refund?.refundLineItems?.edges || []) {
+      const lineItemId = String(node?.lineItem?.id || "").split("/").pop();
+      if (!lineItemId) continue;
+      refundedQuantities[lineItemId] = (refundedQuantities[lineItemId] || 0) + Number(node?.quantity || 0);
+    }
+  }
+
+  return { cancelledAt: order.cancelledAt || null, refundedQuantities };
+}
+
+// ---------- eSIM deactivations (cancel/refund outcomes, JSON list on the order) ----------
+const ESIM_DEACTIVATIONS_JSON_KEY = "maya_esim_deactivations_json";
+
+export async function getEsimDeactivationsFromOrder(orderId) {
+  const gid = `gid://shopify/Order/${orderId}`;
+
+  const query = `
+    query EsimDeactivations($id: ID!) {
+      order(id: $id) {
+        deactivations: metafield(namespace: "custom", key: "${ESIM_DEACTIVATIONS_JSON_KEY}") { value }
+      }
+    }
+  `;
+
+  const json = await shopifyGraphql(query, { id: gid });
+  return parseEsimsJson(json?.data?.order?.deactivations?.value);
+}
+
+export async function recordEsimDeactivationOnOrder(orderId, entry = {}) {
+  if (!orderId) throw new Error("recordEsimDeactivationOnOrder: missing orderId");
+  if (!entry?.iccid) throw new Error("recordEsimDeactivationOnOrder: missing iccid");
+
+  const gid = `gid://shopify/Order/${orderId}`;
+  const current = await getEsimDeactivationsFromOrder(orderId);
+
+  // One entry per ICCID: a later outcome (e.g. retry after failure) replaces the earlier one
+  const next = [
+    ...current.filter((e) => String(e?.iccid || "").trim() !== String(entry.iccid).trim()),
+    { ...entry, at: entry.at || new Date().toISOString() },
+  ];
+
+  await shopifyMetafieldsSet([
+    {
+      ownerId: gid,
+      namespace: "custom",
+      key: ESIM_DEACTIVATIONS_JSON_KEY,
+      type: "multi_line_text_field",
+      value: JSON.stringify(next),
+    },
+  ]);
+
+  return true;
+}
+
+// ---------- eSIM plan activations (first seen activated by the usage cron, JSON list on the order) ----------
+const ESIM_ACTIVATIONS_JSON_KEY = "maya_esim_activations_json";
+
+export async function getEsimActivationsFromOrder(orderId) {
+  const gid = `gid://shopify/Order/${orderId}`;
+
+  const query = `
+    query EsimActivations($id: ID!) {
+      order(id: $id) {
+        activations: metafield(namespace: "custom", key: "${ESIM_ACTIVATIONS_JSON_KEY}") { value }
+      }
+    }
+  `;
+
+  const json = await shopifyGraphql(query, { id: gid });
+  return parseEsimsJson(json?.data?.order?.activations?.value);
+}
+
+export async function recordEsimActivationOnOrder(orderId, entry = {}) {
+  if (!orderId) throw new Error("recordEsimActivationOnOrder: missing orderId");
+  if (!entry?.iccid || !entry?.planId) throw new Error("recordEsimActivationOnOrder: missing iccid or planId");
+
+  const gid = `gid://shopify/Order/${orderId}`;
+  const current = await getEsimActivationsFromOrder(orderId);
+
+  // One entry per plan; the first detection wins
+  const samePlan = (e) => String(e?.iccid || "").trim() === String(entry.iccid).trim() && String(e?.planId || "") === String(entry.planId);
+  if (current.some(samePlan)) return false;
+
+  const next = [...current, { ...entry, detectedAt: entry.detectedAt || new Date().toISOString() }];
+
+  await shopifyMetafieldsSet([
+    {
+      ownerId: gid,
+      namespace: "custom",
+      key: ESIM_ACTIVATIONS_JSON_KEY,
+      type: "multi_line_text_field",
+      value: JSON.stringify(next),
+    },
+  ]);
+
+  return true;
+}
+
+// ---------- Order provisioning state (per-unit statuses, JSON on the order) ----------
+const PROVISIONING_JSON_KEY = "maya_provisioning_json";
+
+export async function getOrderProvisioningState(orderId) {
+  const gid = `gid://shopify/Order/${orderId}`;
+
+  const query = `
+    query OrderProvisioning($id: ID!) {
+      order(id: $id) {
+        provisioning: metafield(namespace: "custom", key: "${PROVISIONING_JSON_KEY}") { value }
+      }
+    }
+  `;
+
+  const json = await shopifyGraphql(query, { id: gid });
+  const raw = json?.data?.order?.provisioning?.value;
+  if (!raw) return null;
+
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === "object" && parsed.units ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+export async function saveOrderProvisioningState(orderId, state) {
+  if (!orderId) throw new Error("saveOrderProvisioningState: missing orderId");
+
+  const gid = `gid://shopify/Order/${orderId}`;
+
+  await shopifyMetafieldsSet([
+    {
+      ownerId: gid,
+      namespace: "custom",
+      key: PROVISIONING_JSON_KEY,
+      type: "json",
+      value: JSON.stringify({ ...state, updatedAt: new Date().toISOString() }),
+    },
+  ]);
+
+  return true;
+}
+
+// ---------- Variant catalog metafields (written by the Maya catalog sync) ----------
+const VARIANT_CATALOG_KEYS = {
+  planName: "maya_plan_name",
+  dataQuotaBytes: "maya_data_quota_bytes",
+  validityDays: "maya_validity_days",
+  countries: "maya_coverage",
+  syncedAt: "maya_catalog_synced_at",
+};
+
+// Streams every variant that has a custom.maya_plan_id, with its current catalog metafields.
+// includeUnmapped also yields variants that have a type_de_produit but no plan id.
+export async function* iterateMayaVariants({ pageSize = 100, includeUnmapped = false } = {}) {
+  const query = `
+    query MayaVariants($first: Int!, $after: String) {
+      productVariants(first: $first, after: $after) {
+        edges {
+          node {
+            id
+            title
+            product { title }
+            mayaPlanId: metafield(namespace: "custom", key: "maya_plan_id") { value }
+            productType: metafield(namespace: "custom", key: "type_de_produit") { value }
+            planName: metafield(namespace: "custom", key: "${VARIANT_CATALOG_KEYS.planName}") { value }
+            dataQuotaBytes: metafield(namespace: "custom", key: "${VARIANT_CATALOG_KEYS.dataQuotaBytes}") { value }
+            validityDays: metafield(namespace: "custom", key: "${VARIANT_CATALOG_KEYS.validityDays}") { value }
+            countries: metafield(namespace: "custom", key: "${VARIANT_CATALOG_KEYS.countries}") { value }
+          }
+        }
+        pageInfo { hasNextPage endCursor }
+      }
+    }
+  `;
+
+  let after = null;
+
+  do {
+    const json = await shopifyGraphql(query, { first: pageSize, after });
+    const connection = json?.data?.productVariants;
+
+    for (const { node } of connection?.edges || []) {
+      const mayaPlanId = String(node?.mayaPlanId?.value || "").trim();
+      const productType = String(node?.productType?.value || "").trim().toLowerCase() || null;
+      if (!mayaPlanId && !(includeUnmapped && productType)) continue;
+
+      let countries = [];
+      try {
+        countries = JSON.parse(node?.countries?.value || "[]");
+      } catch {
+        countries = [];
+      }
+
+      yield {
+        variantId: String(node?.id || "").split("/").pop(),
+        title: [node?.product?.title, node?.title].filter(Boolean).join(" - "),
+        mayaPlanId: mayaPlanId || null,
+        productType,
+        catalog: {
+          planName: node?.planName?.value || null,
+          dataQuotaBytes: node?.dataQuotaBytes?.value != null ? Number(node.dataQuotaBytes.value) : null,
+          validityDays: node?.validityDays?.value != null ? Number(node.validityDays.value) : null,
+          countries: Array.isArray(countries) ? countries : [],
+        },
+      };
+    }
+
+    after = connection?.pageInfo?.hasNextPage ? connection.pageInfo.endCursor : null;
+  } while (after);
+}
+
+export async function saveVariantCatalogMetafields(variantId, { planName, dataQuotaBytes, validityDays, countries }) {
+  if (!variantId) throw new Error("saveVariantCatalogMetafields: missing variantId");
+
+  const gid = `gid://shopify/ProductVariant/${variantId}`;
+  const field = (key, type, value) => ({ ownerId: gid, namespace: "custom", key, type, value: String(value) });
+
+  const metafields = [field(VARIANT_CATALOG_KEYS.syncedAt, "date_time", new Date().toISOString())];
+  if (planName) metafields.push(field(VARIANT_CATALOG_KEYS.planName, "single_line_text_field", planName));
+  if (Number.isFinite(dataQuotaBytes)) {
+    metafields.push(field(VARIANT_CATALOG_KEYS.dataQuotaBytes, "number_integer", Math.round(dataQuotaBytes)));
+  }
+  if (Number.isFinite(validityDays)) {
+    metafields.push(field(VARIANT_CATALOG_KEYS.validityDays, "number_integer", Math.round(validityDays)));
+  }
+  metafields.push(field(VARIANT_CATALOG_KEYS.countries, "json", JSON.stringify(countries || [])));
+
+  await shopifyMetafieldsSet(metafields);
+  return true;
+}
+
+// ---------- Access scopes (config validation) ----------
+export async function getShopifyAccessScopes() {
+  const query = `
+    query {
+      currentAppInstallation {
+        accessScopes { handle }
+      }
+    }
+  `;
+
+  const json = await shopifyGraphql(query);
+  return (json?.data?.currentAppInstallation?.accessScopes || []).map((s) => s.handle);
+}
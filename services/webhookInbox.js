@@ -0,0 +1,96 @@
+// services/webhookInbox.js
+// Durable record of every verified Shopify webhook, keyed by X-Shopify-Webhook-Id.
+// One JSON file per delivery under DATA_DIR/webhook-inbox/.
+import crypto from "crypto";
+import fs from "fs";
+import { dataPath, safeFileName, readJsonFile, writeJsonFile, createJsonFile } from "../utils/jsonStore.js";
+
+function inboxFile(webhookId) {
+  return dataPath("webhook-inbox", `${safeFileName(webhookId)}.json`);
+}
+
+// Returns { duplicate, delivery }. A duplicate is a delivery id we already stored.
+export function recordWebhookDelivery({ webhookId, topic, shop, apiVersion, triggeredAt, rawBody }) {
+  const id = String(webhookId || "").trim() || `local-${crypto.randomUUID()}`;
+
+  const delivery = {
+    webhookId: id,
+    topic: String(topic || "").trim().toLowerCase(),
+    shop: shop || "",
+    apiVersion: apiVersion || "",
+    triggeredAt: triggeredAt || null,
+    receivedAt: new Date().toISOString(),
+    status: "received",
+    attempts: 0,
+    lastError: null,
+    body: Buffer.isBuffer(rawBody) ? rawBody.toString("utf8") : String(rawBody || ""),
+  };
+
+  const created = createJsonFile(inboxFile(id), delivery);
+  if (!created) {
+    return { duplicate: true, delivery: getWebhookDelivery(id) };
+  }
+
+  return { duplicate: false, delivery };
+}
+
+export function getWebhookDelivery(webhookId) {
+  if (!webhookId) return null;
+  return readJsonFile(inboxFile(webhookId), null);
+}
+
+// A delivery still "processing" after this long is assumed to have died with its process
+const PROCESSING_STALE_MS = 10 * 60 * 1000;
+
+// Settled deliveries are never run again by a redelivery (the admin replay still can)
+const SETTLED_STATUSES = new Set(["handled", "unhandled"]);
+
+// Marks a delivery "processing" before its handler runs. Returns false when it is settled or being
+// handled right now; "received" (the process died before the handler finished), "failed" and stale
+// "processing" deliveries are claimed again. No await between read and write: atomic within this process.
+export function claimWebhookDelivery(webhookId) {
+  const current = getWebhookDelivery(webhookId);
+  if (!current || SETTLED_STATUSES.has(current.status)) return false;
+
+  const startedAt = Date.parse(current.processingAt || "") || 0;
+  if (current.status === "processing" && Date.now() - startedAt < PROCESSING_STALE_MS) return false;
+
+  writeJsonFile(inboxFile(webhookId), { ...current, status: "processing", processingAt: new Date().toISOString() });
+  return true;
+}
+
+// status: "handled" | "failed" | "unhandled"
+export function markWebhookDelivery(webhookId, { status, reason = null, error = null } = {}) {
+  const current = getWebhookDelivery(webhookId);
+  if (!current) throw new Error(`markWebhookDelivery: unknown delivery ${webhookId}`);
+
+  const next = {
+    ...current,
+    status: status || current.status,
+    reason,
+    attempts: Number(current.attempts || 0) + 1,
+    lastError: error ? String(error?.message || error) : null,
+    lastAttemptAt: new Date().toISOString(),
+  };
+
+  writeJsonFile(inboxFile(webhookId), next);
+  return next;
+}
+
+export function listWebhookDeliveries({ limit = 50 } = {}) {
+  const dir = dataPath("webhook-inbox");
+  let files = [];
+  try {
+    files = fs.readdirSync(dir).filter((f) => f.endsWith(".json"));
+  } catch (e) {
+    if (e?.code === "ENOENT") return [];
+    throw e;
+  }
+
+  return files
+    .map((f) => readJsonFile(dataPath("webhook-inbox", f), null))
+    .filter(Boolean)
+    .sort((a, b) => String(b.receivedAt).localeCompare(String(a.receivedAt)))
+    .slice(0, limit)
+    .map(({ body, ...rest }) => rest);
+}
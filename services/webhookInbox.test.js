@@ -0,0 +1,90 @@
+// services/webhookInbox.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  recordWebhookDelivery,
+  getWebhookDelivery,
+  claimWebhookDelivery,
+  markWebhookDelivery,
+} from "./webhookInbox.js";
+import { dataPath, writeJsonFile } from "../utils/jsonStore.js";
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "webhook-inbox-test-"));
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+function record(webhookId) {
+  return recordWebhookDelivery({ webhookId, topic: "Orders/Paid", shop: "shop.test", rawBody: Buffer.from("{}") });
+}
+
+function setDelivery(webhookId, patch) {
+  writeJsonFile(dataPath("webhook-inbox", `${webhookId}.json`), { ...getWebhookDelivery(webhookId), ...patch });
+}
+
+test("a delivery id is stored once; the same id again is a duplicate", () => {
+  const first = record("wh-dup");
+  assert.equal(first.duplicate, false);
+  assert.equal(first.delivery.status, "received");
+  assert.equal(first.delivery.topic, "orders/paid");
+
+  markWebhookDelivery("wh-dup", { status: "handled" });
+  const again = record("wh-dup");
+  assert.equal(again.duplicate, true);
+  assert.equal(again.delivery.status, "handled");
+});
+
+test("a received delivery is claimed once", () => {
+  record("wh-new");
+  assert.equal(claimWebhookDelivery("wh-new"), true);
+  assert.equal(getWebhookDelivery("wh-new").status, "processing");
+  assert.equal(claimWebhookDelivery("wh-new"), false);
+});
+
+test("handled and unhandled deliveries are settled and never claimed again", () => {
+  for (const status of ["handled", "unhandled"]) {
+    const id = `wh-${status}`;
+    record(id);
+    claimWebhookDelivery(id);
+    markWebhookDelivery(id, { status });
+    assert.equal(claimWebhookDelivery(id), false, status);
+    assert.equal(getWebhookDelivery(id).status, status);
+  }
+});
+
+test("a failed delivery is claimed again", () => {
+  record("wh-failed");
+  claimWebhookDelivery("wh-failed");
+  markWebhookDelivery("wh-failed", { status: "failed", error: new Error("boom") });
+
+  assert.equal(getWebhookDelivery("wh-failed").lastError, "boom");
+  assert.equal(claimWebhookDelivery("wh-failed"), true);
+});
+
+test("a processing delivery is claimed again only once it is stale", () => {
+  record("wh-stale");
+  claimWebhookDelivery("wh-stale");
+
+  setDelivery("wh-stale", { processingAt: new Date(Date.now() - 9 * 60 * 1000).toISOString() });
+  assert.equal(claimWebhookDelivery("wh-stale"), false);
+
+  setDelivery("wh-stale", { processingAt: new Date(Date.now() - 11 * 60 * 1000).toISOString() });
+  assert.equal(claimWebhookDelivery("wh-stale"), true);
+  assert.equal(claimWebhookDelivery("wh-stale"), false);
+});
+
+test("an unknown delivery is not claimed", () => {
+  assert.equal(claimWebhookDelivery("wh-unknown"), false);
+  assert.throws(() => markWebhookDelivery("wh-unknown", { status: "handled" }), /unknown delivery/);
+});
+
+test("markWebhookDelivery counts attempts and clears the last error", () => {
+  record("wh-attempts");
+  markWebhookDelivery("wh-attempts", { status: "failed", error: "first" });
+  const next = markWebhookDelivery("wh-attempts", { status: "handled", reason: "ok" });
+
+  assert.equal(next.attempts, 2);
+  assert.equal(next.lastError, null);
+  assert.equal(next.reason, "ok");
+});
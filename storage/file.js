@@ -0,0 +1,282 @@
+// storage/file.js
+// Storage adapter for self-hosting: everything in JSON files under DATA_DIR/store/.
+//   orders/<orderId>.json          order summary, provisioning, processed flag, eSIMs, activations, deactivations, alert keys
+//   shopify-customers/<id>.json    Shopify customer -> Maya customer
+//   locks/<orderId>.json           order processing lock
+//   leases/<job>.json              scheduler lease
+// Email identities use the shared identity store (DATA_DIR/identities/).
+import fs from "fs";
+import { dataPath, safeFileName, readJsonFile, writeJsonFile, createJsonFile } from "../utils/jsonStore.js";
+import { findIdentityByEmail, saveIdentity, normalizeEmail } from "../services/identityStore.js";
+import { isLockHeld, newLockRecord, renewedLockRecord, releasedLockRecord } from "../services/orderLock.js";
+
+function orderFile(orderId) {
+  return dataPath("store", "orders", `${safeFileName(orderId)}.json`);
+}
+
+function shopifyCustomerFile(shopifyCustomerId) {
+  return dataPath("store", "shopify-customers", `${safeFileName(shopifyCustomerId)}.json`);
+}
+
+function lockFile(orderId) {
+  return dataPath("store", "locks", `${safeFileName(orderId)}.json`);
+}
+
+function leaseFile(name) {
+  return dataPath("store", "leases", `${safeFileName(name)}.json`);
+}
+
+function readOrder(orderId) {
+  if (!orderId) throw new Error("file storage: missing orderId");
+  return (
+    readJsonFile(orderFile(orderId), null) || {
+      orderId: String(orderId),
+      createdAt: new Date().toISOString(),
+      processed: false,
+      processedAt: null,
+      mayaCustomerId: null,
+      provisioning: null,
+      esims: [],
+      activations: [],
+      deactivations: [],
+      alertsSent: [],
+    }
+  );
+}
+
+function updateOrder(orderId, patchFn) {
+  const current = readOrder(orderId);
+  const next = { ...current, ...patchFn(current), updatedAt: new Date().toISOString() };
+  writeJsonFile(orderFile(orderId), next);
+  return next;
+}
+
+function listOrders() {
+  const dir = dataPath("store", "orders");
+  let files = [];
+  try {
+    files = fs.readdirSync(dir).filter((f) => f.endsWith(".json"));
+  } catch (e) {
+    if (e?.code === "ENOENT") return [];
+    throw e;
+  }
+  return files.map((f) => readJsonFile(dataPath("store", "orders", f), null)).filter(Boolean);
+}
+
+// Lock records, one JSON file each. The first lock is an exclusive create; later ones are a
+// read-compare-write with no await in between, so it is atomic within this process
+// (the file backend is meant for a single instance).
+function createFileLocks(fileFor) {
+  return {
+    async acquire(id, { ttlMs } = {}) {
+      const file = fileFor(id);
+      const lock = newLockRecord({ ttlMs });
+
+      if (!createJsonFile(file, lock)) {
+        const current = readJsonFile(file, null);
+        if (isLockHeld(current)) return { acquired: false, reason: "locked" };
+        writeJsonFile(file, lock);
+      }
+
+      return { acquired: true, token: lock.token };
+    },
+    async renew(id, token) {
+      const file = fileFor(id);
+      const current = readJsonFile(file, null);
+      if (!current?.token || current.token !== token) return { renewed: false, reason: "lost" };
+
+      writeJsonFile(file, renewedLockRecord(current));
+      return { renewed: true };
+    },
+    async release(id, token) {
+      const file = fileFor(id);
+      const current = readJsonFile(file, null);
+      if (!current?.token) return { released: false, reason: "not_locked" };
+      if (current.token !== token) return { released: false, reason: "token_mismatch" };
+
+      writeJsonFile(file, releasedLockRecord(current));
+      return { released: true };
+    },
+  };
+}
+
+// Also used directly for jobs whose data only lives in DATA_DIR (whatever STORAGE_BACKEND is)
+export function createFileLeases() {
+  return createFileLocks(leaseFile);
+}
+
+export function createFileStorage() {
+  return {
+    name: "file",
+
+    // OrderProvisioning
+    orders: {
+      async getProcessed(orderId) {
+        const o = readOrder(orderId);
+        return { processed: Boolean(o.processed), processedAt: o.processedAt || null };
+      },
+      async markProcessed(orderId) {
+        updateOrder(orderId, () => ({ processed: true, processedAt: new Date().toISOString() }));
+        return true;
+      },
+      async getProvisioning(orderId) {
+        return readOrder(orderId).provisioning || null;
+      },
+      async saveProvisioning(orderId, state) {
+        updateOrder(orderId, () => ({ provisioning: { ...state, updatedAt: new Date().toISOString() } }));
+        return true;
+      },
+      async getMayaCustomerId(orderId) {
+        return readOrder(orderId).mayaCustomerId || null;
+      },
+      async saveMayaCustomerId(orderId, mayaCustomerId) {
+        const value = String(mayaCustomerId || "").trim();
+        if (!value) throw new Error("saveMayaCustomerId: missing mayaCustomerId");
+        updateOrder(orderId, () => ({ mayaCustomerId: value }));
+        return true;
+      },
+      // `createdAt` on the record is when we first wrote it; the order's own time is `orderCreatedAt`
+      async saveSummary(orderId, { orderName = "", email = "", createdAt = null } = {}) {
+        updateOrder(orderId, (o) => ({
+          orderName: String(orderName || "").trim() || o.orderName || "",
+          email: normalizeEmail(email) || o.email || "",
+          orderCreatedAt: (Date.parse(createdAt) ? new Date(createdAt).toISOString() : null) || o.orderCreatedAt || null,
+        }));
+        return true;
+      },
+    },
+
+    // Order processing lock
+    locks: createFileLocks(lockFile),
+
+    // Scheduler leases (one per job)
+    leases: createFileLeases(),
+
+    // CustomerIdentity
+    identities: {
+      async findByShopifyCustomerId(shopifyCustomerId) {
+        return readJsonFile(shopifyCustomerFile(shopifyCustomerId), null)?.mayaCustomerId || null;
+      },
+      async saveForShopifyCustomer(shopifyCustomerId, mayaCustomerId) {
+        writeJsonFile(shopifyCustomerFile(shopifyCustomerId), {
+          shopifyCustomerId: String(shopifyCustomerId),
+          mayaCustomerId: String(mayaCustomerId),
+          updatedAt: new Date().toISOString(),
+        });
+        return true;
+      },
+      async findByEmail(email) {
+        return findIdentityByEmail(email);
+      },
+      async saveForEmail({ email, mayaCustomerId, shopifyCustomerId = null }) {
+        return saveIdentity({ email, mayaCustomerId, shopifyCustomerId });
+      },
+    },
+
+    // EsimAsset
+    esims: {
+      async add(orderId, { iccid, esimUid, lineItemId } = {}) {
+        const cleanIccid = String(iccid || "").trim();
+        if (!cleanIccid && !esimUid) return true;
+
+        updateOrder(orderId, (o) => {
+          const exists = (o.esims || []).some((e) => e.iccid === cleanIccid);
+          if (exists) return {};
+          return {
+            esims: [
+              ...(o.esims || []),
+              { iccid: cleanIccid || null, uid: String(esimUid || "").trim() || null, lineItemId: lineItemId ? String(lineItemId) : null },
+            ],
+          };
+        });
+        return true;
+      },
+      async listForOrder(orderId) {
+        return (readOrder(orderId).esims || [])
+          .map((e) => ({ iccid: String(e?.iccid || "").trim(), uid: String(e?.uid || "").trim(), lineItemId: e?.lineItemId || null }))
+          .filter((e) => e.iccid);
+      },
+      // `email` matches the buyer email saved with the order, or its Maya customer in the identity store
+      // (records written before the order summary was saved have no email)
+      async *iterateOrdersWithEsims({ daysBack = 120, email = null } = {}) {
+        const since = Date.now() - daysBack * 24 * 60 * 60 * 1000;
+        const onlyEmail = email ? normalizeEmail(email) : null;
+        const onlyCustomerId = email ? findIdentityByEmail(email)?.mayaCustomerId || "" : null;
+        const orderTime = (o) => o.orderCreatedAt || o.createdAt || null;
+
+        const orders = listOrders()
+          .filter((o) => o.mayaCustomerId && (o.esims || []).some((e) => e?.iccid))
+          .filter(
+            (o) =>
+              onlyEmail === null ||
+              (o.email ? o.email === onlyEmail : String(o.mayaCustomerId) === String(onlyCustomerId))
+          )
+          .filter((o) => (Date.parse(orderTime(o)) || 0) >= since)
+          .sort((a, b) => String(orderTime(b)).localeCompare(String(orderTime(a))));
+
+        for (const o of orders) {
+          yield {
+            orderId: o.orderId,
+            orderName: o.orderName || "",
+            createdAt: orderTime(o),
+            mayaCustomerId: o.mayaCustomerId,
+            esims: o.esims
+              .map((e) => ({ iccid: String(e?.iccid || "").trim(), uid: String(e?.uid || "").trim() }))
+              .filter((e) => e.iccid),
+            esimsExpiredAt: o.esimsExpiredAt || null,
+            activations: o.activations || [],
+          };
+        }
+      },
+      async markOrderExpired(orderId) {
+        updateOrder(orderId, () => ({ esimsExpiredAt: new Date().toISOString() }));
+        return true;
+      },
+      async listDeactivations(orderId) {
+        return readOrder(orderId).deactivations || [];
+      },
+      async recordDeactivation(orderId, entry = {}) {
+        if (!entry?.iccid) throw new Error("recordDeactivation: missing iccid");
+        updateOrder(orderId, (o) => ({
+          deactivations: [
+            ...(o.deactivations || []).filter((d) => String(d?.iccid || "").trim() !== String(entry.iccid).trim()),
+            { ...entry, at: entry.at || new Date().toISOString() },
+          ],
+        }));
+        return true;
+      },
+      async listActivations(orderId) {
+        return readOrder(orderId).activations || [];
+      },
+      async recordActivation(orderId, entry = {}) {
+        if (!entry?.iccid || !entry?.planId) throw new Error("recordActivation: missing iccid or planId");
+
+        const samePlan = (e) => String(e?.iccid || "").trim() === String(entry.iccid).trim() && String(e?.planId || "") === String(entry.planId);
+        if ((readOrder(orderId).activations || []).some(samePlan)) return false;
+
+        updateOrder(orderId, (o) => ({
+          activations: [...(o.activations || []), { ...entry, detectedAt: entry.detectedAt || new Date().toISOString() }],
+        }));
+        return true;
+      },
+    },
+
+    // AlertLog
+    alerts: {
+      async wasSent(orderId, key) {
+        return (readOrder(orderId).alertsSent || []).includes(String(key || "").trim());
+      },
+      async listSent(orderId) {
+        return readOrder(orderId).alertsSent || [];
+      },
+      async markSent(orderId, key) {
+        const k = String(key || "").trim();
+        if (!k) throw new Error("markSent: missing key");
+        updateOrder(orderId, (o) => ({
+          alertsSent: (o.alertsSent || []).includes(k) ? o.alertsSent : [...(o.alertsSent || []), k],
+        }));
+        return true;
+      },
+    },
+  };
+}
@@ -0,0 +1,22 @@
+// storage/index.js
+// Storage interface for OrderProvisioning, CustomerIdentity, EsimAsset and AlertLog records,
+// plus order locks and scheduler leases.
+// STORAGE_BACKEND=shopify (default, order/customer metafields) | file (JSON files under DATA_DIR)
+import { createShopifyMetafieldStorage } from "./shopifyMetafields.js";
+import { createFileStorage } from "./file.js";
+
+const adapters = {
+  shopify: createShopifyMetafieldStorage,
+  file: createFileStorage,
+};
+
+function createStorage(backend) {
+  const name = String(backend || "shopify").trim().toLowerCase();
+  const factory = adapters[name];
+  if (!factory) {
+    throw new Error(`Unknown STORAGE_BACKEND "${name}" (expected: ${Object.keys(adapters).join(", ")})`);
+  }
+  return factory();
+}
+
+export const storage = createStorage(process.env.STORAGE_BACKEND);
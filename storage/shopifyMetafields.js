@@ -0,0 +1,108 @@
+// storage/shopifyMetafields.js
+// Storage adapter backed by Shopify order/customer metafields (the original behavior).
+// Guest identities (no Shopify customer) are cached in the local identity store; when it has
+// no entry (new or ephemeral instance) they are found on the buyer's earlier orders.
+import {
+  getOrderProcessedFlag,
+  markOrderProcessed,
+  getOrderProvisioningState,
+  saveOrderProvisioningState,
+  getMayaCustomerIdFromOrder,
+  saveMayaCustomerIdToOrder,
+  getMayaCustomerIdFromShopifyCustomer,
+  saveMayaCustomerIdToShopifyCustomer,
+  saveEsimToOrder,
+  getOrderEsims,
+  iterateOrdersWithEsims,
+  markOrderEsimsExpired,
+  getEsimDeactivationsFromOrder,
+  recordEsimDeactivationOnOrder,
+  getEsimActivationsFromOrder,
+  recordEsimActivationOnOrder,
+  tryAcquireOrderProcessingLock,
+  renewOrderProcessingLock,
+  releaseOrderProcessingLock,
+  tryAcquireShopLease,
+  renewShopLease,
+  releaseShopLease,
+  getUsageAlertFlag,
+  getUsageAlertsSent,
+  markUsageAlertSent,
+  findMayaCustomerIdByOrderEmail,
+} from "../services/shopify.js";
+import { findIdentityByEmail, saveIdentity, normalizeEmail } from "../services/identityStore.js";
+
+export function createShopifyMetafieldStorage() {
+  return {
+    name: "shopify",
+
+    // OrderProvisioning
+    orders: {
+      getProcessed: (orderId) => getOrderProcessedFlag(orderId),
+      markProcessed: (orderId) => markOrderProcessed(orderId),
+      getProvisioning: (orderId) => getOrderProvisioningState(orderId),
+      saveProvisioning: (orderId, state) => saveOrderProvisioningState(orderId, state),
+      getMayaCustomerId: (orderId) => getMayaCustomerIdFromOrder(orderId),
+      saveMayaCustomerId: (orderId, mayaCustomerId) => saveMayaCustomerIdToOrder(orderId, mayaCustomerId),
+      // Name, email and creation time are already on the Shopify order
+      saveSummary: async () => true,
+    },
+
+    // Order processing lock (compareDigest CAS on the order metafield)
+    locks: {
+      acquire: (orderId) => tryAcquireOrderProcessingLock(orderId),
+      renew: (orderId, token) => renewOrderProcessingLock(orderId, token),
+      release: (orderId, token) => releaseOrderProcessingLock(orderId, token),
+    },
+
+    // Scheduler leases (compareDigest CAS on shop metafields)
+    leases: {
+      acquire: (name, { ttlMs } = {}) => tryAcquireShopLease(name, { ttlMs }),
+      renew: (name, token) => renewShopLease(name, token),
+      release: (name, token) => releaseShopLease(name, token),
+    },
+
+    // CustomerIdentity
+    identities: {
+      async findByShopifyCustomerId(shopifyCustomerId) {
+        const value = await getMayaCustomerIdFromShopifyCustomer(shopifyCustomerId);
+        return String(value || "").trim() || null;
+      },
+      async saveForShopifyCustomer(shopifyCustomerId, mayaCustomerId) {
+        return saveMayaCustomerIdToShopifyCustomer(shopifyCustomerId, mayaCustomerId);
+      },
+      async findByEmail(email) {
+        const local = findIdentityByEmail(email);
+        if (local?.mayaCustomerId) return local;
+
+        const mayaCustomerId = await findMayaCustomerIdByOrderEmail(normalizeEmail(email));
+        return mayaCustomerId ? { email: normalizeEmail(email), mayaCustomerId, source: "orders" } : null;
+      },
+      async saveForEmail({ email, mayaCustomerId, shopifyCustomerId = null }) {
+        return saveIdentity({ email, mayaCustomerId, shopifyCustomerId });
+      },
+    },
+
+    // EsimAsset
+    esims: {
+      add: (orderId, { iccid, esimUid, lineItemId }) => saveEsimToOrder(orderId, { iccid, esimUid, lineItemId }),
+      listForOrder: (orderId) => getOrderEsims(orderId),
+      iterateOrdersWithEsims: ({ daysBack, email } = {}) => iterateOrdersWithEsims({ daysBack, email }),
+      markOrderExpired: (orderId) => markOrderEsimsExpired(orderId),
+      listDeactivations: (orderId) => getEsimDeactivationsFromOrder(orderId),
+      recordDeactivation: (orderId, entry) => recordEsimDeactivationOnOrder(orderId, entry),
+      listActivations: (orderId) => getEsimActivationsFromOrder(orderId),
+      recordActivation: (orderId, entry) => recordEsimActivationOnOrder(orderId, entry),
+    },
+
+    // AlertLog
+    alerts: {
+      async wasSent(orderId, key) {
+        const flag = await getUsageAlertFlag(orderId, key);
+        return Boolean(flag?.sent);
+      },
+      listSent: (orderId) => getUsageAlertsSent(orderId),
+      markSent: (orderId, key) => markUsageAlertSent(orderId, key),
+    },
+  };
+}
@@ -0,0 +1,104 @@
+// utils/auth.js
+import crypto from "crypto";
+
+function safeEqual(a, b) {
+  const ba = Buffer.from(String(a || ""));
+  const bb = Buffer.from(String(b || ""));
+  if (ba.length !== bb.length) return false;
+  return crypto.timingSafeEqual(ba, bb);
+}
+
+// Express middleware for internal/admin routes.
+// Expects: Authorization: Bearer <ADMIN_API_SECRET>
+export function requireAdminToken(req, res, next) {
+  const secret = (process.env.ADMIN_API_SECRET || "").trim();
+  if (!secret) {
+    console.error("❌ Missing ADMIN_API_SECRET env var");
+    return res.status(500).send("Server not configured");
+  }
+
+  const header = String(req.get("Authorization") || "");
+  const token = header.startsWith("Bearer ") ? header.slice(7).trim() : "";
+
+  if (!token || !safeEqual(token, secret)) {
+    return res.status(401).send("Unauthorized");
+  }
+
+  return next();
+}
+
+// Signed cron requests are only accepted within this window (replay protection)
+const CRON_SIGNATURE_MAX_AGE_MS = 5 * 60 * 1000;
+
+// Express middleware for cron triggers. Either header works:
+//   Authorization: Bearer <CRON_SECRET>
+//   X-Cron-Timestamp: <unix ms> + X-Cron-Signature: hex HMAC-SHA256(CRON_SECRET, "<timestamp>.<path>")
+// The secret is never accepted in the query string (it would end up in access logs).
+export function requireCronAuth(req, res, next) {
+  const secret = (process.env.CRON_SECRET || "").trim();
+  if (!secret) {
+    console.error("❌ Missing CRON_SECRET env var");
+    return res.status(500).send("Server not configured");
+  }
+
+  const header = String(req.get("Authorization") || "");
+  const bearer = header.startsWith("Bearer ") ? header.slice(7).trim() : "";
+  if (bearer && safeEqual(bearer, secret)) return next();
+
+  const timestamp = String(req.get("X-Cron-Timestamp") || "").trim();
+  const signature = String(req.get("X-Cron-Signature") || "").trim().toLowerCase();
+
+  if (timestamp && signature) {
+    const age = Math.abs(Date.now() - Number(timestamp));
+    const expected = crypto.createHmac("sha256", secret).update(`${timestamp}.${req.path}`).digest("hex");
+    if (Number.isFinite(age) && age <= CRON_SIGNATURE_MAX_AGE_MS && safeEqual(signature, expected)) return next();
+  }
+
+  if (req.query.token) console.warn("⚠️ Cron called with ?token=, which is no longer accepted (use a header)");
+  return res.status(401).send("Unauthorized");
+}
+
+// Tolerated clock difference with Shopify when checking exp / nbf
+const SESSION_TOKEN_LEEWAY_MS = 10 * 1000;
+
+function shopHost(value) {
+  return String(value || "")
+    .trim()
+    .toLowerCase()
+    .replace(/^https?:\/\//, "")
+    .replace(/\/.*$/, "");
+}
+
+// Checks a Shopify session token (checkout / thank-you page UI extensions: sessionToken.get()).
+// HS256 JWT signed with the app API secret (WEBHOOK_API_SECRET); `dest` must be this shop and,
+// when SHOPIFY_API_KEY is set, `aud` must be this app. Returns the claims, or null.
+export function verifyShopifySessionToken(token) {
+  const secret = (process.env.WEBHOOK_API_SECRET || "").trim();
+  if (!secret) throw new Error("Missing WEBHOOK_API_SECRET env var");
+
+  const [header, payload, signature] = String(token || "").split(".");
+  if (!header || !payload || !signature) return null;
+
+  let alg, claims;
+  try {
+    alg = JSON.parse(Buffer.from(header, "base64url").toString("utf8"))?.alg;
+    claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+  if (alg !== "HS256" || !claims || typeof claims !== "object") return null;
+
+  const expected = crypto.createHmac("sha256", secret).update(`${header}.${payload}`).digest("base64url");
+  if (!safeEqual(signature, expected)) return null;
+
+  const now = Date.now();
+  if (!Number.isFinite(claims.exp) || claims.exp * 1000 + SESSION_TOKEN_LEEWAY_MS < now) return null;
+  if (Number.isFinite(claims.nbf) && claims.nbf * 1000 - SESSION_TOKEN_LEEWAY_MS > now) return null;
+
+  if (shopHost(claims.dest) !== shopHost(process.env.SHOPIFY_SHOP_DOMAIN)) return null;
+
+  const apiKey = (process.env.SHOPIFY_API_KEY || "").trim();
+  if (apiKey && claims.aud !== apiKey) return null;
+
+  return claims;
+}
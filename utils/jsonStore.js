@@ -0,0 +1,44 @@
+// utils/jsonStore.js
+// Small file-backed JSON storage used for local state (webhook inbox, etc.).
+// Everything lives under DATA_DIR (default ./data).
+import fs from "fs";
+import path from "path";
+
+export function dataPath(...parts) {
+  const base = (process.env.DATA_DIR || "data").trim() || "data";
+  return path.resolve(base, ...parts);
+}
+
+// Turns an external id into something safe to use as a file name
+export function safeFileName(id) {
+  return String(id || "").trim().replace(/[^A-Za-z0-9_.-]/g, "_");
+}
+
+export function readJsonFile(file, fallback = null) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    if (e?.code === "ENOENT") return fallback;
+    throw e;
+  }
+}
+
+// Atomic write: readers never see a half-written file
+export function writeJsonFile(file, value) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(value, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+// Exclusive create: returns false (and writes nothing) if the file already exists
+export function createJsonFile(file, value) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  try {
+    fs.writeFileSync(file, JSON.stringify(value, null, 2), { flag: "wx" });
+    return true;
+  } catch (e) {
+    if (e?.code === "EEXIST") return false;
+    throw e;
+  }
+}
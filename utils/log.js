@@ -0,0 +1,12 @@
+// utils/log.js
+// -----------------------------
+// Logging (reduce noise)
+// -----------------------------
+const LOG_LEVEL = String(process.env.LOG_LEVEL || "info").toLowerCase();
+
+export const log = {
+  debug: (...a) => (LOG_LEVEL === "debug" ? console.log(...a) : undefined),
+  info: (...a) => (["debug", "info"].includes(LOG_LEVEL) ? console.log(...a) : undefined),
+  warn: (...a) => (["debug", "info", "warn"].includes(LOG_LEVEL) ? console.warn(...a) : undefined),
+  error: (...a) => console.error(...a),
+};
@@ -0,0 +1,44 @@
+// utils/signedToken.js
+// Signed, expiring tokens carrying a single claim.
+// Token = base64url({ [claim]: value, x: expiresAtMs }) + "." + HMAC-SHA256 keyed by the `secretEnv` env var.
+import crypto from "crypto";
+
+// secretEnv: env var holding the HMAC key; claim: payload key of the signed value
+export function createSignedTokens({ secretEnv, claim }) {
+  function secret() {
+    const value = (process.env[secretEnv] || "").trim();
+    if (!value) throw new Error(`Missing ${secretEnv} env var`);
+    return value;
+  }
+
+  function sign(payload) {
+    return crypto.createHmac("sha256", secret()).update(payload).digest("base64url");
+  }
+
+  function create(value, ttlMs) {
+    const payload = Buffer.from(JSON.stringify({ [claim]: value, x: Date.now() + ttlMs })).toString("base64url");
+    return `${payload}.${sign(payload)}`;
+  }
+
+  // Returns the signed value, or null (bad signature, malformed or expired)
+  function verify(token) {
+    const [payload, signature] = String(token || "").split(".");
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(sign(payload));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+    let data;
+    try {
+      data = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    } catch {
+      return null;
+    }
+
+    if (!data?.[claim] || !Number.isFinite(data?.x) || data.x < Date.now()) return null;
+    return String(data[claim]);
+  }
+
+  return { create, verify };
+}
@@ -0,0 +1,67 @@
+// utils/signedToken.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createSignedTokens } from "./signedToken.js";
+
+process.env.SIGNED_TOKEN_TEST_SECRET = "test-secret";
+
+const tokens = createSignedTokens({ secretEnv: "SIGNED_TOKEN_TEST_SECRET", claim: "e" });
+const HOUR = 60 * 60 * 1000;
+
+function reencode(token, edit) {
+  const [payload, signature] = token.split(".");
+  const data = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  return `${Buffer.from(JSON.stringify(edit(data))).toString("base64url")}.${signature}`;
+}
+
+test("a fresh token verifies to its value", () => {
+  assert.equal(tokens.verify(tokens.create("jane@example.com", HOUR)), "jane@example.com");
+});
+
+test("an expired token is refused", () => {
+  assert.equal(tokens.verify(tokens.create("jane@example.com", -1)), null);
+});
+
+test("a token whose payload was edited is refused", () => {
+  const token = tokens.create("jane@example.com", HOUR);
+  assert.equal(tokens.verify(reencode(token, (d) => ({ ...d, e: "john@example.com" }))), null);
+  assert.equal(tokens.verify(reencode(token, (d) => ({ ...d, x: d.x + 365 * 24 * HOUR }))), null);
+});
+
+test("a token with a changed signature is refused", () => {
+  const [payload, signature] = tokens.create("jane@example.com", HOUR).split(".");
+  const flipped = `${signature[0] === "A" ? "B" : "A"}${signature.slice(1)}`;
+  assert.equal(tokens.verify(`${payload}.${flipped}`), null);
+  assert.equal(tokens.verify(`${payload}.${signature.slice(1)}`), null);
+});
+
+test("malformed tokens are refused", () => {
+  for (const token of [undefined, null, "", ".", "abc", "abc.", ".abc", "not-base64.sig"]) {
+    assert.equal(tokens.verify(token), null, String(token));
+  }
+});
+
+test("a token signed with another secret is refused", () => {
+  const token = tokens.create("jane@example.com", HOUR);
+  process.env.SIGNED_TOKEN_TEST_SECRET = "rotated";
+  try {
+    assert.equal(tokens.verify(token), null);
+  } finally {
+    process.env.SIGNED_TOKEN_TEST_SECRET = "test-secret";
+  }
+});
+
+test("a token of another claim is refused even with the same secret", () => {
+  const sessions = createSignedTokens({ secretEnv: "SIGNED_TOKEN_TEST_SECRET", claim: "s" });
+  const session = sessions.create("jane@example.com", HOUR);
+
+  assert.equal(sessions.verify(session), "jane@example.com");
+  assert.equal(tokens.verify(session), null);
+  assert.equal(sessions.verify(tokens.create("jane@example.com", HOUR)), null);
+});
+
+test("creating or verifying without the secret throws", () => {
+  const unset = createSignedTokens({ secretEnv: "SIGNED_TOKEN_TEST_UNSET", claim: "e" });
+  assert.throws(() => unset.create("jane@example.com", HOUR), /Missing SIGNED_TOKEN_TEST_UNSET/);
+  assert.throws(() => unset.verify("abc.def"), /Missing SIGNED_TOKEN_TEST_UNSET/);
+});
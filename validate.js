@@ -0,0 +1,23 @@
+// validate.js
+// Pre-deploy check: `npm run validate` (add `-- --offline` to skip Shopify/Maya calls).
+// Exits 1 when any check fails.
+import "dotenv/config";
+import { validateConfiguration } from "./services/configValidator.js";
+
+const remote = !process.argv.includes("--offline");
+
+const icons = { pass: "✅", warn: "⚠️", fail: "❌" };
+
+try {
+  const report = await validateConfiguration({ remote });
+
+  for (const c of report.checks) {
+    console.log(`${icons[c.status]} [${c.group}] ${c.name}${c.detail ? ` — ${c.detail}` : ""}`);
+  }
+
+  console.log(`\n${report.ok ? "✅ Configuration OK" : "❌ Configuration has errors"}:`, report.summary);
+  process.exit(report.ok ? 0 : 1);
+} catch (e) {
+  console.error("❌ Validation crashed:", e?.message || e);
+  process.exit(1);
+}
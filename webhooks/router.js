@@ -0,0 +1,186 @@
+// webhooks/router.js
+// One entry point for every Shopify webhook: verify HMAC once, then dispatch on X-Shopify-Topic.
+import crypto from "crypto";
+import { log } from "../utils/log.js";
+import {
+  recordWebhookDelivery,
+  getWebhookDelivery,
+  claimWebhookDelivery,
+  markWebhookDelivery,
+} from "../services/webhookInbox.js";
+
+// topic -> async handler(payload, req)
+// Topics can be exact ("orders/paid") or a resource wildcard ("customers/*").
+const handlers = new Map();
+
+export function registerWebhookHandler(topic, handler) {
+  const t = String(topic || "").trim().toLowerCase();
+  if (!t) throw new Error("registerWebhookHandler: missing topic");
+  if (typeof handler !== "function") throw new Error(`registerWebhookHandler: handler for ${t} is not a function`);
+  if (handlers.has(t)) throw new Error(`registerWebhookHandler: ${t} already registered`);
+  handlers.set(t, handler);
+}
+
+export function resolveWebhookHandler(topic) {
+  const t = String(topic || "").trim().toLowerCase();
+  if (!t) return null;
+  if (handlers.has(t)) return handlers.get(t);
+
+  const resource = t.split("/")[0];
+  return handlers.get(`${resource}/*`) || null;
+}
+
+// -----------------------------
+// Shopify signature verification
+// -----------------------------
+export function verifyShopifyWebhook(req) {
+  const hmacHeader = req.get("X-Shopify-Hmac-Sha256") || "";
+  const secret = (process.env.WEBHOOK_API_SECRET || "").trim();
+
+  if (!secret) {
+    console.error("❌ Missing WEBHOOK_API_SECRET (or blank after trim)");
+    return false;
+  }
+  if (!hmacHeader) {
+    console.error("❌ Missing X-Shopify-Hmac-Sha256 header");
+    return false;
+  }
+  if (!req.rawBody) {
+    console.error("❌ Missing req.rawBody (raw bytes not captured)");
+    return false;
+  }
+
+  const computed = crypto
+    .createHmac("sha256", secret)
+    .update(req.rawBody)
+    .digest("base64");
+
+  // safe debug (doesn't expose the secret)
+  log.debug("HMAC header length:", hmacHeader.length);
+  log.debug("Computed HMAC length:", computed.length);
+  log.debug("Header starts:", hmacHeader.slice(0, 10));
+  log.debug("Computed starts:", computed.slice(0, 10));
+  log.debug("SECRET length:", secret.length);
+
+  try {
+    return crypto.timingSafeEqual(
+      Buffer.from(computed, "base64"),
+      Buffer.from(hmacHeader, "base64")
+    );
+  } catch (e) {
+    console.error("❌ timingSafeEqual error:", e.message);
+    return false;
+  }
+}
+
+// Express handler for POST /webhooks/shopify
+export async function shopifyWebhookEndpoint(req, res) {
+  const ok = verifyShopifyWebhook(req);
+  const topic = String(req.get("X-Shopify-Topic") || "").trim().toLowerCase();
+  const shop = req.get("X-Shopify-Shop-Domain") || "";
+
+  log.info("🟨 Webhook:", { topic, shop, path: req.path, hmac: ok });
+  log.debug("---- WEBHOOK DEBUG START ----");
+  log.debug("Content-Type:", req.get("content-type"));
+  log.debug("Buffer rawBody?", Buffer.isBuffer(req.rawBody));
+  log.debug("WEBHOOK_API_SECRET length:", (process.env.WEBHOOK_API_SECRET || "").trim().length);
+  log.debug("Raw body length:", req.rawBody?.length);
+  log.debug("---- WEBHOOK DEBUG END ----");
+
+  if (!ok) return res.status(401).send("Invalid signature");
+
+  // Store the delivery before doing anything else; Shopify redelivers with the same id
+  let inbox;
+  try {
+    inbox = recordWebhookDelivery({
+      webhookId: req.get("X-Shopify-Webhook-Id"),
+      topic,
+      shop,
+      apiVersion: req.get("X-Shopify-API-Version"),
+      triggeredAt: req.get("X-Shopify-Triggered-At"),
+      rawBody: req.rawBody,
+    });
+  } catch (e) {
+    console.error("❌ Could not write webhook to inbox:", e?.message || e);
+    // Ask Shopify to redeliver rather than processing something we can't dedupe
+    return res.status(500).send("Inbox unavailable");
+  }
+
+  const { webhookId } = inbox.delivery;
+
+  // A redelivery only runs again when the first attempt did not finish (crash or handler error)
+  if (!claimWebhookDelivery(webhookId)) {
+    log.info("🛑 Duplicate webhook delivery, skipping.", { webhookId, topic, status: inbox.delivery?.status });
+    return res.status(200).send("OK");
+  }
+
+  if (inbox.duplicate) {
+    log.info("🔁 Redelivered webhook was not handled yet, processing again.", { webhookId, topic, status: inbox.delivery?.status });
+  }
+
+  await dispatchWebhook(inbox.delivery, req.body || {}, req);
+
+  return res.status(200).send("OK");
+}
+
+async function dispatchWebhook(delivery, payload, req) {
+  const { webhookId, topic } = delivery;
+
+  const handler = resolveWebhookHandler(topic);
+  if (!handler) {
+    log.info("ℹ️ No handler registered for webhook topic, acknowledging.", { topic, webhookId });
+    markWebhookDeliverySafe(webhookId, { status: "unhandled" });
+    return { ok: true, skipped: true, reason: "no_handler" };
+  }
+
+  try {
+    const result = await handler(payload, req);
+    log.info("✅ Webhook handled:", { topic, webhookId, reason: result?.reason });
+    markWebhookDeliverySafe(webhookId, { status: "handled", reason: result?.reason || null });
+    return result;
+  } catch (e) {
+    console.error(`❌ Webhook handler failed (${topic}):`, e?.message || e);
+    // still return 200 to avoid Shopify retry storms; use the replay endpoint instead
+    markWebhookDeliverySafe(webhookId, { status: "failed", error: e });
+    return { ok: false, skipped: false, reason: "handler_error", error: e?.message || String(e) };
+  }
+}
+
+function markWebhookDeliverySafe(webhookId, update) {
+  try {
+    markWebhookDelivery(webhookId, update);
+  } catch (e) {
+    console.error("⚠️ Could not update webhook inbox entry:", webhookId, e?.message || e);
+  }
+}
+
+// Re-run a stored delivery through its topic handler (admin replay)
+export async function replayWebhookDelivery(webhookId) {
+  const delivery = getWebhookDelivery(webhookId);
+  if (!delivery) return { ok: false, reason: "not_found" };
+
+  let payload;
+  try {
+    payload = JSON.parse(delivery.body || "{}");
+  } catch (e) {
+    return { ok: false, reason: "invalid_body", error: e?.message || String(e) };
+  }
+
+  // Handlers only read a few headers (shop domain, topic); rebuild them from the inbox entry
+  const replayReq = webhookRequestFromHeaders({
+    "x-shopify-topic": delivery.topic,
+    "x-shopify-shop-domain": delivery.shop,
+    "x-shopify-webhook-id": delivery.webhookId,
+  });
+
+  log.info("🧪 Replaying webhook delivery:", { webhookId, topic: delivery.topic });
+  return dispatchWebhook(delivery, payload, replayReq);
+}
+
+// Minimal stand-in for an express req when a handler runs outside the HTTP request (replay, jobs)
+export function webhookRequestFromHeaders(headers = {}) {
+  const lower = Object.fromEntries(
+    Object.entries(headers).map(([k, v]) => [String(k).toLowerCase(), v])
+  );
+  return { get: (name) => lower[String(name || "").toLowerCase()] };
+}
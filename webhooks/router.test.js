@@ -0,0 +1,94 @@
+// webhooks/router.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { registerWebhookHandler, resolveWebhookHandler, shopifyWebhookEndpoint, replayWebhookDelivery } from "./router.js";
+import { getWebhookDelivery } from "../services/webhookInbox.js";
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "webhook-router-test-"));
+process.env.WEBHOOK_API_SECRET = "test-webhook-secret";
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+// Handler outcome per order id: "fail" throws, anything else succeeds
+const outcomes = {};
+const calls = [];
+registerWebhookHandler("orders/paid", async (payload) => {
+  calls.push(payload.id);
+  if (outcomes[payload.id] === "fail") throw new Error("handler failed");
+  return { reason: "done" };
+});
+registerWebhookHandler("customers/*", async () => ({ reason: "customer" }));
+
+function deliver(webhookId, { topic = "orders/paid", body = {}, secret = process.env.WEBHOOK_API_SECRET } = {}) {
+  const rawBody = Buffer.from(JSON.stringify(body));
+  const headers = {
+    "x-shopify-hmac-sha256": crypto.createHmac("sha256", secret).update(rawBody).digest("base64"),
+    "x-shopify-topic": topic,
+    "x-shopify-shop-domain": "shop.test",
+    "x-shopify-webhook-id": webhookId,
+  };
+  const req = { path: "/webhooks/shopify", rawBody, body, get: (name) => headers[String(name).toLowerCase()] };
+  const res = {
+    statusCode: null,
+    status(code) { this.statusCode = code; return this; },
+    send() { return this; },
+  };
+  return shopifyWebhookEndpoint(req, res).then(() => res);
+}
+
+function callsFor(id) {
+  return calls.filter((c) => c === id).length;
+}
+
+test("topics resolve exactly, then by resource wildcard", () => {
+  assert.ok(resolveWebhookHandler("Orders/Paid"));
+  assert.ok(resolveWebhookHandler("customers/redact"));
+  assert.equal(resolveWebhookHandler("orders/cancelled"), null);
+  assert.throws(() => registerWebhookHandler("orders/paid", async () => {}), /already registered/);
+});
+
+test("a delivery with a bad signature is refused and not stored", async () => {
+  const res = await deliver("wh-bad-sig", { body: { id: 1 }, secret: "wrong" });
+  assert.equal(res.statusCode, 401);
+  assert.equal(getWebhookDelivery("wh-bad-sig"), null);
+  assert.equal(callsFor(1), 0);
+});
+
+test("a handled delivery is not run again when Shopify redelivers it", async () => {
+  assert.equal((await deliver("wh-handled", { body: { id: 2 } })).statusCode, 200);
+  assert.equal((await deliver("wh-handled", { body: { id: 2 } })).statusCode, 200);
+
+  assert.equal(callsFor(2), 1);
+  assert.equal(getWebhookDelivery("wh-handled").status, "handled");
+});
+
+test("a failed delivery is answered 200 and run again on redelivery", async () => {
+  outcomes[3] = "fail";
+  assert.equal((await deliver("wh-failed", { body: { id: 3 } })).statusCode, 200);
+  assert.equal(getWebhookDelivery("wh-failed").status, "failed");
+
+  outcomes[3] = "ok";
+  await deliver("wh-failed", { body: { id: 3 } });
+  assert.equal(callsFor(3), 2);
+  assert.equal(getWebhookDelivery("wh-failed").status, "handled");
+});
+
+test("a delivery with no handler is settled as unhandled", async () => {
+  await deliver("wh-unhandled", { topic: "orders/cancelled", body: { id: 4 } });
+  await deliver("wh-unhandled", { topic: "orders/cancelled", body: { id: 4 } });
+  assert.equal(getWebhookDelivery("wh-unhandled").status, "unhandled");
+  assert.equal(getWebhookDelivery("wh-unhandled").attempts, 1);
+});
+
+test("replay runs a settled delivery again from the stored body", async () => {
+  await deliver("wh-replay", { body: { id: 5 } });
+  const result = await replayWebhookDelivery("wh-replay");
+
+  assert.equal(result.reason, "done");
+  assert.equal(callsFor(5), 2);
+  assert.equal(getWebhookDelivery("wh-replay").attempts, 2);
+  assert.deepEqual(await replayWebhookDelivery("wh-missing"), { ok: false, reason: "not_found" });
+});